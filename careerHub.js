@@ -7,1265 +7,8695 @@
  *  - Preserved node colors
  *  - Collapsible document editor
  *  - Edit node color by right-click (context menu) on a node
- *  - Still using file-based persistence in careerData.json
+ *  - Graph edits saved one node/link at a time through a validated API
+ *  - Milestones linked to documents and issues, with progress from done issues
+ *  - Typed, dated milestones (shape per type) edited in a side detail panel
+ *  - Timeline view of dated milestones with dependency arrows (years to weeks)
+ *  - Pinned node positions, a frozen-layout mode and the zoom/pan saved per graph
+ *  - Typed, labeled relationships (styled per type, with a legend); click a link to edit it
+ *  - Path planner: shortest paths, prerequisite chains, next steps and cycle detection
+ *  - Undo/redo (Ctrl+Z / Ctrl+Shift+Z) for graph edits, issue moves and deletes
+ *  - Autosave: save status in the header, node positions saved as the layout settles,
+ *    and editor text kept as a server-side draft until it is committed
+ *  - Configurable kanban columns (order, colors, WIP limits, "done" columns) with
+ *    a migration prompt for cards whose column is removed
+ *  - Issue dialog with due dates (overdue cards highlighted), priority, colored labels
+ *    and checklists, plus a filter bar over text, priority and label
+ *  - Manual card order within and across columns (drag with drop indicator, or
+ *    Alt+arrow keys on a focused card)
+ *  - Issue activity log (creation, column moves, field edits) kept by the server,
+ *    with comments, shown as a timeline in the issue dialog
+ *  - Ranked full-text search over milestones, documents (every committed version)
+ *    and issues, with snippets, from a Ctrl+K palette
+ *  - Local accounts (scrypt-hashed passwords, session cookies, /login page); each
+ *    user works in their own workspace, and every /api route requires a session
+ *  - Live sync between open windows (Server-Sent Events): graph, board, issues and
+ *    documents update in place, with a notice when the open document is committed elsewhere
+ *  - Workspace export/import as a versioned JSON bundle (full document history), with
+ *    validation and replace or merge modes (merged ids are renamed on clashes)
+ *  - Version history with side-by-side / inline diffs between commits
+ *  - Read-only checkout of older versions, and revert as a new commit
+ *  - Document branches with three-way merges (conflict markers in the editor)
+ *  - Commit messages, tags and word/character counts in a log view
+ *  - Live Markdown preview with KaTeX math (split or full view)
+ *  - Export of any version to standalone HTML, PDF or DOCX (rendered offline)
+ *  - Pluggable storage: careerData.json by default (written atomically with
+ *    rolling backups in careerData.backups/ and schema migrations at startup),
+ *    or SQLite with CAREERHUB_STORAGE=sqlite (`node careerHub.js migrate-to-sqlite`)
  */
 
 const express = require('express');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { Marked } = require('marked');
+const katex = require('katex');
+const PDFDocument = require('pdfkit');
+const docx = require('docx');
 const app = express();
 const PORT = 3000;
 
-// ========== File-based storage ==========
+// ========== Storage ==========
+// Routes only talk to `storage`, the signed-in user's workspace (see Workspaces),
+// implemented by one of the backends below:
+//   getGraph() / saveGraph(graph)
+//   listDocuments()                      => documents without versions, plus versionCount
+//   getDocument(docId)                   => full document, or undefined
+//   saveDocument(doc)                    => upsert; versions beyond the stored ones are appended
+//   updateVersion(docId, index, version) => rewrite one existing version
+//   listIssues() / getIssue(issueId) / saveIssue(issue) / deleteIssue(issueId)
+//   getSetting(key, fallback) / saveSetting(key, value) => small JSON values (view state etc.)
+//   readAll() / replaceAll(data)         => whole store: { schemaVersion, graphData, documents, issues, settings }
+// Both backends are synchronous, so route handlers stay synchronous as well.
+// Pick one with CAREERHUB_STORAGE=json (default) or CAREERHUB_STORAGE=sqlite.
+const STORAGE_BACKEND = process.env.CAREERHUB_STORAGE || 'json';
 const DATA_FILE = path.join(__dirname, 'careerData.json');
+const DB_FILE = process.env.CAREERHUB_DB || path.join(__dirname, 'careerData.sqlite');
+const BACKUP_DIR = path.join(__dirname, 'careerData.backups');
+const WORKSPACE_DIR = path.join(__dirname, 'careerData.workspaces'); // stores of all accounts but the first
+const BACKUP_COUNT = 10;                   // rolling backups kept in BACKUP_DIR
+const BACKUP_INTERVAL_MS = 10 * 60 * 1000; // at most one backup per 10 minutes
 
-// The top-level store: { graphData: {nodes, links}, documents: [...], issues: [...] }
-let store = {
-  graphData: {
-    nodes: [],
-    links: []
+// Store migrations, in order. A store's schemaVersion is the number of
+// migrations applied to it; files written before versioning count as 0.
+const MIGRATIONS = [
+  // 1: document branches and per-commit metadata
+  data => {
+    data.graphData = data.graphData || { nodes: [], links: [] };
+    data.documents = data.documents || [];
+    data.issues = data.issues || [];
+    data.documents.forEach(normalizeDocument);
   },
-  documents: [],
-  issues: []
-};
+  // 2: link ids; drop links to missing nodes and d3 simulation leftovers
+  data => {
+    const graph = data.graphData;
+    graph.nodes = (graph.nodes || []).map(({ vx, vy, fx, fy, index, ...node }) => node);
+    const nodeIds = new Set(graph.nodes.map(n => n.id));
+    const linkIds = new Set();
+    graph.links = (graph.links || [])
+      .map(l => ({ source: endpointId(l.source), target: endpointId(l.target) }))
+      .filter(l => nodeIds.has(l.source) && nodeIds.has(l.target) && l.source !== l.target)
+      .map(l => {
+        const id = uniqueId('l', linkIds);
+        linkIds.add(id);
+        return { id, ...l };
+      });
+  },
+  // 3: settings (graph layout and other view state)
+  data => {
+    data.settings = data.settings || {};
+  },
+  // 4: server-kept editor drafts
+  data => {
+    data.documents.forEach(doc => {
+      if (doc.draft === undefined) doc.draft = null;
+    });
+  },
+  // 5: issue due dates, priorities, labels and checklists
+  data => {
+    data.issues.forEach(issue => {
+      Object.assign(issue, { dueDate: null, priority: null, labels: [], checklist: [], ...issue });
+    });
+  },
+  // 6: manual card order; keep the order cards were shown in so far
+  data => {
+    data.issues.forEach((issue, index) => {
+      if (typeof issue.rank !== 'number') issue.rank = index;
+    });
+  },
+  // 7: issue activity logs; older issue ids carry their creation time
+  data => {
+    data.issues.forEach(issue => {
+      if (Array.isArray(issue.activity)) return;
+      const created = /^issue_(\d+)$/.exec(issue.issueId);
+      issue.activity = created
+        ? [{ id: `a${created[1]}`, at: new Date(Number(created[1])).toISOString(), type: 'created' }]
+        : [];
+    });
+  }
+];
+const SCHEMA_VERSION = MIGRATIONS.length;
+
+// The top-level store: { schemaVersion, graphData: {nodes, links}, documents: [...], issues: [...], settings: {} }
+function emptyStore() {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    graphData: {
+      nodes: [],
+      links: []
+    },
+    documents: [],
+    issues: [],
+    settings: {}
+  };
+}
+
+// Bring a store up to SCHEMA_VERSION; returns true if any migration ran
+function migrateStore(data) {
+  const from = data.schemaVersion || 0;
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`Stored data has schemaVersion ${from}, but this app only supports up to ${SCHEMA_VERSION}`);
+  }
+  for (let v = from; v < SCHEMA_VERSION; v++) {
+    MIGRATIONS[v](data);
+    data.schemaVersion = v + 1;
+    console.log(`Migrated stored data to schemaVersion ${v + 1}`);
+  }
+  return from < SCHEMA_VERSION;
+}
+
+// Listing entry for a document: everything but its (possibly long) history
+function documentSummary(doc) {
+  const { versions, ...meta } = doc;
+  return { ...meta, versionCount: versions.length };
+}
+
+// ---------- JSON file backend (default) ----------
 
-// Load existing data if file present
-if (fs.existsSync(DATA_FILE)) {
+// Write via temp file + fsync + rename, so a crash never leaves a half-written file
+function writeFileAtomic(file, text) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
   try {
-    const raw = fs.readFileSync(DATA_FILE, 'utf-8');
-    store = JSON.parse(raw);
-    console.log('Loaded existing data from careerData.json');
-  } catch (err) {
-    console.error('Error reading careerData.json, starting with empty data:', err);
+    fs.writeSync(fd, text, null, 'utf-8');
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
   }
+  fs.renameSync(tmp, file);
 }
 
-// Helper: save store to disk
-function saveData() {
-  fs.writeFileSync(DATA_FILE, JSON.stringify(store, null, 2), 'utf-8');
-  console.log('Data saved to', DATA_FILE);
+// Backup files of a data file ("<name>-<timestamp>.json"), newest first
+function listBackups(dataFile) {
+  if (!fs.existsSync(BACKUP_DIR)) return [];
+  const prefix = `${path.basename(dataFile, '.json')}-`;
+  return fs.readdirSync(BACKUP_DIR)
+    .filter(name => name.startsWith(prefix) && name.endsWith('.json'))
+    .sort()
+    .reverse()
+    .map(name => path.join(BACKUP_DIR, name));
 }
 
-app.use(express.json());
+// Copy a data file into BACKUP_DIR and drop all but its newest BACKUP_COUNT backups
+function backupDataFile(dataFile) {
+  if (!fs.existsSync(dataFile)) return;
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  fs.copyFileSync(dataFile, path.join(BACKUP_DIR, `${path.basename(dataFile, '.json')}-${stamp}.json`));
+  listBackups(dataFile).slice(BACKUP_COUNT).forEach(file => fs.unlinkSync(file));
+}
 
-// -------------- REST API --------------
+// Read a data file, falling back to its newest backup that still parses.
+// Exits rather than starting empty, so a damaged file is never overwritten.
+function readStoreFile(dataFile) {
+  for (const file of [dataFile, ...listBackups(dataFile)]) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('top level is not an object');
+      }
+    } catch (err) {
+      console.error(`Cannot read ${file}:`, err.message);
+      continue;
+    }
+    return { data, restoredFrom: file === dataFile ? null : file };
+  }
+  console.error(`${path.basename(dataFile)} and all of its backups are unreadable; refusing to start.`);
+  process.exit(1);
+}
 
-// ========== Graph Data ==========
-app.get('/api/graph', (req, res) => {
-  res.json(store.graphData);
-});
+// Whole store in memory, rewritten to its file (careerData.json by default) on every change
+function createJsonStorage(dataFile = DATA_FILE) {
+  let store = emptyStore();
+  let lastBackupAt = 0;
 
-app.post('/api/graph', (req, res) => {
-  store.graphData = req.body;
-  saveData();
-  res.json({ success: true, graphData: store.graphData });
-});
+  function backup() {
+    backupDataFile(dataFile);
+    lastBackupAt = Date.now();
+  }
 
-// ========== Documents ==========
-app.get('/api/documents', (req, res) => {
-  res.json(store.documents);
-});
+  // Helper: save store to disk
+  function saveData() {
+    if (Date.now() - lastBackupAt >= BACKUP_INTERVAL_MS) backup();
+    writeFileAtomic(dataFile, JSON.stringify(store, null, 2));
+    console.log('Data saved to', dataFile);
+  }
 
-app.get('/api/documents/:docId', (req, res) => {
-  const doc = store.documents.find(d => d.docId === req.params.docId);
-  if (!doc) {
-    return res.status(404).json({ error: 'Document not found' });
+  // Load existing data if file present
+  if (fs.existsSync(dataFile)) {
+    const { data, restoredFrom } = readStoreFile(dataFile);
+    const newestBackup = listBackups(dataFile)[0];
+    lastBackupAt = newestBackup ? fs.statSync(newestBackup).mtimeMs : 0;
+    store = data;
+
+    let migrated;
+    try {
+      migrated = migrateStore(store);
+    } catch (err) {
+      console.error(err.message);
+      process.exit(1);
+    }
+
+    if (restoredFrom) {
+      // Keep the damaged file for inspection before replacing it
+      const damaged = `${dataFile}.damaged-${Date.now()}`;
+      fs.copyFileSync(dataFile, damaged);
+      writeFileAtomic(dataFile, JSON.stringify(store, null, 2));
+      console.error(`Restored data from ${restoredFrom}; the damaged file was kept as ${damaged}`);
+    } else if (migrated) {
+      backup(); // pre-migration copy
+      saveData();
+    }
+    console.log(`Loaded existing data from ${path.basename(dataFile)}`);
   }
-  res.json(doc);
-});
 
-app.post('/api/documents', (req, res) => {
-  const { title, content } = req.body;
-  const docId = `doc_${Date.now()}`;
-  const newDoc = {
-    docId,
-    title,
-    versions: [{ content, timestamp: new Date().toISOString() }],
-    currentVersion: 0
+  const getDocument = docId => store.documents.find(d => d.docId === docId);
+  const getIssue = issueId => store.issues.find(i => i.issueId === issueId);
+
+  // Objects handed out are the stored ones, so saving just rewrites the file
+  function upsert(list, key, item) {
+    const index = list.findIndex(existing => existing[key] === item[key]);
+    if (index === -1) list.push(item);
+    else list[index] = item;
+    saveData();
+  }
+
+  return {
+    getGraph: () => store.graphData,
+    saveGraph(graph) {
+      store.graphData = graph;
+      saveData();
+    },
+    listDocuments: () => store.documents.map(documentSummary),
+    getDocument,
+    saveDocument: doc => upsert(store.documents, 'docId', doc),
+    updateVersion(docId, index, version) {
+      getDocument(docId).versions[index] = version;
+      saveData();
+    },
+    listIssues: () => store.issues,
+    getIssue,
+    saveIssue: issue => upsert(store.issues, 'issueId', issue),
+    deleteIssue(issueId) {
+      store.issues = store.issues.filter(i => i.issueId !== issueId);
+      saveData();
+    },
+    getSetting: (key, fallback) => (key in store.settings ? store.settings[key] : fallback),
+    saveSetting(key, value) {
+      store.settings[key] = value;
+      saveData();
+    },
+    readAll: () => store,
+    replaceAll(data) {
+      store = data;
+      saveData();
+    }
   };
-  store.documents.push(newDoc);
-  saveData();
-  res.json(newDoc);
-});
+}
 
-app.post('/api/documents/:docId/commit', (req, res) => {
-  const { content } = req.body;
-  const doc = store.documents.find(d => d.docId === req.params.docId);
-  if (!doc) {
-    return res.status(404).json({ error: 'Document not found' });
+// ---------- SQLite backend (CAREERHUB_STORAGE=sqlite) ----------
+// Versions get one row each, so a commit appends a row instead of rewriting
+// the whole history. Needs the optional better-sqlite3 package.
+function createSqliteStorage(file) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (err) {
+    console.error('The SQLite backend needs the optional "better-sqlite3" package (npm install better-sqlite3).');
+    process.exit(1);
   }
-  doc.versions.push({ content, timestamp: new Date().toISOString() });
-  doc.currentVersion = doc.versions.length - 1;
-  saveData();
-  res.json(doc);
-});
 
-// ========== Issues / Kanban ==========
-app.get('/api/issues', (req, res) => {
-  res.json(store.issues);
-});
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS documents (doc_id TEXT PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS versions (
+      doc_id TEXT NOT NULL,
+      idx INTEGER NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (doc_id, idx)
+    );
+    CREATE TABLE IF NOT EXISTS issues (issue_id TEXT PRIMARY KEY, data TEXT NOT NULL);
+  `);
 
-app.post('/api/issues', (req, res) => {
-  const { title, description, status } = req.body;
-  const issueId = `issue_${Date.now()}`;
-  const newIssue = {
-    issueId,
-    title: title || 'Untitled',
-    description: description || '',
-    status: status || 'todo'
+  const sql = {
+    getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+    setMeta: db.prepare(
+      'INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'
+    ),
+    listDocuments: db.prepare(`
+      SELECT data, (SELECT COUNT(*) FROM versions WHERE versions.doc_id = documents.doc_id) AS versionCount
+      FROM documents ORDER BY rowid
+    `),
+    getDocument: db.prepare('SELECT data FROM documents WHERE doc_id = ?'),
+    upsertDocument: db.prepare(
+      'INSERT INTO documents (doc_id, data) VALUES (?, ?) ON CONFLICT(doc_id) DO UPDATE SET data = excluded.data'
+    ),
+    listVersions: db.prepare('SELECT data FROM versions WHERE doc_id = ? ORDER BY idx'),
+    countVersions: db.prepare('SELECT COUNT(*) AS n FROM versions WHERE doc_id = ?'),
+    insertVersion: db.prepare('INSERT INTO versions (doc_id, idx, data) VALUES (?, ?, ?)'),
+    updateVersion: db.prepare('UPDATE versions SET data = ? WHERE doc_id = ? AND idx = ?'),
+    listIssues: db.prepare('SELECT data FROM issues ORDER BY rowid'),
+    getIssue: db.prepare('SELECT data FROM issues WHERE issue_id = ?'),
+    upsertIssue: db.prepare(
+      'INSERT INTO issues (issue_id, data) VALUES (?, ?) ON CONFLICT(issue_id) DO UPDATE SET data = excluded.data'
+    ),
+    deleteIssue: db.prepare('DELETE FROM issues WHERE issue_id = ?'),
+    listSettings: db.prepare("SELECT key, value FROM meta WHERE key LIKE 'setting:%'")
   };
-  store.issues.push(newIssue);
-  saveData();
-  res.json(newIssue);
-});
 
-app.put('/api/issues/:issueId', (req, res) => {
-  const { issueId } = req.params;
-  let issue = store.issues.find(i => i.issueId === issueId);
-  if (!issue) {
-    return res.status(404).json({ error: 'Issue not found' });
-  }
-  Object.assign(issue, req.body);
-  saveData();
-  res.json(issue);
-});
+  const getMeta = (key, fallback) => {
+    const row = sql.getMeta.get(key);
+    return row ? JSON.parse(row.value) : fallback;
+  };
+  const setMeta = (key, value) => sql.setMeta.run(key, JSON.stringify(value));
 
-app.delete('/api/issues/:issueId', (req, res) => {
-  const { issueId } = req.params;
-  const index = store.issues.findIndex(i => i.issueId === issueId);
-  if (index === -1) {
-    return res.status(404).json({ error: 'Issue not found' });
+  const getGraph = () => getMeta('graph', { nodes: [], links: [] });
+  const saveGraph = graph => setMeta('graph', graph);
+
+  function getDocument(docId) {
+    const row = sql.getDocument.get(docId);
+    if (!row) return undefined;
+    return { ...JSON.parse(row.data), versions: sql.listVersions.all(docId).map(v => JSON.parse(v.data)) };
   }
-  const removed = store.issues.splice(index, 1);
-  saveData();
-  res.json({ success: true, removed });
-});
 
-// ========== Main HTML Endpoint ==========
-app.get('/', (req, res) => {
-  const html = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8" />
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>AndreOS</title>
-  <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
-  <link rel="stylesheet" href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap">
-  <style>
-    :root {
-      --bg-primary: #0f172a;
-      --bg-secondary: #1e293b;
-      --bg-tertiary: #334155;
-      --accent-primary: #3b82f6;
-      --accent-secondary: #60a5fa;
-      --accent-success: #10b981;
-      --accent-danger: #ef4444;
-      --accent-warning: #f59e0b;
-      --text-primary: #f1f5f9;
-      --text-secondary: #cbd5e1;
-      --text-muted: #94a3b8;
-      --border-color: #475569;
-      --shadow-sm: 0 1px 2px rgba(0, 0, 0, 0.05);
-      --shadow-md: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);
-      --shadow-lg: 0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05);
-      --radius-sm: 0.25rem;
-      --radius-md: 0.375rem;
-      --radius-lg: 0.5rem;
-      --transition-normal: all 0.2s ease;
-      --transition-smooth: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-      --font-mono: 'JetBrains Mono', 'Fira Code', 'Roboto Mono', monospace;
-    }
-    
-    * {
-      box-sizing: border-box;
-      user-select: none;
-      margin: 0;
-      padding: 0;
-    }
-    
-    body {
-      background-color: var(--bg-primary);
-      color: var(--text-primary);
-      font-family: 'Inter', system-ui, -apple-system, BlinkMacSystemFont, sans-serif;
-      height: 100vh;
-      display: flex;
-      flex-direction: column;
-      overflow: hidden;
-    }
-    
-    header {
-      background: var(--bg-secondary);
-      padding: 0.75rem 1.5rem;
-      border-bottom: 1px solid var(--border-color);
-      display: flex;
-      align-items: center;
-      justify-content: space-between;
-      box-shadow: var(--shadow-md);
-      z-index: 10;
-    }
-    
-    .logo {
-      display: flex;
-      align-items: center;
-      font-weight: 700;
-      font-size: 1.25rem;
-      color: var(--accent-secondary);
-    }
-    
-    .logo i {
-      margin-right: 0.5rem;
-    }
-    
-    #main-container {
-      flex: 1;
-      display: flex;
-      overflow: hidden;
+  const saveDocument = db.transaction(doc => {
+    const { versions, ...meta } = doc;
+    sql.upsertDocument.run(doc.docId, JSON.stringify(meta));
+    const stored = sql.countVersions.get(doc.docId).n;
+    for (let i = stored; i < versions.length; i++) {
+      sql.insertVersion.run(doc.docId, i, JSON.stringify(versions[i]));
     }
-    
-    #graph-container {
-      width: 35%;
-      position: relative;
-      border-right: 1px solid var(--border-color);
-      background-color: var(--bg-secondary);
-      overflow: hidden;
+  });
+
+  const listIssues = () => sql.listIssues.all().map(row => JSON.parse(row.data));
+  const saveIssue = issue => sql.upsertIssue.run(issue.issueId, JSON.stringify(issue));
+
+  // Settings live in the meta table as "setting:<key>" rows
+  const getSetting = (key, fallback) => getMeta(`setting:${key}`, fallback);
+  const saveSetting = (key, value) => setMeta(`setting:${key}`, value);
+
+  const readAll = () => ({
+    schemaVersion: getMeta('schemaVersion', SCHEMA_VERSION),
+    graphData: getGraph(),
+    documents: sql.listDocuments.all().map(row => getDocument(JSON.parse(row.data).docId)),
+    issues: listIssues(),
+    settings: Object.fromEntries(sql.listSettings.all().map(row => [
+      row.key.slice('setting:'.length),
+      JSON.parse(row.value)
+    ]))
+  });
+
+  const replaceAll = db.transaction(data => {
+    db.exec('DELETE FROM versions; DELETE FROM documents; DELETE FROM issues; DELETE FROM meta;');
+    setMeta('schemaVersion', data.schemaVersion);
+    saveGraph(data.graphData);
+    data.documents.forEach(doc => saveDocument(doc));
+    data.issues.forEach(saveIssue);
+    Object.entries(data.settings || {}).forEach(([key, value]) => saveSetting(key, value));
+  });
+
+  // A fresh database starts at the current schema; older ones are migrated as a whole
+  const storedVersion = getMeta('schemaVersion', null);
+  if (storedVersion === null) {
+    setMeta('schemaVersion', SCHEMA_VERSION);
+  } else if (storedVersion !== SCHEMA_VERSION) {
+    const data = readAll();
+    try {
+      if (migrateStore(data)) replaceAll(data);
+    } catch (err) {
+      console.error(err.message);
+      process.exit(1);
     }
-    
-    #editor-container {
-      width: 30%;
-      border-right: 1px solid var(--border-color);
-      display: flex;
-      flex-direction: column;
-      background-color: var(--bg-secondary);
-      overflow: hidden;
-      transition: var(--transition-smooth);
+  }
+  console.log('Using SQLite database', file);
+
+  return {
+    getGraph,
+    saveGraph,
+    listDocuments: () => sql.listDocuments.all().map(row => ({
+      ...JSON.parse(row.data),
+      versionCount: row.versionCount
+    })),
+    getDocument,
+    saveDocument,
+    updateVersion(docId, index, version) {
+      sql.updateVersion.run(JSON.stringify(version), docId, index);
+    },
+    listIssues,
+    getIssue(issueId) {
+      const row = sql.getIssue.get(issueId);
+      return row ? JSON.parse(row.data) : undefined;
+    },
+    saveIssue,
+    deleteIssue(issueId) {
+      sql.deleteIssue.run(issueId);
+    },
+    getSetting,
+    saveSetting,
+    readAll,
+    replaceAll
+  };
+}
+
+// One-shot copy of every JSON workspace into new SQLite databases:
+//   node careerHub.js migrate-to-sqlite [file]
+// careerData.json goes to `file` (default careerData.sqlite), the workspaces in
+// careerData.workspaces/ to .sqlite files next to them
+function migrateJsonToSqlite(file) {
+  const pairs = [[DATA_FILE, file]];
+  if (fs.existsSync(WORKSPACE_DIR)) {
+    fs.readdirSync(WORKSPACE_DIR).filter(name => name.endsWith('.json')).forEach(name => {
+      pairs.push([path.join(WORKSPACE_DIR, name), path.join(WORKSPACE_DIR, name.replace(/\.json$/, '.sqlite'))]);
+    });
+  }
+  const existing = pairs.find(([, target]) => fs.existsSync(target));
+  if (existing) {
+    console.error(`${existing[1]} already exists; refusing to overwrite it.`);
+    process.exit(1);
+  }
+  pairs.forEach(([source, target]) => {
+    const data = createJsonStorage(source).readAll();
+    createSqliteStorage(target).replaceAll(data);
+    const versionCount = data.documents.reduce((sum, doc) => sum + doc.versions.length, 0);
+    console.log(
+      `Copied ${data.graphData.nodes.length} nodes, ${data.documents.length} documents ` +
+      `(${versionCount} versions) and ${data.issues.length} issues into ${target}`
+    );
+  });
+  console.log(`Start the app with CAREERHUB_STORAGE=sqlite${file === DB_FILE ? '' : ` CAREERHUB_DB=${file}`}`);
+}
+
+// ========== Text diff ==========
+// Index pairs [i, j] of a longest common subsequence of arrays a and b
+function lcsPairs(a, b) {
+  // Skip the common prefix/suffix so the table only covers the changed region
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  // table[i][j] = LCS length of a[start + i .. endA) and b[start + j .. endB)
+  const table = [];
+  for (let i = 0; i <= n; i++) table.push(new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i][j] = a[start + i] === b[start + j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
     }
-    
-    /* Collapsed editor state */
-    #editor-container.collapsed {
-      width: 0 !important;
-      min-width: 0 !important;
-      display: none; /* fully hides the panel */
+  }
+
+  const pairs = [];
+  for (let i = 0; i < start; i++) pairs.push([i, i]);
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[start + i] === b[start + j]) {
+      pairs.push([start + i, start + j]);
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++;
+    } else {
+      j++;
     }
-    #resizer2.hidden {
-      display: none;
+  }
+  for (let k = 0; k < a.length - endA; k++) pairs.push([endA + k, endB + k]);
+  return pairs;
+}
+
+// Word-level diff of two lines => [{ type: 'equal'|'add'|'del', text }]
+function diffWords(oldText, newText) {
+  const a = oldText.split(/(\s+)/).filter(Boolean);
+  const b = newText.split(/(\s+)/).filter(Boolean);
+  const segments = [];
+  const push = (type, text) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) last.text += text;
+    else segments.push({ type, text });
+  };
+
+  let i = 0;
+  let j = 0;
+  lcsPairs(a, b).concat([[a.length, b.length]]).forEach(([pi, pj]) => {
+    for (; i < pi; i++) push('del', a[i]);
+    for (; j < pj; j++) push('add', b[j]);
+    if (pi < a.length) push('equal', a[pi]);
+    i = pi + 1;
+    j = pj + 1;
+  });
+  return segments;
+}
+
+// Line-level diff of two texts. Removed lines that sit next to added lines are
+// paired up as 'change' rows carrying a word-level diff.
+function diffLines(oldText, newText) {
+  // An empty text has no lines, so diffing from nothing only adds
+  const lines = text => (text ? text.split('\n') : []);
+  const a = lines(oldText);
+  const b = lines(newText);
+  const rows = [];
+  const stats = { added: 0, removed: 0, changed: 0 };
+
+  let i = 0;
+  let j = 0;
+  lcsPairs(a, b).concat([[a.length, b.length]]).forEach(([pi, pj]) => {
+    const removed = pi - i;
+    const added = pj - j;
+    const paired = Math.min(removed, added);
+    for (let k = 0; k < paired; k++) {
+      rows.push({
+        type: 'change',
+        oldNo: i + k + 1,
+        newNo: j + k + 1,
+        oldText: a[i + k],
+        newText: b[j + k],
+        words: diffWords(a[i + k], b[j + k])
+      });
+      stats.changed++;
     }
-    
-    #kanban-container {
-      flex: 1;
-      display: flex;
-      padding: 1rem;
-      overflow-x: auto;
-      gap: 1rem;
-      background-color: var(--bg-primary);
+    for (let k = paired; k < removed; k++) {
+      rows.push({ type: 'del', oldNo: i + k + 1, oldText: a[i + k] });
+      stats.removed++;
     }
-    
-    .resizer {
-      width: 6px;
-      background: var(--border-color);
-      cursor: col-resize;
-      transition: background 0.2s ease;
-      z-index: 5;
+    for (let k = paired; k < added; k++) {
+      rows.push({ type: 'add', newNo: j + k + 1, newText: b[j + k] });
+      stats.added++;
     }
-    
-    .resizer:hover, .resizer:active {
-      background: var(--accent-primary);
+    if (pi < a.length) {
+      rows.push({ type: 'equal', oldNo: pi + 1, newNo: pj + 1, oldText: a[pi], newText: b[pj] });
     }
-    
-    #graph {
-      width: 100%;
-      height: 100%;
+    i = pi + 1;
+    j = pj + 1;
+  });
+  return { rows, stats };
+}
+
+const CONFLICT_MARKER = /^(<<<<<<<|=======|>>>>>>>)( |$)/m;
+
+// Three-way line merge of ours and theirs against their common base.
+// Conflicting hunks are written out with git-style conflict markers.
+function merge3(baseText, oursText, theirsText, oursLabel, theirsLabel) {
+  const o = (baseText || '').split('\n');
+  const a = (oursText || '').split('\n');
+  const b = (theirsText || '').split('\n');
+  const matchA = new Map(lcsPairs(o, a));
+  const matchB = new Map(lcsPairs(o, b));
+  const sameLines = (x, y) => x.length === y.length && x.every((line, n) => line === y[n]);
+  const out = [];
+  let conflicts = 0;
+  let i = 0;
+  let j = 0;
+  let k = 0;
+
+  // Resolve the unstable chunk between the last stable line and o[oi], a[aj], b[bk]
+  const flushChunk = (oi, aj, bk) => {
+    const oChunk = o.slice(i, oi);
+    const aChunk = a.slice(j, aj);
+    const bChunk = b.slice(k, bk);
+    if (sameLines(aChunk, oChunk)) {
+      out.push(...bChunk);
+    } else if (sameLines(bChunk, oChunk) || sameLines(aChunk, bChunk)) {
+      out.push(...aChunk);
+    } else {
+      conflicts++;
+      out.push(`<<<<<<< ${oursLabel}`, ...aChunk, '=======', ...bChunk, `>>>>>>> ${theirsLabel}`);
     }
-    
-    #cluster-button-container {
-      display: flex;
-      flex-direction: column;
-      position: absolute;
-      top: 1rem;
-      left: 1rem;
-      gap: 0.5rem;
-      z-index: 5;
-    }
-    
-    .btn {
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      gap: 0.5rem;
-      background-color: var(--bg-tertiary);
-      color: var(--text-primary);
-      border: 1px solid var(--border-color);
-      border-radius: var(--radius-md);
-      padding: 0.6rem 1rem;
-      font-size: 0.9rem;
-      font-weight: 500;
-      cursor: pointer;
-      transition: var(--transition-normal);
-      box-shadow: var(--shadow-sm);
+  };
+
+  // Base lines kept unchanged on both sides are stable points between chunks
+  for (let oi = 0; oi < o.length; oi++) {
+    if (!matchA.has(oi) || !matchB.has(oi)) continue;
+    flushChunk(oi, matchA.get(oi), matchB.get(oi));
+    out.push(o[oi]);
+    i = oi + 1;
+    j = matchA.get(oi) + 1;
+    k = matchB.get(oi) + 1;
+  }
+  flushChunk(o.length, a.length, b.length);
+  return { content: out.join('\n'), conflicts };
+}
+
+// ========== Document history ==========
+// Every document keeps one append-only `versions` array. Each version points at
+// its `parent` (and `mergeParent` for merges); `branches` maps a branch name
+// to the index of its head version.
+const DEFAULT_BRANCH = 'main';
+const BRANCH_NAME = /^[\w.\-\/]{1,64}$/;
+
+const MAX_DOCUMENT_TITLE_LENGTH = 200;
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_TAG_LENGTH = 100;
+
+function countWords(text) {
+  const words = (text || '').trim().split(/\s+/);
+  return words[0] === '' ? 0 : words.length;
+}
+
+// Build a version entry with its commit metadata
+function versionEntry(content, message, extra = {}) {
+  const text = content || '';
+  return {
+    content: text,
+    timestamp: new Date().toISOString(),
+    message: message || '',
+    tag: '',
+    wordCount: countWords(text),
+    charCount: text.length,
+    ...extra
+  };
+}
+
+// Helper: validate an optional text field => trimmed string, or null if invalid
+function optionalText(value, maxLength) {
+  if (value === undefined || value === null) return '';
+  if (typeof value !== 'string' || value.length > maxLength) return null;
+  return value.trim();
+}
+
+// Fill in fields missing from documents saved by older versions of the app
+function normalizeDocument(doc) {
+  if (!Array.isArray(doc.versions) || doc.versions.length === 0) {
+    // Without a version there is no head to open; start the history empty
+    doc.versions = [versionEntry('', 'Create document')];
+    delete doc.branches;
+    doc.merge = null;
+  }
+  doc.versions.forEach(v => {
+    if (v.message === undefined) v.message = '';
+    if (v.tag === undefined) v.tag = '';
+    if (v.wordCount === undefined) v.wordCount = countWords(v.content);
+    if (v.charCount === undefined) v.charCount = (v.content || '').length;
+  });
+  if (!doc.branches) {
+    doc.versions.forEach((v, i) => {
+      if (v.parent === undefined) v.parent = i === 0 ? null : i - 1;
+      if (!v.branch) v.branch = DEFAULT_BRANCH;
+    });
+    doc.branches = { [DEFAULT_BRANCH]: doc.versions.length - 1 };
+    doc.currentBranch = DEFAULT_BRANCH;
+    doc.currentVersion = doc.versions.length - 1;
+  }
+  if (doc.merge === undefined) doc.merge = null;
+  return doc;
+}
+
+// Helper: parse a version index from a request value, null if out of range
+function parseVersionIndex(doc, value) {
+  if (!/^\d+$/.test(String(value))) return null;
+  const index = Number(value);
+  return index < doc.versions.length ? index : null;
+}
+
+// Append a version on the current branch and move the branch head to it.
+// The commit supersedes any draft.
+function commitVersion(doc, entry) {
+  entry.parent = doc.branches[doc.currentBranch];
+  entry.branch = doc.currentBranch;
+  if (doc.merge) {
+    entry.mergeParent = doc.merge.theirs;
+    if (!entry.message) entry.message = doc.merge.message;
+    doc.merge = null;
+  }
+  doc.versions.push(entry);
+  doc.currentVersion = doc.versions.length - 1;
+  doc.branches[doc.currentBranch] = doc.currentVersion;
+  doc.draft = null;
+  return entry;
+}
+
+// Text the editor starts from: the head version, or a merge's marked-up result
+function committedContent(doc) {
+  return doc.merge ? doc.merge.content : doc.versions[doc.currentVersion].content;
+}
+
+// Indices of all ancestors of a version (itself included), nearest first
+function versionAncestors(doc, index) {
+  const seen = new Set([index]);
+  const order = [index];
+  for (let n = 0; n < order.length; n++) {
+    const v = doc.versions[order[n]];
+    [v.parent, v.mergeParent].forEach(p => {
+      if (p !== null && p !== undefined && !seen.has(p)) {
+        seen.add(p);
+        order.push(p);
+      }
+    });
+  }
+  return order;
+}
+
+// Nearest common ancestor of two versions, null if the histories never meet
+function mergeBase(doc, ours, theirs) {
+  const oursAncestors = new Set(versionAncestors(doc, ours));
+  const base = versionAncestors(doc, theirs).find(index => oursAncestors.has(index));
+  return base === undefined ? null : base;
+}
+
+// ========== Graph model ==========
+// graphData = { nodes: [node], links: [{ id, source, target, type?, label? }] }
+// with link endpoints stored as node ids. A node is { id, name, color?, x?, y?, pinned?,
+// docIds?, type?, status?, startDate?, endDate?, notes?, urls? }; dates are
+// YYYY-MM-DD, and pinned nodes keep their x/y instead of following the layout. Nodes and links are edited one at a
+// time through /api/graph/nodes and /api/graph/links.
+// Cross-references: a node lists the documents it relates to (docIds), and an
+// issue names the milestone node it moves forward (milestoneId).
+const GRAPH_ID = /^[\w.\-]{1,64}$/;
+const MAX_NODE_NAME_LENGTH = 200;
+const MAX_COLOR_LENGTH = 64;
+const MAX_NODE_DOCUMENTS = 50;
+const NODE_TYPES = ['job', 'education', 'certification', 'skill', 'goal'];
+const NODE_STATUSES = ['planned', 'active', 'achieved'];
+const MAX_NODE_NOTES_LENGTH = 5000;
+const MAX_NODE_URLS = 20;
+// Relationship types: "<source> prerequisite for <target>", "led to", "alternative to", "supports"
+const LINK_TYPES = ['prerequisite', 'led-to', 'alternative', 'supports'];
+const MAX_LINK_LABEL_LENGTH = 100;
+
+// Helper: an id with the given prefix that is not in `taken`
+function uniqueId(prefix, taken) {
+  let n = Date.now();
+  while (taken.has(prefix + n)) n++;
+  return prefix + n;
+}
+
+// Helper: 'YYYY-MM-DD' naming a real calendar day
+function isIsoDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+function isWebUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (err) {
+    return false;
+  }
+}
+
+// Link endpoints may arrive as ids or as d3 node objects
+function endpointId(end) {
+  return end && typeof end === 'object' ? end.id : end;
+}
+
+// Validate node fields from a request body, applied on top of `existing` (if updating).
+// `docIds` is the set of existing document ids. Unknown fields are dropped.
+// Returns { node } or { error }.
+function validateNodeFields(body, existing, docIds) {
+  const node = { ...existing };
+  if (!existing || body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > MAX_NODE_NAME_LENGTH) {
+      return { error: `Node name is required (at most ${MAX_NODE_NAME_LENGTH} characters)` };
     }
-    
-    .btn:hover {
-      background-color: var(--accent-primary);
-      border-color: var(--accent-secondary);
-      transform: translateY(-1px);
-      box-shadow: var(--shadow-md);
+    node.name = name;
+  }
+  if (body.color === null || body.color === '') {
+    delete node.color;
+  } else if (body.color !== undefined) {
+    if (typeof body.color !== 'string' || body.color.length > MAX_COLOR_LENGTH) {
+      return { error: 'Invalid node color' };
     }
-    
-    .btn-primary {
-      background-color: var(--accent-primary);
-      border-color: var(--accent-secondary);
+    node.color = body.color.trim();
+  }
+  for (const key of ['x', 'y']) {
+    if (body[key] === undefined) continue;
+    if (!Number.isFinite(body[key])) return { error: `Node ${key} must be a number` };
+    node[key] = body[key];
+  }
+  if (body.pinned !== undefined) {
+    if (typeof body.pinned !== 'boolean') return { error: 'Node pinned must be true or false' };
+    if (body.pinned) node.pinned = true;
+    else delete node.pinned;
+  }
+  if (node.pinned && (node.x === undefined || node.y === undefined)) {
+    return { error: 'A pinned node needs x and y' };
+  }
+  if (body.docIds !== undefined) {
+    if (!Array.isArray(body.docIds) || body.docIds.length > MAX_NODE_DOCUMENTS) {
+      return { error: `docIds must be a list of at most ${MAX_NODE_DOCUMENTS} document ids` };
     }
-    
-    .btn-primary:hover {
-      background-color: var(--accent-secondary);
+    const unknown = body.docIds.find(id => !docIds.has(id));
+    if (unknown !== undefined) return { error: `Unknown document "${unknown}"` };
+    node.docIds = [...new Set(body.docIds)];
+  }
+
+  // Optional details; null or '' clears them
+  const cleared = key => body[key] === null || body[key] === '';
+  for (const [key, allowed] of [['type', NODE_TYPES], ['status', NODE_STATUSES]]) {
+    if (body[key] === undefined) continue;
+    if (cleared(key)) delete node[key];
+    else if (!allowed.includes(body[key])) return { error: `Node ${key} must be one of: ${allowed.join(', ')}` };
+    else node[key] = body[key];
+  }
+  for (const key of ['startDate', 'endDate']) {
+    if (body[key] === undefined) continue;
+    if (cleared(key)) delete node[key];
+    else if (!isIsoDate(body[key])) return { error: `Node ${key} must be a YYYY-MM-DD date` };
+    else node[key] = body[key];
+  }
+  if (node.startDate && node.endDate && node.endDate < node.startDate) {
+    return { error: 'Node endDate is before its startDate' };
+  }
+  if (body.notes !== undefined) {
+    const notes = optionalText(body.notes, MAX_NODE_NOTES_LENGTH);
+    if (notes === null) return { error: `Node notes must be text of at most ${MAX_NODE_NOTES_LENGTH} characters` };
+    if (notes) node.notes = notes;
+    else delete node.notes;
+  }
+  if (body.urls !== undefined) {
+    if (!Array.isArray(body.urls) || body.urls.length > MAX_NODE_URLS || !body.urls.every(isWebUrl)) {
+      return { error: `Node urls must be a list of at most ${MAX_NODE_URLS} http(s) URLs` };
     }
-    
-    .btn-success {
-      background-color: var(--accent-success);
-      border-color: var(--accent-success);
+    if (body.urls.length) node.urls = [...new Set(body.urls)];
+    else delete node.urls;
+  }
+  return { node };
+}
+
+// Validate link fields against the graph, applied on top of `existing` (if updating).
+// A null or '' type/label clears it. Returns { link } or { error, status }.
+function validateLinkFields(graph, body, existing) {
+  const link = { ...existing };
+  if (!existing || body.source !== undefined) link.source = endpointId(body.source);
+  if (!existing || body.target !== undefined) link.target = endpointId(body.target);
+  if (body.type === null || body.type === '') {
+    delete link.type;
+  } else if (body.type !== undefined) {
+    if (!LINK_TYPES.includes(body.type)) {
+      return { error: `Link type must be one of: ${LINK_TYPES.join(', ')}`, status: 400 };
     }
-    
-    .btn-danger {
-      background-color: var(--accent-danger);
-      border-color: var(--accent-danger);
+    link.type = body.type;
+  }
+  if (body.label !== undefined) {
+    const label = optionalText(body.label, MAX_LINK_LABEL_LENGTH);
+    if (label === null) {
+      return { error: `Link label must be text of at most ${MAX_LINK_LABEL_LENGTH} characters`, status: 400 };
     }
-    
-    #doc-list {
-      padding: 1rem;
-      background: var(--bg-secondary);
-      border-bottom: 1px solid var(--border-color);
-      display: flex;
-      align-items: center;
-      gap: 0.5rem;
-      box-shadow: var(--shadow-sm);
+    if (label) link.label = label;
+    else delete link.label;
+  }
+  const nodeIds = new Set(graph.nodes.map(n => n.id));
+  if (!nodeIds.has(link.source) || !nodeIds.has(link.target)) {
+    return { error: 'Link source and target must be existing nodes', status: 400 };
+  }
+  if (link.source === link.target) {
+    return { error: 'A node cannot link to itself', status: 400 };
+  }
+  const duplicate = graph.links.some(l =>
+    l !== existing && l.source === link.source && l.target === link.target
+  );
+  if (duplicate) {
+    return { error: 'These nodes are already linked', status: 409 };
+  }
+  return { link };
+}
+
+// Validate a whole graph (POST /api/graph). Returns { graph } or { error }.
+function validateGraph(body, docIds) {
+  if (!body || !Array.isArray(body.nodes) || !Array.isArray(body.links)) {
+    return { error: 'A graph needs "nodes" and "links" arrays' };
+  }
+  const graph = { nodes: [], links: [] };
+  const nodeIds = new Set();
+  for (const raw of body.nodes) {
+    if (!raw || typeof raw.id !== 'string' || !GRAPH_ID.test(raw.id)) {
+      return { error: 'Every node needs a valid id' };
     }
-    
-    select {
-      background-color: var(--bg-tertiary);
-      color: var(--text-primary);
-      border: 1px solid var(--border-color);
-      border-radius: var(--radius-md);
-      padding: 0.5rem;
-      font-size: 0.9rem;
-      flex-grow: 1;
-      appearance: none;
-      background-image: url("data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='16' height='16' viewBox='0 0 24 24' fill='none' stroke='%23cbd5e1' stroke-width='2' stroke-linecap='round' stroke-linejoin='round'%3E%3Cpath d='M6 9l6 6 6-6'/%3E%3C/svg%3E");
-      background-repeat: no-repeat;
-      background-position: right 0.5rem center;
-      padding-right: 2.5rem;
+    if (nodeIds.has(raw.id)) return { error: `Duplicate node id "${raw.id}"` };
+    const { node, error } = validateNodeFields(raw, undefined, docIds);
+    if (error) return { error: `Node "${raw.id}": ${error}` };
+    nodeIds.add(raw.id);
+    graph.nodes.push({ id: raw.id, ...node });
+  }
+  const linkIds = new Set(body.links.map(l => l && l.id).filter(Boolean));
+  for (const raw of body.links) {
+    if (!raw || (raw.id !== undefined && (typeof raw.id !== 'string' || !GRAPH_ID.test(raw.id)))) {
+      return { error: 'Invalid link' };
     }
-    
-    select:focus {
-      outline: none;
-      border-color: var(--accent-primary);
+    const { link, error } = validateLinkFields(graph, raw);
+    if (error) return { error: `Link ${endpointId(raw.source)} -> ${endpointId(raw.target)}: ${error}` };
+    const id = raw.id || uniqueId('l', linkIds);
+    if (graph.links.some(l => l.id === id)) return { error: `Duplicate link id "${id}"` };
+    linkIds.add(id);
+    graph.links.push({ id, ...link });
+  }
+  return { graph };
+}
+
+// Graph view state, stored as the "graphLayout" setting
+const DEFAULT_GRAPH_LAYOUT = { frozen: false, transform: { x: 0, y: 0, k: 1 } };
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 4;
+
+// Validate a layout update: { frozen?, transform?: { x, y, k } }.
+// Returns { layout } merged onto `current`, or { error }.
+function validateGraphLayout(body, current) {
+  const layout = { ...current };
+  if (body.frozen !== undefined) {
+    if (typeof body.frozen !== 'boolean') return { error: 'frozen must be true or false' };
+    layout.frozen = body.frozen;
+  }
+  if (body.transform !== undefined) {
+    const t = body.transform;
+    if (!t || ![t.x, t.y, t.k].every(Number.isFinite) || t.k < MIN_ZOOM || t.k > MAX_ZOOM) {
+      return { error: `transform needs numeric x, y and a zoom k between ${MIN_ZOOM} and ${MAX_ZOOM}` };
     }
-    
-    #editor {
-      flex: 1;
-      background: var(--bg-primary);
-      color: var(--text-primary);
-      padding: 1.25rem;
-      border: none;
-      resize: none;
-      outline: none;
-      width: 100%;
-      height: 100%;
-      font-family: var(--font-mono);
-      font-size: 0.95rem;
-      line-height: 1.5;
-      overflow: auto;
-      box-shadow: inset 0 0 10px rgba(0,0,0,0.1);
+    layout.transform = { x: t.x, y: t.y, k: t.k };
+  }
+  return { layout };
+}
+
+// Validate node positions: { nodeId: { x, y } } for existing nodes. Returns an error or null.
+function positionsError(positions, graph) {
+  if (!positions || typeof positions !== 'object' || Array.isArray(positions)) {
+    return 'positions must map node ids to { x, y }';
+  }
+  for (const [id, pos] of Object.entries(positions)) {
+    if (!graph.nodes.some(n => n.id === id)) return `Unknown node "${id}"`;
+    if (!pos || !Number.isFinite(pos.x) || !Number.isFinite(pos.y)) return `Invalid position for node "${id}"`;
+  }
+  return null;
+}
+
+// Validate an issue's milestone reference: a node id, or null/'' to clear it.
+// Returns { milestoneId } (undefined when not given) or { error }.
+function validateMilestoneId(value, graph) {
+  if (value === undefined) return {};
+  if (value === null || value === '') return { milestoneId: null };
+  if (!graph.nodes.some(n => n.id === value)) return { error: 'Milestone node not found' };
+  return { milestoneId: value };
+}
+
+// Milestone progress: how many of the issues linked to a node are in a "done" column
+function milestoneProgress(nodeId, issues, board) {
+  const done = new Set(board.columns.filter(c => c.done).map(c => c.id));
+  const linked = issues.filter(i => i.milestoneId === nodeId);
+  return { done: linked.filter(i => done.has(i.status)).length, total: linked.length };
+}
+
+// ========== Graph analysis ==========
+// Links point from a milestone to what it enables. "alternative" links are not
+// dependencies: prerequisite analysis ignores them, while paths may cross them
+// in either direction.
+
+// Outgoing edges per node: Map nodeId => [{ to, linkId }]
+function graphEdges(graph, { reverse = false, alternatives = false } = {}) {
+  const edges = new Map(graph.nodes.map(n => [n.id, []]));
+  graph.links.forEach(l => {
+    if (l.type === 'alternative') {
+      if (!alternatives) return;
+      edges.get(l.target).push({ to: l.source, linkId: l.id });
     }
-    
-    #editor:focus {
-      box-shadow: inset 0 0 0 2px var(--accent-primary);
+    const [from, to] = reverse ? [l.target, l.source] : [l.source, l.target];
+    edges.get(from).push({ to, linkId: l.id });
+  });
+  return edges;
+}
+
+// Fewest-steps path between two nodes (BFS), or null if `to` is unreachable
+function shortestPath(graph, from, to) {
+  const edges = graphEdges(graph, { alternatives: true });
+  const cameFrom = new Map([[from, null]]);
+  const queue = [from];
+  while (queue.length && !cameFrom.has(to)) {
+    const id = queue.shift();
+    edges.get(id).forEach(edge => {
+      if (cameFrom.has(edge.to)) return;
+      cameFrom.set(edge.to, { node: id, linkId: edge.linkId });
+      queue.push(edge.to);
+    });
+  }
+  if (!cameFrom.has(to)) return null;
+  const nodes = [to];
+  const links = [];
+  for (let step = cameFrom.get(to); step; step = cameFrom.get(step.node)) {
+    nodes.unshift(step.node);
+    links.unshift(step.linkId);
+  }
+  return { nodes, links };
+}
+
+// Everything upstream of a node: its prerequisites (transitively) and the links between them
+function prerequisiteChain(graph, nodeId) {
+  const edges = graphEdges(graph, { reverse: true });
+  const seen = new Set([nodeId]);
+  const links = [];
+  const queue = [nodeId];
+  while (queue.length) {
+    edges.get(queue.shift()).forEach(edge => {
+      links.push(edge.linkId);
+      if (seen.has(edge.to)) return;
+      seen.add(edge.to);
+      queue.push(edge.to);
+    });
+  }
+  seen.delete(nodeId);
+  return { nodes: [...seen], links };
+}
+
+// Dependency cycles among the given nodes (Tarjan's strongly connected components)
+function findCycles(graph, nodeIds) {
+  const within = new Set(nodeIds);
+  const edges = graphEdges(graph);
+  const index = new Map();
+  const low = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const cycles = [];
+  let counter = 0;
+
+  function visit(id) {
+    index.set(id, counter);
+    low.set(id, counter++);
+    stack.push(id);
+    onStack.add(id);
+    edges.get(id).filter(e => within.has(e.to)).forEach(({ to }) => {
+      if (!index.has(to)) {
+        visit(to);
+        low.set(id, Math.min(low.get(id), low.get(to)));
+      } else if (onStack.has(to)) {
+        low.set(id, Math.min(low.get(id), index.get(to)));
+      }
+    });
+    if (low.get(id) === index.get(id)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== id);
+      if (component.length > 1) cycles.push(component.reverse());
     }
-    
-    .kanban-column {
-      flex: 1;
-      min-width: 280px;
-      background: var(--bg-secondary);
-      border-radius: var(--radius-lg);
-      display: flex;
-      flex-direction: column;
-      overflow: hidden;
-      box-shadow: var(--shadow-md);
-      border: 1px solid var(--border-color);
-      transition: var(--transition-normal);
+  }
+  within.forEach(id => { if (!index.has(id)) visit(id); });
+  return cycles;
+}
+
+// Topological order of the given nodes (Kahn's algorithm), earliest start date
+// first among nodes that are ready together. Nodes caught in or behind a cycle
+// are left out of `order` and returned as `blocked`.
+function topologicalOrder(graph, nodeIds) {
+  const within = new Set(nodeIds);
+  const byId = new Map(graph.nodes.map(n => [n.id, n]));
+  const edges = graphEdges(graph);
+  const inDegree = new Map(nodeIds.map(id => [id, 0]));
+  nodeIds.forEach(id => edges.get(id).forEach(e => {
+    if (within.has(e.to)) inDegree.set(e.to, inDegree.get(e.to) + 1);
+  }));
+  const sortKey = id => `${byId.get(id).startDate || '9999-99-99'} ${byId.get(id).name}`;
+  const ready = nodeIds.filter(id => inDegree.get(id) === 0);
+  const order = [];
+  while (ready.length) {
+    ready.sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+    const id = ready.shift();
+    order.push(id);
+    edges.get(id).forEach(e => {
+      if (!within.has(e.to)) return;
+      inDegree.set(e.to, inDegree.get(e.to) - 1);
+      if (inDegree.get(e.to) === 0) ready.push(e.to);
+    });
+  }
+  const ordered = new Set(order);
+  return { order, blocked: nodeIds.filter(id => !ordered.has(id)) };
+}
+
+// ========== Kanban board ==========
+// The board is a setting: { columns: [{ id, name, color, wipLimit, done, icon? }] }.
+// An issue's status is the id of its column; "done" columns count towards
+// milestone progress. WIP limits are advisory: the board warns, the API allows.
+const COLUMN_ID = /^[\w-]{1,32}$/;
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const COLUMN_ICON = /^fa-[a-z0-9-]{1,40}$/;
+const MAX_COLUMNS = 12;
+const MAX_COLUMN_NAME_LENGTH = 40;
+const MAX_WIP_LIMIT = 999;
+const DEFAULT_BOARD = {
+  columns: [
+    { id: 'todo', name: 'To Do', color: '#3b82f6', wipLimit: null, done: false, icon: 'fa-clipboard-list' },
+    { id: 'in-progress', name: 'In Progress', color: '#f59e0b', wipLimit: null, done: false, icon: 'fa-spinner' },
+    { id: 'done', name: 'Done', color: '#10b981', wipLimit: null, done: true, icon: 'fa-check-circle' }
+  ]
+};
+
+const getBoard = () => storage.getSetting('board', DEFAULT_BOARD);
+
+// Validate a board body => { board } or { error }
+function validateBoard(body) {
+  const { columns } = body || {};
+  if (!Array.isArray(columns) || columns.length === 0 || columns.length > MAX_COLUMNS) {
+    return { error: `A board needs between 1 and ${MAX_COLUMNS} columns` };
+  }
+  const ids = new Set();
+  const board = { columns: [] };
+  for (const column of columns) {
+    if (!column || typeof column !== 'object') return { error: 'Invalid column' };
+    const { id, color, wipLimit = null, done = false, icon } = column;
+    if (typeof id !== 'string' || !COLUMN_ID.test(id)) {
+      return { error: 'Column ids may only use letters, digits, "-" and "_" (at most 32)' };
     }
-    
-    .kanban-column.drag-over {
-      box-shadow: 0 0 0 2px var(--accent-primary), var(--shadow-lg);
-      transform: translateY(-2px);
+    if (ids.has(id)) return { error: `Duplicate column id "${id}"` };
+    ids.add(id);
+    const name = typeof column.name === 'string' ? column.name.trim() : '';
+    if (!name || name.length > MAX_COLUMN_NAME_LENGTH) {
+      return { error: `Column names must be 1 to ${MAX_COLUMN_NAME_LENGTH} characters` };
     }
-    
-    .kanban-header {
-      padding: 1rem;
-      font-weight: 600;
-      font-size: 1rem;
-      border-bottom: 1px solid var(--border-color);
-      display: flex;
-      align-items: center;
-      justify-content: space-between;
+    if (typeof color !== 'string' || !HEX_COLOR.test(color)) {
+      return { error: `Column "${name}" needs a color like #3b82f6` };
     }
-    
-    .kanban-header i {
-      margin-right: 0.5rem;
-      opacity: 0.7;
+    if (wipLimit !== null && (!Number.isInteger(wipLimit) || wipLimit < 1 || wipLimit > MAX_WIP_LIMIT)) {
+      return { error: `The WIP limit of "${name}" must be empty or a whole number from 1 to ${MAX_WIP_LIMIT}` };
     }
-    
-    .kanban-list {
-      flex: 1;
-      padding: 1rem;
-      overflow-y: auto;
-      display: flex;
-      flex-direction: column;
-      gap: 0.75rem;
+    if (typeof done !== 'boolean') return { error: `Column "${name}": done must be true or false` };
+    if (icon !== undefined && (typeof icon !== 'string' || !COLUMN_ICON.test(icon))) {
+      return { error: `Column "${name}" has an invalid icon` };
     }
-    
-    .kanban-footer {
-      padding: 0.75rem;
-      border-top: 1px solid var(--border-color);
+    board.columns.push({ id, name, color, wipLimit, done, ...(icon ? { icon } : {}) });
+  }
+  return { board };
+}
+
+// Validate an issue status against the board => { status } (undefined when not
+// given) or { error }
+function validateStatus(value, board) {
+  if (value === undefined) return {};
+  if (!board.columns.some(c => c.id === value)) return { error: `Unknown status "${value}"` };
+  return { status: value };
+}
+
+// Issues: { issueId, title, description, status, milestoneId, dueDate, priority,
+// labels: [{ name, color }], checklist: [{ id, text, done }], rank, activity }.
+// rank orders the cards of a column; it is only changed by the server (see
+// moveIssue), as is the activity log (see logActivity).
+const ISSUE_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const MAX_ISSUE_TITLE_LENGTH = 200;
+const MAX_ISSUE_DESCRIPTION_LENGTH = 10000;
+const MAX_ISSUE_LABELS = 10;
+const MAX_LABEL_LENGTH = 30;
+const MAX_CHECKLIST_ITEMS = 50;
+const MAX_CHECKLIST_TEXT_LENGTH = 200;
+
+// Validate issue fields from a request body, applied on top of `existing` (if
+// updating) or the defaults of a new issue. Unknown fields are dropped; null or
+// '' clears the due date and priority. Returns { issue } or { error }.
+function validateIssueFields(body, existing, graph, board) {
+  const issue = existing ? { ...existing } : {
+    title: 'Untitled',
+    description: '',
+    status: board.columns[0].id,
+    milestoneId: null,
+    dueDate: null,
+    priority: null,
+    labels: [],
+    checklist: []
+  };
+  if (body.title !== undefined) {
+    const title = typeof body.title === 'string' ? body.title.trim() : '';
+    if (title.length > MAX_ISSUE_TITLE_LENGTH || (!title && existing)) {
+      return { error: `Issue title is required (at most ${MAX_ISSUE_TITLE_LENGTH} characters)` };
     }
-    
-    /* Custom column colors */
-    #todo-column .kanban-header {
-      color: var(--accent-primary);
-      background-color: rgba(59, 130, 246, 0.1);
+    if (title) issue.title = title;
+  }
+  if (body.description !== undefined) {
+    const description = optionalText(body.description, MAX_ISSUE_DESCRIPTION_LENGTH);
+    if (description === null) {
+      return { error: `Issue description must be text of at most ${MAX_ISSUE_DESCRIPTION_LENGTH} characters` };
     }
-    
-    #inprogress-column .kanban-header {
-      color: var(--accent-warning);
-      background-color: rgba(245, 158, 11, 0.1);
+    issue.description = description;
+  }
+  const { status, error: statusError } = validateStatus(existing ? body.status : body.status || undefined, board);
+  if (statusError) return { error: statusError };
+  if (status !== undefined) issue.status = status;
+  const { milestoneId, error: milestoneError } = validateMilestoneId(body.milestoneId, graph);
+  if (milestoneError) return { error: milestoneError };
+  if (milestoneId !== undefined) issue.milestoneId = milestoneId;
+
+  const cleared = key => body[key] === null || body[key] === '';
+  if (body.dueDate !== undefined) {
+    if (!cleared('dueDate') && !isIsoDate(body.dueDate)) return { error: 'Issue dueDate must be a YYYY-MM-DD date' };
+    issue.dueDate = cleared('dueDate') ? null : body.dueDate;
+  }
+  if (body.priority !== undefined) {
+    if (!cleared('priority') && !ISSUE_PRIORITIES.includes(body.priority)) {
+      return { error: `Issue priority must be one of: ${ISSUE_PRIORITIES.join(', ')}` };
     }
-    
-    #done-column .kanban-header {
-      color: var(--accent-success);
-      background-color: rgba(16, 185, 129, 0.1);
+    issue.priority = cleared('priority') ? null : body.priority;
+  }
+  if (body.labels !== undefined) {
+    if (!Array.isArray(body.labels) || body.labels.length > MAX_ISSUE_LABELS) {
+      return { error: `Issue labels must be a list of at most ${MAX_ISSUE_LABELS} labels` };
     }
-    
-    .issue-card {
-      background: var(--bg-tertiary);
-      padding: 1rem;
-      border-radius: var(--radius-md);
-      position: relative;
-      box-shadow: var(--shadow-sm);
-      border: 1px solid var(--border-color);
-      cursor: move;
-      transition: var(--transition-normal);
+    const names = new Set();
+    issue.labels = [];
+    for (const label of body.labels) {
+      const name = label && typeof label.name === 'string' ? label.name.trim() : '';
+      if (!name || name.length > MAX_LABEL_LENGTH) {
+        return { error: `Label names must be 1 to ${MAX_LABEL_LENGTH} characters` };
+      }
+      if (typeof label.color !== 'string' || !HEX_COLOR.test(label.color)) {
+        return { error: `Label "${name}" needs a color like #3b82f6` };
+      }
+      if (names.has(name.toLowerCase())) return { error: `Duplicate label "${name}"` };
+      names.add(name.toLowerCase());
+      issue.labels.push({ name, color: label.color });
     }
-    
-    .issue-card:hover {
-      box-shadow: var(--shadow-md);
-      transform: translateY(-2px);
+  }
+  if (body.checklist !== undefined) {
+    if (!Array.isArray(body.checklist) || body.checklist.length > MAX_CHECKLIST_ITEMS) {
+      return { error: `Issue checklist must be a list of at most ${MAX_CHECKLIST_ITEMS} items` };
     }
-    
-    .issue-title {
+    const ids = new Set();
+    issue.checklist = [];
+    for (const item of body.checklist) {
+      const text = item && typeof item.text === 'string' ? item.text.trim() : '';
+      if (!text || text.length > MAX_CHECKLIST_TEXT_LENGTH) {
+        return { error: `Checklist items must be 1 to ${MAX_CHECKLIST_TEXT_LENGTH} characters` };
+      }
+      if (item.done !== undefined && typeof item.done !== 'boolean') {
+        return { error: 'Checklist item done must be true or false' };
+      }
+      // Items keep their id across edits; new ones get one here
+      const id = typeof item.id === 'string' && GRAPH_ID.test(item.id) && !ids.has(item.id)
+        ? item.id
+        : uniqueId('c', ids);
+      ids.add(id);
+      issue.checklist.push({ id, text, done: !!item.done });
+    }
+  }
+  return { issue };
+}
+
+// Activity log entries: { id, at, type, ... } where type is 'created', 'restored',
+// 'status' ({ from, to }), 'edit' ({ changes: [{ field, from, to }] }) or
+// 'comment' ({ text })
+const MAX_COMMENT_LENGTH = 5000;
+const LOGGED_FIELDS = ['title', 'description', 'priority', 'dueDate', 'milestoneId', 'labels', 'checklist'];
+
+// Append an entry to an issue's activity log (a new array, so a copy of a stored
+// issue never changes the stored one's log)
+function logActivity(issue, entry) {
+  const ids = new Set(issue.activity.map(a => a.id));
+  issue.activity = [...issue.activity, { id: uniqueId('a', ids), at: new Date().toISOString(), ...entry }];
+}
+
+// A field's value as logged: labels by name, the checklist as a done count and
+// no copy of the description (the entry only says it changed)
+function loggedValue(issue, field) {
+  if (field === 'labels') return issue.labels.map(l => l.name).join(', ');
+  if (field === 'checklist') return `${issue.checklist.filter(c => c.done).length}/${issue.checklist.length} done`;
+  if (field === 'description') return null;
+  return issue[field];
+}
+
+// Log what an update changed: a 'status' entry for a column change and one
+// 'edit' entry for everything else
+function logChanges(before, after) {
+  if (before.status !== after.status) {
+    logActivity(after, { type: 'status', from: before.status, to: after.status });
+  }
+  const changes = LOGGED_FIELDS
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, from: loggedValue(before, field), to: loggedValue(after, field) }));
+  if (changes.length > 0) logActivity(after, { type: 'edit', changes });
+}
+
+// Issues sorted by rank, so the cards of each column come in board order
+function orderedIssues() {
+  return [...storage.listIssues()].sort((a, b) => a.rank - b.rank);
+}
+
+// Rank that puts an issue at the bottom of a column
+function nextRank(status) {
+  const ranks = storage.listIssues().filter(i => i.status === status).map(i => i.rank);
+  return ranks.length ? Math.max(...ranks) + 1 : 0;
+}
+
+// Put an issue at `index` among the other cards of column `status`, renumbering
+// the column's ranks; returns the index it ended up at
+function moveIssue(issue, status, index) {
+  const column = orderedIssues().filter(i => i.status === status && i.issueId !== issue.issueId);
+  const at = Math.min(index, column.length);
+  column.splice(at, 0, issue);
+  issue.status = status;
+  column.forEach((card, rank) => {
+    if (card.rank === rank && card !== issue) return;
+    card.rank = rank;
+    storage.saveIssue(card);
+  });
+  return at;
+}
+
+// ========== Search index ==========
+// An inverted index over milestone names and notes, document titles, every
+// committed version (content plus commit message and tag) and issues (title,
+// description and comments). Results are ranked with BM25; words in a title
+// count TITLE_WEIGHT times.
+const MAX_SEARCH_RESULTS = 30;
+const MAX_SEARCH_QUERY_LENGTH = 200;
+const MAX_VERSION_RESULTS_PER_DOC = 3; // a match usually survives many commits
+const SNIPPET_RADIUS = 60;
+const TITLE_WEIGHT = 3;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+function searchWords(text) {
+  return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// { entries: [{ kind, title, text, ...ids }], terms: Map(term => Map(entry => weight)), avgLength }
+function buildSearchIndex(graph, documents, issues) {
+  const entries = [];
+  graph.nodes.forEach(node => {
+    entries.push({ kind: 'node', nodeId: node.id, title: node.name, text: node.notes || '' });
+  });
+  documents.forEach(doc => {
+    entries.push({ kind: 'document', docId: doc.docId, title: doc.title, text: '' });
+    doc.versions.forEach((v, version) => {
+      entries.push({
+        kind: 'version',
+        docId: doc.docId,
+        docTitle: doc.title,
+        version,
+        branch: v.branch,
+        timestamp: v.timestamp,
+        title: [v.message, v.tag].filter(Boolean).join(' · '),
+        text: v.content || ''
+      });
+    });
+  });
+  issues.forEach(issue => {
+    const comments = issue.activity.filter(a => a.type === 'comment').map(a => a.text);
+    entries.push({
+      kind: 'issue',
+      issueId: issue.issueId,
+      status: issue.status,
+      title: issue.title,
+      text: [issue.description, ...comments].filter(Boolean).join('\n')
+    });
+  });
+
+  const terms = new Map();
+  let totalLength = 0;
+  entries.forEach(entry => {
+    const weights = new Map();
+    const add = (word, weight) => weights.set(word, (weights.get(word) || 0) + weight);
+    searchWords(entry.title).forEach(word => add(word, TITLE_WEIGHT));
+    searchWords(entry.text).forEach(word => add(word, 1));
+    entry.length = [...weights.values()].reduce((sum, w) => sum + w, 0);
+    totalLength += entry.length;
+    weights.forEach((weight, word) => {
+      if (!terms.has(word)) terms.set(word, new Map());
+      terms.get(word).set(entry, weight);
+    });
+  });
+  return { entries, terms, avgLength: totalLength / (entries.length || 1) };
+}
+
+// Every query word must match a word of the entry, exactly or as its prefix
+// (prefix matches score half, so "acme" ranks "Acme" above "Acmeville")
+function searchIn(index, query) {
+  const words = [...new Set(searchWords(query))];
+  if (words.length === 0) return { words, total: 0, results: [] };
+  const vocabulary = [...index.terms.keys()];
+  let scores = null;
+  for (const word of words) {
+    const wordScores = new Map();
+    vocabulary.filter(term => term.startsWith(word)).forEach(term => {
+      const postings = index.terms.get(term);
+      const idf = Math.log(1 + (index.entries.length - postings.size + 0.5) / (postings.size + 0.5));
+      const factor = term === word ? 1 : 0.5;
+      postings.forEach((weight, entry) => {
+        const norm = BM25_K1 * (1 - BM25_B + BM25_B * entry.length / index.avgLength);
+        const score = factor * idf * weight * (BM25_K1 + 1) / (weight + norm);
+        wordScores.set(entry, Math.max(wordScores.get(entry) || 0, score));
+      });
+    });
+    scores = scores === null
+      ? wordScores
+      : new Map([...scores].filter(([entry]) => wordScores.has(entry))
+        .map(([entry, score]) => [entry, score + wordScores.get(entry)]));
+    if (scores.size === 0) break;
+  }
+
+  const ranked = [...scores]
+    .sort(([a, scoreA], [b, scoreB]) => scoreB - scoreA || String(b.timestamp || '').localeCompare(String(a.timestamp || '')));
+  const versionsPerDoc = new Map();
+  const results = [];
+  for (const [entry, score] of ranked) {
+    if (results.length === MAX_SEARCH_RESULTS) break;
+    if (entry.kind === 'version') {
+      const count = versionsPerDoc.get(entry.docId) || 0;
+      if (count === MAX_VERSION_RESULTS_PER_DOC) continue;
+      versionsPerDoc.set(entry.docId, count + 1);
+    }
+    const { text, length, ...result } = entry;
+    results.push({ ...result, score: Math.round(score * 1000) / 1000, snippet: searchSnippet(text || entry.title, words) });
+  }
+  return { words, total: scores.size, results };
+}
+
+// Text around the first match of any query word (at a word start), on one line
+function searchSnippet(text, words) {
+  const escaped = words.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const match = new RegExp(`(^|[^\\p{L}\\p{N}])(${escaped.join('|')})`, 'iu').exec(text);
+  const at = match ? match.index + match[1].length : 0;
+  const start = Math.max(0, at - SNIPPET_RADIUS);
+  const end = Math.min(text.length, at + SNIPPET_RADIUS * 2);
+  return (start > 0 ? '…' : '') + text.slice(start, end).replace(/\s+/g, ' ').trim() + (end < text.length ? '…' : '');
+}
+
+// ========== Workspace bundles ==========
+// A bundle is a whole workspace as one JSON file:
+//   { format: 'careerhub-workspace', bundleVersion, exportedAt, schemaVersion,
+//     graphData, documents (with full history and drafts), issues, settings }
+// i.e. the store (see Storage) plus a header. Bundles from older schema
+// versions are migrated on import like an old careerData.json.
+const BUNDLE_FORMAT = 'careerhub-workspace';
+const BUNDLE_VERSION = 1;
+const MAX_BUNDLE_SIZE = '50mb';
+
+function exportBundle(store) {
+  return {
+    format: BUNDLE_FORMAT,
+    bundleVersion: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    schemaVersion: store.schemaVersion,
+    graphData: store.graphData,
+    documents: store.documents,
+    issues: store.issues,
+    settings: store.settings
+  };
+}
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+const isVersionIndex = (doc, value) => Number.isInteger(value) && value >= 0 && value < doc.versions.length;
+
+// Check a migrated document's history => error message or null
+function documentError(doc) {
+  if (typeof doc.title !== 'string') return 'title must be text';
+  for (const [i, v] of doc.versions.entries()) {
+    const parents = [v.parent, v.mergeParent].filter(p => p !== null && p !== undefined);
+    if (!parents.every(p => Number.isInteger(p) && p >= 0 && p < i)) return `version ${i} has an invalid parent`;
+    if (typeof v.branch !== 'string') return `version ${i} has no branch`;
+  }
+  if (!isPlainObject(doc.branches) || !Object.values(doc.branches).every(head => isVersionIndex(doc, head))) {
+    return 'branches must map names to version indices';
+  }
+  if (!(doc.currentBranch in doc.branches)) return 'currentBranch is not one of its branches';
+  if (!isVersionIndex(doc, doc.currentVersion)) return 'currentVersion is out of range';
+  if (doc.merge !== null && !(isPlainObject(doc.merge) && typeof doc.merge.content === 'string' && isVersionIndex(doc, doc.merge.theirs))) {
+    return 'invalid merge in progress';
+  }
+  if (doc.draft !== null && !(isPlainObject(doc.draft) && typeof doc.draft.content === 'string')) {
+    return 'invalid draft';
+  }
+  return null;
+}
+
+// Validate an uploaded bundle and bring it up to SCHEMA_VERSION.
+// Returns { data } in store shape or { error }; the body is not modified.
+function validateBundle(body) {
+  if (!isPlainObject(body) || body.format !== BUNDLE_FORMAT) {
+    return { error: 'Not a workspace bundle (expected an export of this app)' };
+  }
+  if (!Number.isInteger(body.bundleVersion) || body.bundleVersion < 1 || body.bundleVersion > BUNDLE_VERSION) {
+    return { error: `Unsupported bundle version ${body.bundleVersion}` };
+  }
+  const { schemaVersion = 0, graphData, documents, issues, settings = {} } = body;
+  if (!Number.isInteger(schemaVersion) || schemaVersion < 0) return { error: 'Invalid schemaVersion' };
+  if (schemaVersion > SCHEMA_VERSION) {
+    return { error: 'This bundle was exported by a newer version of the app' };
+  }
+  if (!isPlainObject(graphData) || !Array.isArray(documents) || !Array.isArray(issues) || !isPlainObject(settings)) {
+    return { error: 'A bundle needs graphData, documents and issues' };
+  }
+
+  // Enough structure for the migrations to run on a copy
+  const data = JSON.parse(JSON.stringify({ schemaVersion, graphData, documents, issues, settings }));
+  const docIds = new Set();
+  for (const doc of data.documents) {
+    if (!isPlainObject(doc) || typeof doc.docId !== 'string' || !GRAPH_ID.test(doc.docId)) {
+      return { error: 'Every document needs a valid docId' };
+    }
+    if (docIds.has(doc.docId)) return { error: `Duplicate document id "${doc.docId}"` };
+    docIds.add(doc.docId);
+    if (!Array.isArray(doc.versions) || doc.versions.length === 0 ||
+        !doc.versions.every(v => isPlainObject(v) && typeof v.content === 'string')) {
+      return { error: `Document "${doc.docId}" needs at least one version with text content` };
+    }
+  }
+  if (!data.issues.every(isPlainObject)) return { error: 'Invalid issue' };
+  try {
+    migrateStore(data);
+  } catch (err) {
+    return { error: `The bundle could not be upgraded: ${err.message}` };
+  }
+
+  for (const doc of data.documents) {
+    const error = documentError(doc);
+    if (error) return { error: `Document "${doc.docId}": ${error}` };
+  }
+  const { graph, error: graphError } = validateGraph(data.graphData, docIds);
+  if (graphError) return { error: graphError };
+  data.graphData = graph;
+
+  const validSettings = {};
+  if (data.settings.board !== undefined) {
+    const { board, error } = validateBoard(data.settings.board);
+    if (error) return { error: `Board: ${error}` };
+    validSettings.board = board;
+  }
+  if (data.settings.graphLayout !== undefined) {
+    const { layout, error } = validateGraphLayout(data.settings.graphLayout || {}, DEFAULT_GRAPH_LAYOUT);
+    if (error) return { error: `Graph layout: ${error}` };
+    validSettings.graphLayout = layout;
+  }
+  data.settings = validSettings;
+
+  // Statuses are kept even without a column: the board shows those cards apart
+  const issueIds = new Set();
+  const validIssues = [];
+  for (const raw of data.issues) {
+    if (typeof raw.issueId !== 'string' || !GRAPH_ID.test(raw.issueId)) return { error: 'Every issue needs a valid issueId' };
+    if (issueIds.has(raw.issueId)) return { error: `Duplicate issue id "${raw.issueId}"` };
+    issueIds.add(raw.issueId);
+    if (typeof raw.status !== 'string' || !COLUMN_ID.test(raw.status)) {
+      return { error: `Issue "${raw.issueId}" has an invalid status` };
+    }
+    const { status, ...fields } = raw;
+    const { issue, error } = validateIssueFields(fields, undefined, graph, DEFAULT_BOARD);
+    if (error) return { error: `Issue "${raw.issueId}": ${error}` };
+    validIssues.push({
+      issueId: raw.issueId,
+      ...issue,
+      status,
+      rank: Number.isFinite(raw.rank) ? raw.rank : validIssues.length,
+      activity: (Array.isArray(raw.activity) ? raw.activity : [])
+        .filter(a => isPlainObject(a) && ['id', 'at', 'type'].every(key => typeof a[key] === 'string'))
+    });
+  }
+  data.issues = validIssues;
+  return { data };
+}
+
+// Add a validated bundle to the current store. Nodes, links, documents and
+// issues whose ids are taken get new ones, and references to them follow;
+// imported cards go below the existing ones of their column, and columns the
+// board lacks are appended (if it has room). Returns { data, remapped }.
+function mergeBundle(current, incoming) {
+  let remapped = 0;
+  // Remap ids taken in `current`; new ids also avoid every incoming one
+  function remap(prefix, currentIds, incomingIds) {
+    const taken = new Set([...currentIds, ...incomingIds]);
+    const map = new Map();
+    incomingIds.forEach(id => {
+      if (!currentIds.includes(id)) return map.set(id, id);
+      const newId = uniqueId(prefix, taken);
+      taken.add(newId);
+      map.set(id, newId);
+      remapped++;
+    });
+    return map;
+  }
+  const nodeIds = remap('n', current.graphData.nodes.map(n => n.id), incoming.graphData.nodes.map(n => n.id));
+  const linkIds = remap('l', current.graphData.links.map(l => l.id), incoming.graphData.links.map(l => l.id));
+  const docIds = remap('doc_', current.documents.map(d => d.docId), incoming.documents.map(d => d.docId));
+  const issueIds = remap('issue_', current.issues.map(i => i.issueId), incoming.issues.map(i => i.issueId));
+
+  const nodes = incoming.graphData.nodes.map(node => ({
+    ...node,
+    id: nodeIds.get(node.id),
+    ...(node.docIds ? { docIds: node.docIds.map(id => docIds.get(id)) } : {})
+  }));
+  const links = incoming.graphData.links.map(link => ({
+    ...link,
+    id: linkIds.get(link.id),
+    source: nodeIds.get(link.source),
+    target: nodeIds.get(link.target)
+  }));
+  const documents = incoming.documents.map(doc => ({ ...doc, docId: docIds.get(doc.docId) }));
+
+  const nextRanks = new Map();
+  current.issues.forEach(i => nextRanks.set(i.status, Math.max(nextRanks.get(i.status) || 0, i.rank + 1)));
+  const issues = [...incoming.issues].sort((a, b) => a.rank - b.rank).map(issue => {
+    const rank = nextRanks.get(issue.status) || 0;
+    nextRanks.set(issue.status, rank + 1);
+    return {
+      ...issue,
+      issueId: issueIds.get(issue.issueId),
+      milestoneId: issue.milestoneId === null ? null : nodeIds.get(issue.milestoneId),
+      rank
+    };
+  });
+
+  const settings = { ...current.settings };
+  const currentBoard = current.settings.board || DEFAULT_BOARD;
+  const newColumns = (incoming.settings.board || DEFAULT_BOARD).columns
+    .filter(column => !currentBoard.columns.some(c => c.id === column.id));
+  if (newColumns.length) {
+    const { board, error } = validateBoard({ columns: [...currentBoard.columns, ...newColumns] });
+    if (!error) settings.board = board;
+  }
+
+  return {
+    remapped,
+    data: {
+      schemaVersion: SCHEMA_VERSION,
+      graphData: { nodes: [...current.graphData.nodes, ...nodes], links: [...current.graphData.links, ...links] },
+      documents: [...current.documents, ...documents],
+      issues: [...current.issues, ...issues],
+      settings
+    }
+  };
+}
+
+// ========== Markdown rendering & export ==========
+// Same $$...$$ / $...$ math syntax as the editor preview
+function mathExtensions(render) {
+  return [
+    {
+      name: 'blockMath',
+      level: 'block',
+      start(src) {
+        const index = src.indexOf('$$');
+        return index === -1 ? undefined : index;
+      },
+      tokenizer(src) {
+        const match = /^\$\$([\s\S]+?)\$\$[ \t]*(?:\n+|$)/.exec(src);
+        if (match) {
+          return { type: 'blockMath', raw: match[0], text: match[1].trim() };
+        }
+      },
+      renderer(token) {
+        return render(token.text, true);
+      }
+    },
+    {
+      name: 'inlineMath',
+      level: 'inline',
+      start(src) {
+        const index = src.indexOf('$');
+        return index === -1 ? undefined : index;
+      },
+      tokenizer(src) {
+        const match = /^\$(?!\$)([^\s$](?:[^$]*?[^\s$])?)\$(?!\d)/.exec(src);
+        if (match) {
+          return { type: 'inlineMath', raw: match[0], text: match[1] };
+        }
+      },
+      renderer(token) {
+        return render(token.text, false);
+      }
+    }
+  ];
+}
+
+// MathML output needs no stylesheet or fonts, so exported HTML works offline
+const markdown = new Marked().use({
+  extensions: mathExtensions((tex, displayMode) =>
+    katex.renderToString(tex, { displayMode, output: 'mathml', throwOnError: false }))
+});
+
+const EXPORT_STYLES = `
+  body {
+    max-width: 46rem;
+    margin: 2.5rem auto;
+    padding: 0 1.5rem;
+    font-family: Georgia, 'Times New Roman', serif;
+    font-size: 11.5pt;
+    line-height: 1.55;
+    color: #111;
+  }
+  h1, h2, h3, h4 { font-family: 'Helvetica Neue', Arial, sans-serif; line-height: 1.25; margin: 1.4em 0 0.5em; }
+  h1 { font-size: 1.8em; border-bottom: 1px solid #ccc; padding-bottom: 0.2em; }
+  a { color: #1d4ed8; }
+  code { font-family: 'Courier New', monospace; font-size: 0.9em; background: #f3f4f6; padding: 0 0.2em; }
+  pre { background: #f3f4f6; padding: 0.75em; overflow-x: auto; }
+  pre code { background: none; padding: 0; }
+  blockquote { margin: 0 0 1em; padding-left: 1em; border-left: 3px solid #ccc; color: #444; }
+  table { border-collapse: collapse; margin-bottom: 1em; }
+  th, td { border: 1px solid #bbb; padding: 0.3em 0.6em; }
+  hr { border: none; border-top: 1px solid #ccc; }
+  @page { margin: 2cm; }
+  @media print {
+    body { margin: 0; max-width: none; padding: 0; }
+    a { color: inherit; text-decoration: none; }
+    h1, h2, h3 { page-break-after: avoid; }
+    pre, blockquote, table { page-break-inside: avoid; }
+  }
+`;
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[ch]);
+}
+
+// marked keeps inline text HTML-escaped; PDF and DOCX want the plain characters
+function decodeEntities(text) {
+  return String(text).replace(/&(amp|lt|gt|quot|#39);/g, (m, name) => ({
+    amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'"
+  })[name]);
+}
+
+function renderHtmlExport(title, content) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <title>${escapeHtml(title)}</title>
+  <style>${EXPORT_STYLES}</style>
+</head>
+<body>
+${markdown.parse(content || '')}
+</body>
+</html>
+`;
+}
+
+// Flatten marked inline tokens into styled runs: { text, bold, italic, code, strike, link }
+function inlineRuns(tokens, style = {}) {
+  const runs = [];
+  (tokens || []).forEach(token => {
+    switch (token.type) {
+      case 'strong':
+        runs.push(...inlineRuns(token.tokens, { ...style, bold: true }));
+        break;
+      case 'em':
+        runs.push(...inlineRuns(token.tokens, { ...style, italic: true }));
+        break;
+      case 'del':
+        runs.push(...inlineRuns(token.tokens, { ...style, strike: true }));
+        break;
+      case 'link':
+        runs.push(...inlineRuns(token.tokens, { ...style, link: token.href }));
+        break;
+      case 'codespan':
+        runs.push({ ...style, code: true, text: decodeEntities(token.text) });
+        break;
+      case 'inlineMath':
+        // TeX source; rendered math is only available in the HTML export
+        runs.push({ ...style, code: true, text: token.text });
+        break;
+      case 'image':
+        runs.push({ ...style, italic: true, text: `[${token.text || 'image'}]` });
+        break;
+      case 'br':
+        runs.push({ ...style, text: '\n' });
+        break;
+      case 'html':
+        runs.push({ ...style, text: token.text.replace(/<[^>]*>/g, '') });
+        break;
+      default:
+        // Soft line breaks inside a paragraph read as spaces
+        if (token.tokens) runs.push(...inlineRuns(token.tokens, style));
+        else runs.push({ ...style, text: decodeEntities(token.text || '').replace(/\n/g, ' ') });
+    }
+  });
+  return runs.filter(run => run.text !== '');
+}
+
+// List items hold block tokens; tight lists use bare 'text' tokens for their lines
+function listItemBlocks(item) {
+  return item.tokens.map(token => (token.type === 'text'
+    ? { type: 'paragraph', tokens: token.tokens || [{ type: 'text', text: token.text }] }
+    : token));
+}
+
+function pdfFont(run) {
+  if (run.code) return 'Courier';
+  if (run.bold && run.italic) return 'Helvetica-BoldOblique';
+  if (run.bold) return 'Helvetica-Bold';
+  if (run.italic) return 'Helvetica-Oblique';
+  return 'Helvetica';
+}
+
+function writePdfRuns(pdf, runs, opts = {}) {
+  const x = pdf.page.margins.left + (opts.indent || 0);
+  const width = pdf.page.width - pdf.page.margins.right - x;
+  const list = runs.length > 0 ? runs : [{ text: ' ' }];
+  list.forEach((run, i) => {
+    pdf.font(pdfFont({ ...opts.style, ...run }))
+      .fontSize(opts.fontSize || 11)
+      .fillColor(run.link ? '#1d4ed8' : opts.color || '#111111');
+    const options = {
+      continued: i < list.length - 1,
+      link: run.link || null,
+      underline: !!run.link,
+      strike: !!run.strike,
+      width,
+      lineGap: 2
+    };
+    if (i === 0) pdf.text(run.text, x, pdf.y, options);
+    else pdf.text(run.text, options);
+  });
+  pdf.moveDown(opts.spacing === undefined ? 0.5 : opts.spacing);
+}
+
+function writePdfTable(pdf, token) {
+  const left = pdf.page.margins.left;
+  const width = pdf.page.width - pdf.page.margins.right - left;
+  const colWidth = width / token.header.length;
+  [token.header, ...token.rows].forEach((row, r) => {
+    const texts = row.map(cell => inlineRuns(cell.tokens).map(run => run.text).join(''));
+    pdf.font(r === 0 ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+    const height = Math.max(...texts.map(text => pdf.heightOfString(text, { width: colWidth - 8 }))) + 6;
+    if (pdf.y + height > pdf.page.height - pdf.page.margins.bottom) pdf.addPage();
+    const y = pdf.y;
+    texts.forEach((text, c) => {
+      pdf.rect(left + c * colWidth, y, colWidth, height).lineWidth(0.5).stroke('#999999');
+      pdf.fillColor('#111111').text(text, left + c * colWidth + 4, y + 3, { width: colWidth - 8 });
+    });
+    pdf.y = y + height;
+  });
+  pdf.x = left;
+  pdf.moveDown(0.5);
+}
+
+function writePdfBlocks(pdf, tokens, depth = 0) {
+  const indent = depth * 18;
+  tokens.forEach(token => {
+    switch (token.type) {
+      case 'heading':
+        pdf.moveDown(0.3);
+        writePdfRuns(pdf, inlineRuns(token.tokens), {
+          indent,
+          style: { bold: true },
+          fontSize: [20, 16, 13, 12, 11, 11][token.depth - 1],
+          spacing: 0.3
+        });
+        break;
+      case 'paragraph':
+        writePdfRuns(pdf, inlineRuns(token.tokens), { indent });
+        break;
+      case 'text':
+        writePdfRuns(pdf, inlineRuns(token.tokens || [token]), { indent });
+        break;
+      case 'list':
+        token.items.forEach((item, i) => {
+          const marker = token.ordered ? `${(Number(token.start) || 1) + i}. ` : '• ';
+          const [first, ...rest] = listItemBlocks(item);
+          const runs = first && first.type === 'paragraph' ? inlineRuns(first.tokens) : [];
+          writePdfRuns(pdf, [{ text: marker }, ...runs], { indent: indent + 6, spacing: 0.2 });
+          const nested = first && first.type === 'paragraph' ? rest : [first, ...rest];
+          writePdfBlocks(pdf, nested.filter(Boolean), depth + 1);
+        });
+        pdf.moveDown(0.3);
+        break;
+      case 'blockquote':
+        writePdfBlocks(pdf, token.tokens, depth + 1);
+        break;
+      case 'code':
+      case 'blockMath':
+        writePdfRuns(pdf, [{ text: token.text, code: true }], {
+          indent: indent + 12,
+          fontSize: 9.5,
+          color: '#333333'
+        });
+        break;
+      case 'table':
+        writePdfTable(pdf, token);
+        break;
+      case 'hr': {
+        const y = pdf.y + 4;
+        pdf.moveTo(pdf.page.margins.left, y)
+          .lineTo(pdf.page.width - pdf.page.margins.right, y)
+          .lineWidth(0.5)
+          .stroke('#999999');
+        pdf.moveDown(1);
+        break;
+      }
+      case 'html':
+        writePdfRuns(pdf, [{ text: token.text.replace(/<[^>]*>/g, '').trim() }], { indent });
+        break;
+      default:
+        break;
+    }
+  });
+}
+
+// => Promise of the PDF as a Buffer
+function renderPdfExport(title, content) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({ size: 'A4', margin: 56, info: { Title: title } });
+    const chunks = [];
+    pdf.on('data', chunk => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+    writePdfBlocks(pdf, markdown.lexer(content || ''));
+    pdf.end();
+  });
+}
+
+function docxRuns(runs) {
+  return runs.map(run => {
+    if (run.text === '\n') return new docx.TextRun({ break: 1 });
+    const textRun = new docx.TextRun({
+      text: run.text,
+      bold: run.bold,
+      italics: run.italic,
+      strike: run.strike,
+      font: run.code ? 'Courier New' : undefined,
+      style: run.link ? 'Hyperlink' : undefined
+    });
+    return run.link ? new docx.ExternalHyperlink({ link: run.link, children: [textRun] }) : textRun;
+  });
+}
+
+function docxBlocks(tokens, state, depth = 0) {
+  const HEADINGS = [
+    docx.HeadingLevel.HEADING_1,
+    docx.HeadingLevel.HEADING_2,
+    docx.HeadingLevel.HEADING_3,
+    docx.HeadingLevel.HEADING_4,
+    docx.HeadingLevel.HEADING_5,
+    docx.HeadingLevel.HEADING_6
+  ];
+  const indent = depth > 0 ? { left: 720 * depth } : undefined;
+  const out = [];
+  tokens.forEach(token => {
+    switch (token.type) {
+      case 'heading':
+        out.push(new docx.Paragraph({ heading: HEADINGS[token.depth - 1], children: docxRuns(inlineRuns(token.tokens)) }));
+        break;
+      case 'paragraph':
+      case 'text':
+        out.push(new docx.Paragraph({ indent, children: docxRuns(inlineRuns(token.tokens || [token])) }));
+        break;
+      case 'list': {
+        // Each ordered list gets its own numbering instance so it restarts at 1
+        const instance = ++state.listInstance;
+        token.items.forEach(item => {
+          const [first, ...rest] = listItemBlocks(item);
+          const runs = first && first.type === 'paragraph' ? inlineRuns(first.tokens) : [];
+          out.push(new docx.Paragraph({
+            children: docxRuns(runs),
+            ...(token.ordered
+              ? { numbering: { reference: 'ordered-list', level: Math.min(depth, 8), instance } }
+              : { bullet: { level: Math.min(depth, 8) } })
+          }));
+          const nested = first && first.type === 'paragraph' ? rest : [first, ...rest];
+          out.push(...docxBlocks(nested.filter(Boolean), state, depth + 1));
+        });
+        break;
+      }
+      case 'blockquote':
+        out.push(...docxBlocks(token.tokens, state, depth + 1));
+        break;
+      case 'code':
+      case 'blockMath':
+        token.text.split('\n').forEach(line => {
+          out.push(new docx.Paragraph({
+            indent: { left: 720 * (depth + 1) },
+            spacing: { after: 0 },
+            children: [new docx.TextRun({ text: line, font: 'Courier New', size: 19 })]
+          }));
+        });
+        out.push(new docx.Paragraph({ children: [] }));
+        break;
+      case 'table':
+        out.push(new docx.Table({
+          width: { size: 100, type: docx.WidthType.PERCENTAGE },
+          rows: [token.header, ...token.rows].map((row, r) => new docx.TableRow({
+            tableHeader: r === 0,
+            children: row.map(cell => new docx.TableCell({
+              children: [new docx.Paragraph({
+                children: docxRuns(inlineRuns(cell.tokens).map(run => ({ ...run, bold: run.bold || r === 0 })))
+              })]
+            }))
+          }))
+        }));
+        out.push(new docx.Paragraph({ children: [] }));
+        break;
+      case 'hr':
+        out.push(new docx.Paragraph({
+          border: { bottom: { style: docx.BorderStyle.SINGLE, size: 6, color: '999999', space: 1 } },
+          children: []
+        }));
+        break;
+      case 'html':
+        out.push(new docx.Paragraph({ indent, children: [new docx.TextRun(token.text.replace(/<[^>]*>/g, '').trim())] }));
+        break;
+      default:
+        break;
+    }
+  });
+  return out;
+}
+
+function renderDocxExport(title, content) {
+  const docxDocument = new docx.Document({
+    title,
+    numbering: {
+      config: [{
+        reference: 'ordered-list',
+        levels: Array.from({ length: 9 }, (unused, level) => ({
+          level,
+          format: docx.LevelFormat.DECIMAL,
+          text: `%${level + 1}.`,
+          alignment: docx.AlignmentType.START,
+          style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } }
+        }))
+      }]
+    },
+    sections: [{ children: docxBlocks(markdown.lexer(content || ''), { listInstance: 0 }) }]
+  });
+  return docx.Packer.toBuffer(docxDocument);
+}
+
+// ========== Storage backend selection ==========
+if (process.argv[2] === 'migrate-to-sqlite') {
+  migrateJsonToSqlite(process.argv[3] || DB_FILE);
+  process.exit(0);
+}
+if (!['json', 'sqlite'].includes(STORAGE_BACKEND)) {
+  console.error(`Unknown CAREERHUB_STORAGE "${STORAGE_BACKEND}" (expected "json" or "sqlite")`);
+  process.exit(1);
+}
+
+// ========== Workspaces ==========
+// Every account works in its own store. The first account keeps the store that
+// predates accounts (careerData.json or careerData.sqlite); later ones get a
+// file named after their user id in careerData.workspaces/.
+const DEFAULT_WORKSPACE = 'default';
+const STORAGE_METHODS = [
+  'getGraph', 'saveGraph', 'listDocuments', 'getDocument', 'saveDocument', 'updateVersion',
+  'listIssues', 'getIssue', 'saveIssue', 'deleteIssue', 'getSetting', 'saveSetting', 'readAll', 'replaceAll'
+];
+const workspaces = new Map(); // workspaceId => storage backend, opened on first use
+const workspaceContext = new AsyncLocalStorage(); // per request: { workspace, changes }
+
+// What a write touches, as announced to the workspace's other windows (see Live updates)
+const STORAGE_CHANGES = {
+  saveGraph: () => ({ kind: 'graph' }),
+  saveDocument: doc => ({ kind: 'document', docId: doc.docId }),
+  updateVersion: docId => ({ kind: 'document', docId }),
+  saveIssue: () => ({ kind: 'issues' }),
+  deleteIssue: () => ({ kind: 'issues' }),
+  saveSetting: key => ({ kind: 'setting', key }),
+  replaceAll: () => ({ kind: 'all' })
+};
+
+function openWorkspace(workspaceId) {
+  if (!workspaces.has(workspaceId)) {
+    const sqlite = STORAGE_BACKEND === 'sqlite';
+    let backend;
+    if (workspaceId === DEFAULT_WORKSPACE) {
+      backend = sqlite ? createSqliteStorage(DB_FILE) : createJsonStorage();
+    } else {
+      fs.mkdirSync(WORKSPACE_DIR, { recursive: true });
+      const file = path.join(WORKSPACE_DIR, `${workspaceId}.${sqlite ? 'sqlite' : 'json'}`);
+      backend = sqlite ? createSqliteStorage(file) : createJsonStorage(file);
+    }
+    workspaces.set(workspaceId, backend);
+  }
+  return workspaces.get(workspaceId);
+}
+
+// Routes and helpers call `storage`; each call goes to the workspace of the
+// request being handled (set by the session check in front of /api), and
+// writes are noted in the request's changes
+const storage = Object.fromEntries(STORAGE_METHODS.map(method => [method, (...args) => {
+  const context = workspaceContext.getStore();
+  if (!context) throw new Error(`storage.${method}() called outside of a signed-in request`);
+  const result = context.workspace[method](...args);
+  if (STORAGE_CHANGES[method]) {
+    const change = STORAGE_CHANGES[method](...args);
+    context.changes.set(JSON.stringify(change), change);
+  }
+  return result;
+}]));
+
+// Open (and migrate) the pre-accounts store at startup, so damaged data stops the server early
+openWorkspace(DEFAULT_WORKSPACE);
+
+// ========== Accounts & sessions ==========
+// careerUsers.json: { users: [{ userId, username, passwordHash, workspaceId, createdAt }],
+//                     sessions: [{ tokenHash, userId, expiresAt }] }
+// Passwords are hashed with scrypt; the session cookie holds a random token of
+// which only the SHA-256 hash is stored. SameSite=Lax keeps other sites from
+// sending the cookie along with their writes.
+const USERS_FILE = path.join(__dirname, 'careerUsers.json');
+const SESSION_COOKIE = 'careerhub_session';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const USERNAME = /^[a-z0-9_.-]{3,32}$/i;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const MAX_LOGIN_FAILURES = 5;               // per username, then locked for LOGIN_LOCK_MS
+const LOGIN_LOCK_MS = 15 * 60 * 1000;
+// Anyone may sign up unless CAREERHUB_SIGNUP=closed; the first account can always be created
+const SIGNUP_OPEN = process.env.CAREERHUB_SIGNUP !== 'closed';
+
+let accounts = fs.existsSync(USERS_FILE)
+  ? JSON.parse(fs.readFileSync(USERS_FILE, 'utf-8'))
+  : { users: [], sessions: [] };
+const loginFailures = new Map(); // lower-cased username => { count, lockedUntil }
+
+function saveAccounts() {
+  const now = Date.now();
+  accounts.sessions = accounts.sessions.filter(session => session.expiresAt > now);
+  writeFileAtomic(USERS_FILE, JSON.stringify(accounts, null, 2));
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return `scrypt$${salt.toString('hex')}$${crypto.scryptSync(password, salt, 64).toString('hex')}`;
+}
+
+function verifyPassword(password, passwordHash) {
+  const [scheme, salt, hash] = passwordHash.split('$');
+  if (scheme !== 'scrypt') return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+const publicUser = user => ({ userId: user.userId, username: user.username, createdAt: user.createdAt });
+
+function findUser(username) {
+  return accounts.users.find(u => u.username.toLowerCase() === String(username).toLowerCase());
+}
+
+// Start a session; returns the token for the cookie
+function createSession(userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  accounts.sessions.push({ tokenHash: hashToken(token), userId, expiresAt: Date.now() + SESSION_TTL_MS });
+  saveAccounts();
+  return token;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(part => {
+    const at = part.indexOf('=');
+    if (at !== -1) cookies[part.slice(0, at).trim()] = decodeURIComponent(part.slice(at + 1).trim());
+  });
+  return cookies;
+}
+
+// The signed-in user of a request, or undefined
+function sessionUser(req) {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (!token) return undefined;
+  const tokenHash = hashToken(token);
+  const session = accounts.sessions.find(s => s.tokenHash === tokenHash && s.expiresAt > Date.now());
+  return session && accounts.users.find(u => u.userId === session.userId);
+}
+
+function setSessionCookie(res, token) {
+  const maxAge = token ? SESSION_TTL_MS / 1000 : 0;
+  res.setHeader(
+    'Set-Cookie',
+    `${SESSION_COOKIE}=${token || ''}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${Math.floor(maxAge)}`
+  );
+}
+
+// Validate sign-up fields; returns an error message or null
+function validateCredentials(username, password) {
+  if (typeof username !== 'string' || !USERNAME.test(username)) {
+    return 'Usernames are 3 to 32 letters, digits, dots, dashes or underscores';
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return `Passwords must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+function loginPage() {
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>AndreOS - Sign in</title>
+  <style>
+    body {
+      margin: 0;
+      min-height: 100vh;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: #0f172a;
+      color: #f1f5f9;
+      font-family: 'Inter', system-ui, -apple-system, BlinkMacSystemFont, sans-serif;
+    }
+    form {
+      width: 320px;
+      padding: 1.5rem;
+      background: #1e293b;
+      border: 1px solid #475569;
+      border-radius: 0.5rem;
+    }
+    h1 {
+      margin: 0 0 1rem;
+      font-size: 1.3rem;
+    }
+    label {
+      display: block;
+      margin-bottom: 0.75rem;
+      color: #cbd5e1;
+      font-size: 0.85rem;
+    }
+    input {
+      display: block;
+      width: 100%;
+      box-sizing: border-box;
+      margin-top: 0.3rem;
+      padding: 0.5rem;
+      background: #334155;
+      color: #f1f5f9;
+      border: 1px solid #475569;
+      border-radius: 0.375rem;
+      font: inherit;
+    }
+    button {
+      width: 100%;
+      padding: 0.55rem;
+      margin-top: 0.5rem;
+      border: none;
+      border-radius: 0.375rem;
+      background: #3b82f6;
+      color: #fff;
+      font: inherit;
       font-weight: 600;
-      margin-bottom: 0.5rem;
-      padding-right: 1.5rem;
+      cursor: pointer;
     }
-    
-    .issue-desc {
+    #switch-mode {
+      background: none;
+      color: #60a5fa;
+      font-weight: normal;
+    }
+    #login-error {
+      min-height: 1.2em;
+      color: #ef4444;
       font-size: 0.85rem;
-      color: var(--text-secondary);
-      white-space: pre-line;
-      line-height: 1.5;
     }
-    
-    .delete-issue-btn {
-      position: absolute;
-      top: 0.5rem;
-      right: 0.5rem;
-      width: 24px;
-      height: 24px;
-      border-radius: 50%;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      background: var(--accent-danger);
-      color: white;
-      border: none;
-      font-size: 0.8rem;
-      cursor: pointer;
-      opacity: 0;
-      transition: var(--transition-normal);
+  </style>
+</head>
+<body>
+  <form id="login-form">
+    <h1 id="login-heading">Sign in to AndreOS</h1>
+    <label>Username <input id="username" autocomplete="username" required></label>
+    <label>Password <input id="password" type="password" autocomplete="current-password" required></label>
+    <div id="login-error"></div>
+    <button type="submit" id="submit-btn">Sign in</button>
+    ${SIGNUP_OPEN || accounts.users.length === 0 ? '<button type="button" id="switch-mode">Create an account</button>' : ''}
+  </form>
+  <script>
+    let signingUp = ${accounts.users.length === 0};
+    const form = document.getElementById('login-form');
+    const switchMode = document.getElementById('switch-mode');
+
+    function renderMode() {
+      document.getElementById('login-heading').textContent = signingUp ? 'Create an account' : 'Sign in to AndreOS';
+      document.getElementById('submit-btn').textContent = signingUp ? 'Sign up' : 'Sign in';
+      document.getElementById('password').autocomplete = signingUp ? 'new-password' : 'current-password';
+      if (switchMode) switchMode.textContent = signingUp ? 'I already have an account' : 'Create an account';
+    }
+
+    if (switchMode) {
+      switchMode.addEventListener('click', () => {
+        signingUp = !signingUp;
+        renderMode();
+      });
+    }
+
+    form.addEventListener('submit', e => {
+      e.preventDefault();
+      fetch(signingUp ? '/api/auth/register' : '/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          username: document.getElementById('username').value,
+          password: document.getElementById('password').value
+        })
+      })
+      .then(res => res.json())
+      .then(result => {
+        if (result.error) throw new Error(result.error);
+        window.location.href = '/';
+      })
+      .catch(err => {
+        document.getElementById('login-error').textContent = err.message;
+      });
+    });
+    renderMode();
+  </script>
+</body>
+</html>
+`;
+}
+
+// Bundles are the only large bodies (see Workspace bundles)
+app.use('/api/import', express.json({ limit: MAX_BUNDLE_SIZE }));
+app.use(express.json());
+
+// ========== Accounts ==========
+app.get('/login', (req, res) => {
+  if (sessionUser(req)) return res.redirect('/');
+  res.send(loginPage());
+});
+
+// Sign up: { username, password }; signs the new user in
+app.post('/api/auth/register', (req, res) => {
+  if (!SIGNUP_OPEN && accounts.users.length > 0) {
+    return res.status(403).json({ error: 'Sign-up is closed on this server' });
+  }
+  const { username, password } = req.body;
+  const error = validateCredentials(username, password);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (findUser(username)) {
+    return res.status(409).json({ error: 'That username is taken' });
+  }
+  const userId = `u${crypto.randomBytes(8).toString('hex')}`; // also names the workspace file
+  const user = {
+    userId,
+    username,
+    passwordHash: hashPassword(password),
+    workspaceId: accounts.users.length === 0 ? DEFAULT_WORKSPACE : userId,
+    createdAt: new Date().toISOString()
+  };
+  accounts.users.push(user);
+  setSessionCookie(res, createSession(userId)); // also saves the new user
+  res.json({ user: publicUser(user) });
+});
+
+// Sign in: { username, password }
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body;
+  const key = String(username).toLowerCase();
+  const failures = loginFailures.get(key) || { count: 0, lockedUntil: 0 };
+  if (failures.lockedUntil > Date.now()) {
+    return res.status(429).json({ error: 'Too many failed sign-ins; try again later' });
+  }
+  const user = findUser(username);
+  if (!user || typeof password !== 'string' || !verifyPassword(password, user.passwordHash)) {
+    const count = failures.count + 1;
+    loginFailures.set(key, count >= MAX_LOGIN_FAILURES
+      ? { count: 0, lockedUntil: Date.now() + LOGIN_LOCK_MS }
+      : { count, lockedUntil: 0 });
+    return res.status(401).json({ error: 'Wrong username or password' });
+  }
+  loginFailures.delete(key);
+  setSessionCookie(res, createSession(user.userId));
+  res.json({ user: publicUser(user) });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (token) {
+    const tokenHash = hashToken(token);
+    accounts.sessions = accounts.sessions.filter(s => s.tokenHash !== tokenHash);
+    saveAccounts();
+  }
+  setSessionCookie(res, null);
+  res.json({ success: true });
+});
+
+// Everything else under /api needs a session and works on that user's workspace
+app.use('/api', (req, res, next) => {
+  const user = sessionUser(req);
+  if (!user) {
+    return res.status(401).json({ error: 'Sign in required' });
+  }
+  req.user = user;
+  const context = { workspace: openWorkspace(user.workspaceId), changes: new Map() };
+  res.on('finish', () => {
+    if (context.changes.size > 0) {
+      broadcast(context.workspace, { origin: req.get('X-Client-Id') || null, changes: [...context.changes.values()] });
+    }
+  });
+  workspaceContext.run(context, next);
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: publicUser(req.user) });
+});
+
+// Each workspace's search index is built on the first search after a change;
+// any write through the API makes it stale
+const searchIndexes = new WeakMap(); // workspace backend => index
+app.use('/api', (req, res, next) => {
+  if (req.method !== 'GET') searchIndexes.delete(workspaceContext.getStore().workspace);
+  next();
+});
+
+// ========== Live updates ==========
+// Server-Sent Events: every window subscribes to GET /api/events and hears
+// { origin, changes: [{ kind: 'graph' | 'issues' | 'all' } | { kind: 'document', docId }
+// | { kind: 'setting', key }] } after each request that wrote to its workspace.
+// origin is the X-Client-Id of the window that made the change.
+const SSE_PING_MS = 25 * 1000;
+const eventStreams = new Map(); // workspace backend => Set of open responses
+
+function broadcast(workspace, event) {
+  const message = `data: ${JSON.stringify(event)}\n\n`;
+  (eventStreams.get(workspace) || new Set()).forEach(res => res.write(message));
+}
+
+app.get('/api/events', (req, res) => {
+  const { workspace } = workspaceContext.getStore();
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.write('retry: 3000\n\n');
+  if (!eventStreams.has(workspace)) eventStreams.set(workspace, new Set());
+  eventStreams.get(workspace).add(res);
+  // Comments keep proxies from closing an idle stream
+  const ping = setInterval(() => res.write(': ping\n\n'), SSE_PING_MS);
+  req.on('close', () => {
+    clearInterval(ping);
+    eventStreams.get(workspace).delete(res);
+  });
+});
+
+// -------------- REST API --------------
+
+// ========== Graph Data ==========
+app.get('/api/graph', (req, res) => {
+  res.json(storage.getGraph());
+});
+
+// Ids of all stored documents, for validating node docIds
+function documentIds() {
+  return new Set(storage.listDocuments().map(doc => doc.docId));
+}
+
+// Replace the whole graph: { nodes, links }, validated like the single-item routes
+app.post('/api/graph', (req, res) => {
+  const { graph, error } = validateGraph(req.body, documentIds());
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  storage.saveGraph(graph);
+  res.json({ success: true, graphData: storage.getGraph() });
+});
+
+// View state of the graph: { frozen, transform: { x, y, k } }
+app.get('/api/graph/layout', (req, res) => {
+  res.json(storage.getSetting('graphLayout', DEFAULT_GRAPH_LAYOUT));
+});
+
+// Update the view state: { frozen?, transform?, positions?: { nodeId: { x, y } } }.
+// Positions are written to the nodes, e.g. to keep the arrangement when freezing.
+app.put('/api/graph/layout', (req, res) => {
+  const { layout, error } = validateGraphLayout(req.body, storage.getSetting('graphLayout', DEFAULT_GRAPH_LAYOUT));
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (req.body.positions !== undefined) {
+    const graph = storage.getGraph();
+    const positionError = positionsError(req.body.positions, graph);
+    if (positionError) {
+      return res.status(400).json({ error: positionError });
+    }
+    graph.nodes.forEach(node => {
+      const pos = req.body.positions[node.id];
+      if (pos) Object.assign(node, { x: pos.x, y: pos.y });
+    });
+    storage.saveGraph(graph);
+  }
+  storage.saveSetting('graphLayout', layout);
+  res.json(layout);
+});
+
+// Create a node: { id?, name, ...details } (an id is generated if omitted)
+app.post('/api/graph/nodes', (req, res) => {
+  const graph = storage.getGraph();
+  const nodeIds = new Set(graph.nodes.map(n => n.id));
+  const { id } = req.body;
+  if (id !== undefined && (typeof id !== 'string' || !GRAPH_ID.test(id))) {
+    return res.status(400).json({ error: 'Invalid node id' });
+  }
+  if (nodeIds.has(id)) {
+    return res.status(409).json({ error: 'A node with this id already exists' });
+  }
+  const { node, error } = validateNodeFields(req.body, undefined, documentIds());
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const newNode = { id: id || uniqueId('n', nodeIds), ...node };
+  graph.nodes.push(newNode);
+  storage.saveGraph(graph);
+  res.json(newNode);
+});
+
+// Update some of a node's fields (see the graph model above); null or '' clears optional ones
+app.put('/api/graph/nodes/:id', (req, res) => {
+  const graph = storage.getGraph();
+  const index = graph.nodes.findIndex(n => n.id === req.params.id);
+  if (index === -1) {
+    return res.status(404).json({ error: 'Node not found' });
+  }
+  const { node, error } = validateNodeFields(req.body, graph.nodes[index], documentIds());
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  graph.nodes[index] = node;
+  storage.saveGraph(graph);
+  res.json(node);
+});
+
+// Delete a node together with every link touching it; issues pointing at it
+// as their milestone are unlinked
+app.delete('/api/graph/nodes/:id', (req, res) => {
+  const graph = storage.getGraph();
+  const node = graph.nodes.find(n => n.id === req.params.id);
+  if (!node) {
+    return res.status(404).json({ error: 'Node not found' });
+  }
+  const touches = l => l.source === node.id || l.target === node.id;
+  const links = graph.links.filter(touches);
+  graph.nodes = graph.nodes.filter(n => n !== node);
+  graph.links = graph.links.filter(l => !touches(l));
+  storage.saveGraph(graph);
+  const unlinkedIssues = storage.listIssues().filter(i => i.milestoneId === node.id);
+  unlinkedIssues.forEach(issue => {
+    const before = { ...issue };
+    issue.milestoneId = null;
+    logChanges(before, issue);
+    storage.saveIssue(issue);
+  });
+  res.json({ success: true, removed: { nodes: [node], links }, unlinkedIssues: unlinkedIssues.map(i => i.issueId) });
+});
+
+// Shortest path between two milestones: ?from=<nodeId>&to=<nodeId>
+app.get('/api/graph/path', (req, res) => {
+  const graph = storage.getGraph();
+  const { from, to } = req.query;
+  if (!from || !to) {
+    return res.status(400).json({ error: 'Both "from" and "to" node ids are required' });
+  }
+  if (![from, to].every(id => graph.nodes.some(n => n.id === id))) {
+    return res.status(404).json({ error: 'Node not found' });
+  }
+  const path = shortestPath(graph, from, to);
+  res.json({
+    from,
+    to,
+    found: !!path,
+    nodes: path ? path.nodes : [],
+    links: path ? path.links : []
+  });
+});
+
+// Upstream prerequisites of a milestone, the order to tackle the ones not yet
+// achieved (the milestone itself last), what can be started now, and any cycles
+app.get('/api/graph/prerequisites/:nodeId', (req, res) => {
+  const graph = storage.getGraph();
+  const node = graph.nodes.find(n => n.id === req.params.nodeId);
+  if (!node) {
+    return res.status(404).json({ error: 'Node not found' });
+  }
+  const chain = prerequisiteChain(graph, node.id);
+  const achieved = new Set(graph.nodes.filter(n => n.status === 'achieved').map(n => n.id));
+  const remaining = [...chain.nodes, node.id].filter(id => !achieved.has(id));
+  const { order, blocked } = topologicalOrder(graph, remaining);
+  const remainingSet = new Set(remaining);
+  const incoming = graphEdges(graph, { reverse: true });
+  res.json({
+    nodeId: node.id,
+    prerequisites: chain.nodes,
+    links: chain.links,
+    order,
+    nextSteps: order.filter(id => !incoming.get(id).some(e => remainingSet.has(e.to))),
+    blocked,
+    cycles: findCycles(graph, [...chain.nodes, node.id])
+  });
+});
+
+// Everything a milestone links to: its documents, its issues and their progress
+app.get('/api/graph/nodes/:id/related', (req, res) => {
+  const node = storage.getGraph().nodes.find(n => n.id === req.params.id);
+  if (!node) {
+    return res.status(404).json({ error: 'Node not found' });
+  }
+  const docIds = node.docIds || [];
+  const issues = storage.listIssues();
+  res.json({
+    node,
+    documents: storage.listDocuments().filter(doc => docIds.includes(doc.docId)),
+    issues: issues.filter(i => i.milestoneId === node.id),
+    progress: milestoneProgress(node.id, issues, getBoard())
+  });
+});
+
+// Create a link: { id?, source, target, type?, label? } between existing nodes
+// (an id is generated if omitted; undo passes the old one back)
+app.post('/api/graph/links', (req, res) => {
+  const graph = storage.getGraph();
+  const linkIds = new Set(graph.links.map(l => l.id));
+  const { id } = req.body;
+  if (id !== undefined && (typeof id !== 'string' || !GRAPH_ID.test(id))) {
+    return res.status(400).json({ error: 'Invalid link id' });
+  }
+  if (linkIds.has(id)) {
+    return res.status(409).json({ error: 'A link with this id already exists' });
+  }
+  const { link, error, status } = validateLinkFields(graph, req.body);
+  if (error) {
+    return res.status(status).json({ error });
+  }
+  const newLink = { id: id || uniqueId('l', linkIds), ...link };
+  graph.links.push(newLink);
+  storage.saveGraph(graph);
+  res.json(newLink);
+});
+
+// Update a link: { source?, target?, type?, label? }
+app.put('/api/graph/links/:id', (req, res) => {
+  const graph = storage.getGraph();
+  const index = graph.links.findIndex(l => l.id === req.params.id);
+  if (index === -1) {
+    return res.status(404).json({ error: 'Link not found' });
+  }
+  const { link, error, status } = validateLinkFields(graph, req.body, graph.links[index]);
+  if (error) {
+    return res.status(status).json({ error });
+  }
+  graph.links[index] = link;
+  storage.saveGraph(graph);
+  res.json(link);
+});
+
+app.delete('/api/graph/links/:id', (req, res) => {
+  const graph = storage.getGraph();
+  const link = graph.links.find(l => l.id === req.params.id);
+  if (!link) {
+    return res.status(404).json({ error: 'Link not found' });
+  }
+  graph.links = graph.links.filter(l => l !== link);
+  storage.saveGraph(graph);
+  res.json({ success: true, removed: { links: [link] } });
+});
+
+// ========== Documents ==========
+// Listing omits version history; fetch a single document for its versions
+app.get('/api/documents', (req, res) => {
+  res.json(storage.listDocuments());
+});
+
+app.get('/api/documents/:docId', (req, res) => {
+  const doc = storage.getDocument(req.params.docId);
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  res.json(doc);
+});
+
+// Create: { title, content? }
+app.post('/api/documents', (req, res) => {
+  const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+  const { content = '' } = req.body;
+  if (!title || title.length > MAX_DOCUMENT_TITLE_LENGTH) {
+    return res.status(400).json({ error: `Document title is required (at most ${MAX_DOCUMENT_TITLE_LENGTH} characters)` });
+  }
+  if (typeof content !== 'string') {
+    return res.status(400).json({ error: 'Document content must be a string' });
+  }
+  const docId = `doc_${Date.now()}`;
+  const newDoc = {
+    docId,
+    title,
+    versions: [versionEntry(content, 'Create document', { parent: null, branch: DEFAULT_BRANCH })],
+    currentVersion: 0,
+    branches: { [DEFAULT_BRANCH]: 0 },
+    currentBranch: DEFAULT_BRANCH,
+    merge: null,
+    draft: null
+  };
+  storage.saveDocument(newDoc);
+  res.json(newDoc);
+});
+
+// Commit: { content, message?, tag? }
+app.post('/api/documents/:docId/commit', (req, res) => {
+  const { content } = req.body;
+  const doc = storage.getDocument(req.params.docId);
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  if (typeof content !== 'string') {
+    return res.status(400).json({ error: 'Document content must be a string' });
+  }
+  const message = optionalText(req.body.message, MAX_MESSAGE_LENGTH);
+  const tag = optionalText(req.body.tag, MAX_TAG_LENGTH);
+  if (message === null || tag === null) {
+    return res.status(400).json({ error: 'Invalid commit message or tag' });
+  }
+  if (doc.merge && CONFLICT_MARKER.test(content)) {
+    return res.status(409).json({ error: 'Resolve the merge conflict markers before committing' });
+  }
+  commitVersion(doc, versionEntry(content, message, { tag }));
+  storage.saveDocument(doc);
+  res.json(doc);
+});
+
+// Keep uncommitted editor text on the server: { content }. The draft remembers
+// the branch, head version and merge it was written on, and the editor only
+// offers it again in that same state. One draft per document; a draft equal to
+// the committed text is dropped.
+app.put('/api/documents/:docId/draft', (req, res) => {
+  const doc = storage.getDocument(req.params.docId);
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  const { content } = req.body;
+  if (typeof content !== 'string') {
+    return res.status(400).json({ error: 'Draft content must be a string' });
+  }
+  doc.draft = content === committedContent(doc) ? null : {
+    content,
+    branch: doc.currentBranch,
+    baseVersion: doc.currentVersion,
+    merging: !!doc.merge,
+    savedAt: new Date().toISOString()
+  };
+  storage.saveDocument(doc);
+  res.json({ draft: doc.draft });
+});
+
+app.delete('/api/documents/:docId/draft', (req, res) => {
+  const doc = storage.getDocument(req.params.docId);
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  doc.draft = null;
+  storage.saveDocument(doc);
+  res.json({ draft: null });
+});
+
+// Check out a single (possibly older) version for read-only viewing
+app.get('/api/documents/:docId/versions/:version', (req, res) => {
+  const doc = storage.getDocument(req.params.docId);
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  const index = parseVersionIndex(doc, req.params.version);
+  if (index === null) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+  res.json({ docId: doc.docId, version: index, ...doc.versions[index] });
+});
+
+// Set or clear the tag of a version, e.g. "sent to Acme": { tag }
+app.put('/api/documents/:docId/versions/:version/tag', (req, res) => {
+  const doc = storage.getDocument(req.params.docId);
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  const index = parseVersionIndex(doc, req.params.version);
+  if (index === null) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+  const tag = optionalText(req.body.tag, MAX_TAG_LENGTH);
+  if (tag === null) {
+    return res.status(400).json({ error: 'Invalid tag' });
+  }
+  doc.versions[index].tag = tag;
+  storage.updateVersion(doc.docId, index, doc.versions[index]);
+  res.json(doc);
+});
+
+// Revert: commit a new version restoring an older one's content (history is kept)
+app.post('/api/documents/:docId/revert', (req, res) => {
+  const doc = storage.getDocument(req.params.docId);
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  const index = parseVersionIndex(doc, req.body.version);
+  if (index === null) {
+    return res.status(400).json({ error: 'Invalid version index' });
+  }
+  if (doc.merge) {
+    return res.status(409).json({ error: 'Finish or abort the merge in progress first' });
+  }
+  commitVersion(doc, versionEntry(doc.versions[index].content, `Revert to v${index}`, {
+    revertOf: index
+  }));
+  storage.saveDocument(doc);
+  res.json(doc);
+});
+
+// Export a version as a standalone file: ?format=html|pdf|docx&version=<index>
+app.get('/api/documents/:docId/export', (req, res) => {
+  const doc = storage.getDocument(req.params.docId);
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  const format = req.query.format || 'html';
+  if (!['html', 'pdf', 'docx'].includes(format)) {
+    return res.status(400).json({ error: 'Format must be html, pdf or docx' });
+  }
+  const index = req.query.version === undefined
+    ? doc.currentVersion
+    : parseVersionIndex(doc, req.query.version);
+  if (index === null) {
+    return res.status(400).json({ error: 'Invalid version index' });
+  }
+
+  const title = doc.title || 'Untitled';
+  const content = doc.versions[index].content;
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'document';
+  const renderers = {
+    html: () => renderHtmlExport(title, content),
+    pdf: () => renderPdfExport(title, content),
+    docx: () => renderDocxExport(title, content)
+  };
+
+  // Render fully before sending the file headers, so a failure answers with JSON
+  Promise.resolve()
+    .then(renderers[format])
+    .then(body => {
+      res.attachment(`${slug}-v${index}.${format}`);
+      res.send(body);
+    })
+    .catch(err => {
+      console.error(`${format.toUpperCase()} export failed:`, err);
+      res.status(500).json({ error: 'Export failed' });
+    });
+});
+
+// Diff two versions: ?from=<index>&to=<index> (defaults: the current version vs.
+// its parent commit). An empty from, or the parent of a root version, diffs
+// against an empty text (from: null).
+app.get('/api/documents/:docId/diff', (req, res) => {
+  const doc = storage.getDocument(req.params.docId);
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  const to = req.query.to === undefined
+    ? doc.currentVersion
+    : parseVersionIndex(doc, req.query.to);
+  if (to === null) {
+    return res.status(400).json({ error: 'Invalid version index' });
+  }
+  let from = null;
+  if (req.query.from === undefined) {
+    const { parent } = doc.versions[to];
+    if (parent !== null && parent !== undefined) from = parent;
+  } else if (req.query.from !== '') {
+    from = parseVersionIndex(doc, req.query.from);
+    if (from === null) {
+      return res.status(400).json({ error: 'Invalid version index' });
+    }
+  }
+  const base = from === null ? null : doc.versions[from];
+  const { rows, stats } = diffLines(base ? base.content : '', doc.versions[to].content);
+  res.json({
+    docId: doc.docId,
+    from,
+    to,
+    fromTimestamp: base ? base.timestamp : null,
+    toTimestamp: doc.versions[to].timestamp,
+    stats,
+    rows
+  });
+});
+
+// ========== Document branches ==========
+app.get('/api/documents/:docId/branches', (req, res) => {
+  const doc = storage.getDocument(req.params.docId);
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  res.json({
+    currentBranch: doc.currentBranch,
+    branches: Object.keys(doc.branches).map(name => ({
+      name,
+      head: doc.branches[name],
+      current: name === doc.currentBranch
+    })),
+    merge: doc.merge
+  });
+});
+
+// Create a branch: { name, from?: versionIndex, checkout?: boolean }
+app.post('/api/documents/:docId/branches', (req, res) => {
+  const doc = storage.getDocument(req.params.docId);
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  const { name, from, checkout } = req.body;
+  if (!BRANCH_NAME.test(name || '')) {
+    return res.status(400).json({ error: 'Branch names may only use letters, digits, ".", "-", "_" and "/"' });
+  }
+  if (doc.branches[name] !== undefined) {
+    return res.status(409).json({ error: `Branch "${name}" already exists` });
+  }
+  const start = from === undefined ? doc.currentVersion : parseVersionIndex(doc, from);
+  if (start === null) {
+    return res.status(400).json({ error: 'Invalid version index' });
+  }
+  if (checkout && doc.merge) {
+    return res.status(409).json({ error: 'Finish or abort the merge in progress first' });
+  }
+  doc.branches[name] = start;
+  if (checkout) {
+    doc.currentBranch = name;
+    doc.currentVersion = start;
+  }
+  storage.saveDocument(doc);
+  res.json(doc);
+});
+
+app.post('/api/documents/:docId/branches/:branch/checkout', (req, res) => {
+  const doc = storage.getDocument(req.params.docId);
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  const { branch } = req.params;
+  if (doc.branches[branch] === undefined) {
+    return res.status(404).json({ error: 'Branch not found' });
+  }
+  if (doc.merge) {
+    return res.status(409).json({ error: 'Finish or abort the merge in progress first' });
+  }
+  doc.currentBranch = branch;
+  doc.currentVersion = doc.branches[branch];
+  storage.saveDocument(doc);
+  res.json(doc);
+});
+
+// Deleting a branch only drops the name; its versions stay in history
+app.delete('/api/documents/:docId/branches/:branch', (req, res) => {
+  const doc = storage.getDocument(req.params.docId);
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  const { branch } = req.params;
+  if (doc.branches[branch] === undefined) {
+    return res.status(404).json({ error: 'Branch not found' });
+  }
+  if (branch === DEFAULT_BRANCH || branch === doc.currentBranch) {
+    return res.status(400).json({ error: 'Cannot delete the default or the checked-out branch' });
+  }
+  delete doc.branches[branch];
+  storage.saveDocument(doc);
+  res.json(doc);
+});
+
+// Merge :branch into the checked-out branch. A clean merge is committed right
+// away; otherwise the conflicted text is kept in doc.merge until the next commit.
+app.post('/api/documents/:docId/branches/:branch/merge', (req, res) => {
+  const doc = storage.getDocument(req.params.docId);
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  const { branch } = req.params;
+  if (doc.branches[branch] === undefined) {
+    return res.status(404).json({ error: 'Branch not found' });
+  }
+  if (branch === doc.currentBranch) {
+    return res.status(400).json({ error: 'Cannot merge a branch into itself' });
+  }
+  if (doc.merge) {
+    return res.status(409).json({ error: 'Finish or abort the merge in progress first' });
+  }
+
+  const ours = doc.branches[doc.currentBranch];
+  const theirs = doc.branches[branch];
+  const base = mergeBase(doc, ours, theirs);
+  if (base === theirs) {
+    return res.json({ doc, conflicts: 0, upToDate: true });
+  }
+  const merged = merge3(
+    base === null ? '' : doc.versions[base].content,
+    doc.versions[ours].content,
+    doc.versions[theirs].content,
+    doc.currentBranch,
+    branch
+  );
+
+  doc.merge = { branch, theirs, base, message: `Merge branch "${branch}" into ${doc.currentBranch}` };
+  if (merged.conflicts === 0) {
+    commitVersion(doc, versionEntry(merged.content));
+  } else {
+    doc.merge.content = merged.content;
+    doc.merge.conflicts = merged.conflicts;
+  }
+  storage.saveDocument(doc);
+  res.json({ doc, conflicts: merged.conflicts, upToDate: false });
+});
+
+app.post('/api/documents/:docId/merge/abort', (req, res) => {
+  const doc = storage.getDocument(req.params.docId);
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  doc.merge = null;
+  storage.saveDocument(doc);
+  res.json(doc);
+});
+
+// ========== Issues / Kanban ==========
+app.get('/api/board', (req, res) => {
+  res.json(getBoard());
+});
+
+// Replace the board: { columns, remap?: { oldStatus: columnId } }. Issues whose
+// status is not one of the new columns must be moved through remap; otherwise
+// nothing is saved and the 409 answer lists them as { orphaned: { status: count } }.
+app.put('/api/board', (req, res) => {
+  const { board, error } = validateBoard(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const remap = req.body.remap || {};
+  if (typeof remap !== 'object' || Array.isArray(remap)) {
+    return res.status(400).json({ error: 'remap must map old statuses to column ids' });
+  }
+  const columnIds = new Set(board.columns.map(c => c.id));
+  const orphaned = {};
+  const moves = [];
+  for (const issue of storage.listIssues()) {
+    if (columnIds.has(issue.status)) continue;
+    const target = remap[issue.status];
+    if (target === undefined) {
+      orphaned[issue.status] = (orphaned[issue.status] || 0) + 1;
+    } else if (!columnIds.has(target)) {
+      return res.status(400).json({ error: `Cannot move issues to unknown column "${target}"` });
+    } else {
+      moves.push({ issue, from: issue.status, to: target });
+    }
+  }
+  if (Object.keys(orphaned).length > 0) {
+    return res.status(409).json({ error: 'Some issues are in columns that no longer exist', orphaned });
+  }
+  storage.saveSetting('board', board);
+  moves.forEach(({ issue, from, to }) => {
+    issue.rank = nextRank(to);
+    issue.status = to;
+    logActivity(issue, { type: 'status', from, to });
+    storage.saveIssue(issue);
+  });
+  res.json({ board, moved: moves.map(({ issue, from, to }) => ({ issueId: issue.issueId, from, to })) });
+});
+
+app.get('/api/issues', (req, res) => {
+  res.json(orderedIssues());
+});
+
+// Create an issue: { issueId?, title, ...fields } (see validateIssueFields; issueId
+// is only passed when restoring a deleted issue, together with its activity log;
+// status defaults to the board's first column)
+app.post('/api/issues', (req, res) => {
+  if (req.body.issueId !== undefined) {
+    if (typeof req.body.issueId !== 'string' || !GRAPH_ID.test(req.body.issueId)) {
+      return res.status(400).json({ error: 'Invalid issue id' });
+    }
+    if (storage.getIssue(req.body.issueId)) {
+      return res.status(409).json({ error: 'An issue with this id already exists' });
+    }
+  }
+  const { issue, error } = validateIssueFields(req.body, undefined, storage.getGraph(), getBoard());
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const restoring = req.body.issueId !== undefined;
+  const activity = restoring && Array.isArray(req.body.activity)
+    ? req.body.activity.filter(a => a && ['id', 'at', 'type'].every(key => typeof a[key] === 'string'))
+    : [];
+  const newIssue = {
+    issueId: req.body.issueId || `issue_${Date.now()}`,
+    ...issue,
+    rank: nextRank(issue.status),
+    activity
+  };
+  logActivity(newIssue, restoring ? { type: 'restored' } : { type: 'created' });
+  storage.saveIssue(newIssue);
+  res.json(newIssue);
+});
+
+// Update some of an issue's fields (see validateIssueFields)
+app.put('/api/issues/:issueId', (req, res) => {
+  const existing = storage.getIssue(req.params.issueId);
+  if (!existing) {
+    return res.status(404).json({ error: 'Issue not found' });
+  }
+  const { issue, error } = validateIssueFields(req.body, existing, storage.getGraph(), getBoard());
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  // A card that changes column goes to the bottom of its new column
+  if (issue.status !== existing.status) issue.rank = nextRank(issue.status);
+  logChanges(existing, issue);
+  storage.saveIssue(issue);
+  res.json(issue);
+});
+
+// Move a card to position `index` (0 = top) of column `status` (default: its
+// own column). Answers { issue, index } with the position it ended up at.
+app.post('/api/issues/:issueId/move', (req, res) => {
+  const existing = storage.getIssue(req.params.issueId);
+  if (!existing) {
+    return res.status(404).json({ error: 'Issue not found' });
+  }
+  const { status = existing.status, error } = validateStatus(req.body.status, getBoard());
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const { index } = req.body;
+  if (!Number.isInteger(index) || index < 0) {
+    return res.status(400).json({ error: 'index must be a non-negative integer' });
+  }
+  const issue = { ...existing };
+  if (status !== existing.status) {
+    logActivity(issue, { type: 'status', from: existing.status, to: status });
+  }
+  const at = moveIssue(issue, status, index);
+  res.json({ issue, index: at });
+});
+
+// Comment on an issue: { text }. Answers the updated issue.
+app.post('/api/issues/:issueId/comments', (req, res) => {
+  const existing = storage.getIssue(req.params.issueId);
+  if (!existing) {
+    return res.status(404).json({ error: 'Issue not found' });
+  }
+  const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+  if (!text || text.length > MAX_COMMENT_LENGTH) {
+    return res.status(400).json({ error: `Comments must be 1 to ${MAX_COMMENT_LENGTH} characters` });
+  }
+  const issue = { ...existing };
+  logActivity(issue, { type: 'comment', text });
+  storage.saveIssue(issue);
+  res.json(issue);
+});
+
+// Delete a comment (other activity entries cannot be removed)
+app.delete('/api/issues/:issueId/comments/:commentId', (req, res) => {
+  const existing = storage.getIssue(req.params.issueId);
+  if (!existing) {
+    return res.status(404).json({ error: 'Issue not found' });
+  }
+  const { commentId } = req.params;
+  if (!existing.activity.some(a => a.id === commentId && a.type === 'comment')) {
+    return res.status(404).json({ error: 'Comment not found' });
+  }
+  const issue = { ...existing, activity: existing.activity.filter(a => a.id !== commentId) };
+  storage.saveIssue(issue);
+  res.json(issue);
+});
+
+app.delete('/api/issues/:issueId', (req, res) => {
+  const { issueId } = req.params;
+  const issue = storage.getIssue(issueId);
+  if (!issue) {
+    return res.status(404).json({ error: 'Issue not found' });
+  }
+  storage.deleteIssue(issueId);
+  res.json({ success: true, removed: [issue] });
+});
+
+// ========== Search ==========
+// ?q=words => { words, total, results: [{ kind, title, snippet, score, ...ids }] }
+// where kind is 'node', 'document', 'version' or 'issue'
+app.get('/api/search', (req, res) => {
+  const query = typeof req.query.q === 'string' ? req.query.q : '';
+  if (query.length > MAX_SEARCH_QUERY_LENGTH) {
+    return res.status(400).json({ error: `Search for at most ${MAX_SEARCH_QUERY_LENGTH} characters` });
+  }
+  const { workspace } = workspaceContext.getStore();
+  if (!searchIndexes.has(workspace)) {
+    const documents = storage.listDocuments().map(doc => storage.getDocument(doc.docId));
+    searchIndexes.set(workspace, buildSearchIndex(storage.getGraph(), documents, storage.listIssues()));
+  }
+  res.json(searchIn(searchIndexes.get(workspace), query));
+});
+
+// ========== Import / export ==========
+// The whole workspace as a downloadable bundle
+app.get('/api/export', (req, res) => {
+  const day = new Date().toISOString().slice(0, 10);
+  res.attachment(`careerhub-${req.user.username}-${day}.json`);
+  res.send(JSON.stringify(exportBundle(storage.readAll()), null, 2));
+});
+
+// Load a bundle: ?mode=replace (the workspace becomes the bundle) or
+// ?mode=merge (the default; see mergeBundle). Nothing is written unless the
+// whole bundle is valid.
+app.post('/api/import', (req, res) => {
+  const mode = req.query.mode || 'merge';
+  if (!['merge', 'replace'].includes(mode)) {
+    return res.status(400).json({ error: 'Mode must be merge or replace' });
+  }
+  const { data: bundle, error } = validateBundle(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const { data, remapped } = mode === 'merge'
+    ? mergeBundle(storage.readAll(), bundle)
+    : { data: bundle, remapped: 0 };
+  storage.replaceAll(data);
+  res.json({
+    mode,
+    remapped,
+    imported: {
+      nodes: bundle.graphData.nodes.length,
+      links: bundle.graphData.links.length,
+      documents: bundle.documents.length,
+      issues: bundle.issues.length
+    }
+  });
+});
+
+// ========== Main HTML Endpoint ==========
+app.get('/', (req, res) => {
+  if (!sessionUser(req)) return res.redirect('/login');
+  const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>AndreOS</title>
+  <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
+  <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.min.css">
+  <link rel="stylesheet" href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap">
+  <style>
+    :root {
+      --bg-primary: #0f172a;
+      --bg-secondary: #1e293b;
+      --bg-tertiary: #334155;
+      --accent-primary: #3b82f6;
+      --accent-secondary: #60a5fa;
+      --accent-success: #10b981;
+      --accent-danger: #ef4444;
+      --accent-warning: #f59e0b;
+      --text-primary: #f1f5f9;
+      --text-secondary: #cbd5e1;
+      --text-muted: #94a3b8;
+      --border-color: #475569;
+      --shadow-sm: 0 1px 2px rgba(0, 0, 0, 0.05);
+      --shadow-md: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);
+      --shadow-lg: 0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05);
+      --radius-sm: 0.25rem;
+      --radius-md: 0.375rem;
+      --radius-lg: 0.5rem;
+      --transition-normal: all 0.2s ease;
+      --transition-smooth: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+      --font-mono: 'JetBrains Mono', 'Fira Code', 'Roboto Mono', monospace;
+    }
+    
+    * {
+      box-sizing: border-box;
+      user-select: none;
+      margin: 0;
+      padding: 0;
+    }
+    
+    body {
+      background-color: var(--bg-primary);
+      color: var(--text-primary);
+      font-family: 'Inter', system-ui, -apple-system, BlinkMacSystemFont, sans-serif;
+      height: 100vh;
+      display: flex;
+      flex-direction: column;
+      overflow: hidden;
+    }
+    
+    header {
+      background: var(--bg-secondary);
+      padding: 0.75rem 1.5rem;
+      border-bottom: 1px solid var(--border-color);
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      box-shadow: var(--shadow-md);
+      z-index: 10;
+    }
+    
+    .logo {
+      display: flex;
+      align-items: center;
+      font-weight: 700;
+      font-size: 1.25rem;
+      color: var(--accent-secondary);
+    }
+    
+    .logo i {
+      margin-right: 0.5rem;
+    }
+    
+    #main-container {
+      flex: 1;
+      display: flex;
+      overflow: hidden;
+    }
+    
+    #graph-container {
+      width: 35%;
+      position: relative;
+      border-right: 1px solid var(--border-color);
+      background-color: var(--bg-secondary);
+      overflow: hidden;
+    }
+    
+    #editor-container {
+      width: 30%;
+      border-right: 1px solid var(--border-color);
+      display: flex;
+      flex-direction: column;
+      background-color: var(--bg-secondary);
+      overflow: hidden;
+      transition: var(--transition-smooth);
+    }
+    
+    /* Collapsed editor state */
+    #editor-container.collapsed {
+      width: 0 !important;
+      min-width: 0 !important;
+      display: none; /* fully hides the panel */
+    }
+    #resizer2.hidden {
+      display: none;
+    }
+    
+    #kanban-container {
+      flex: 1;
+      display: flex;
+      flex-direction: column;
+      position: relative;
+      min-width: 0;
+      background-color: var(--bg-primary);
+    }
+    
+    #kanban-toolbar {
+      display: flex;
+      align-items: center;
+      gap: 0.5rem;
+      padding: 0.75rem 1rem 0;
+    }
+    
+    #kanban-toolbar .btn {
+      padding: 0.3rem 0.6rem;
+      font-size: 0.8rem;
+    }
+    
+    #kanban-columns {
+      flex: 1;
+      display: flex;
+      padding: 1rem;
+      overflow-x: auto;
+      gap: 1rem;
+      min-height: 0;
+    }
+    
+    .resizer {
+      width: 6px;
+      background: var(--border-color);
+      cursor: col-resize;
+      transition: background 0.2s ease;
+      z-index: 5;
+    }
+    
+    .resizer:hover, .resizer:active {
+      background: var(--accent-primary);
+    }
+    
+    #graph {
+      width: 100%;
+      height: 100%;
+    }
+    
+    #cluster-button-container {
+      display: flex;
+      flex-direction: column;
+      position: absolute;
+      top: 1rem;
+      left: 1rem;
+      gap: 0.5rem;
+      z-index: 5;
+    }
+    
+    .btn {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      gap: 0.5rem;
+      background-color: var(--bg-tertiary);
+      color: var(--text-primary);
+      border: 1px solid var(--border-color);
+      border-radius: var(--radius-md);
+      padding: 0.6rem 1rem;
+      font-size: 0.9rem;
+      font-weight: 500;
+      cursor: pointer;
+      transition: var(--transition-normal);
+      box-shadow: var(--shadow-sm);
+    }
+    
+    .btn:hover {
+      background-color: var(--accent-primary);
+      border-color: var(--accent-secondary);
+      transform: translateY(-1px);
+      box-shadow: var(--shadow-md);
+    }
+    
+    .btn:disabled {
+      opacity: 0.5;
+      cursor: not-allowed;
+      transform: none;
+    }
+    
+    .btn-primary {
+      background-color: var(--accent-primary);
+      border-color: var(--accent-secondary);
+    }
+    
+    .btn-primary:hover {
+      background-color: var(--accent-secondary);
+    }
+    
+    .btn-success {
+      background-color: var(--accent-success);
+      border-color: var(--accent-success);
+    }
+    
+    .btn-danger {
+      background-color: var(--accent-danger);
+      border-color: var(--accent-danger);
+    }
+    
+    #doc-list {
+      padding: 1rem;
+      background: var(--bg-secondary);
+      border-bottom: 1px solid var(--border-color);
+      display: flex;
+      align-items: center;
+      gap: 0.5rem;
+      box-shadow: var(--shadow-sm);
+    }
+    
+    select {
+      background-color: var(--bg-tertiary);
+      color: var(--text-primary);
+      border: 1px solid var(--border-color);
+      border-radius: var(--radius-md);
+      padding: 0.5rem;
+      font-size: 0.9rem;
+      flex-grow: 1;
+      appearance: none;
+      background-image: url("data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='16' height='16' viewBox='0 0 24 24' fill='none' stroke='%23cbd5e1' stroke-width='2' stroke-linecap='round' stroke-linejoin='round'%3E%3Cpath d='M6 9l6 6 6-6'/%3E%3C/svg%3E");
+      background-repeat: no-repeat;
+      background-position: right 0.5rem center;
+      padding-right: 2.5rem;
+    }
+    
+    select:focus {
+      outline: none;
+      border-color: var(--accent-primary);
+    }
+    
+    #editor {
+      flex: 1;
+      background: var(--bg-primary);
+      color: var(--text-primary);
+      padding: 1.25rem;
+      border: none;
+      resize: none;
+      outline: none;
+      width: 100%;
+      height: 100%;
+      font-family: var(--font-mono);
+      font-size: 0.95rem;
+      line-height: 1.5;
+      overflow: auto;
+      box-shadow: inset 0 0 10px rgba(0,0,0,0.1);
+    }
+    
+    #editor:focus {
+      box-shadow: inset 0 0 0 2px var(--accent-primary);
+    }
+
+    /* Editor / Markdown preview modes */
+    #editor-body {
+      flex: 1;
+      display: flex;
+      min-height: 0;
+    }
+    #editor-body.mode-edit #preview,
+    #editor-body.mode-preview #editor {
+      display: none;
+    }
+    #editor-body.mode-split #editor {
+      width: 50%;
+      border-right: 1px solid var(--border-color);
+    }
+    #preview {
+      flex: 1;
+      min-width: 0;
+      padding: 1.25rem;
+      overflow: auto;
+      background: var(--bg-primary);
+      line-height: 1.6;
+    }
+    .markdown-body,
+    .markdown-body * {
+      user-select: text;
+    }
+    .markdown-body h1,
+    .markdown-body h2,
+    .markdown-body h3 {
+      margin: 1rem 0 0.5rem;
+      line-height: 1.3;
+    }
+    .markdown-body h1 { font-size: 1.6rem; border-bottom: 1px solid var(--border-color); }
+    .markdown-body h2 { font-size: 1.3rem; }
+    .markdown-body h3 { font-size: 1.1rem; }
+    .markdown-body p,
+    .markdown-body ul,
+    .markdown-body ol,
+    .markdown-body blockquote,
+    .markdown-body pre,
+    .markdown-body table {
+      margin: 0 0 0.8rem;
+    }
+    .markdown-body ul,
+    .markdown-body ol {
+      padding-left: 1.5rem;
+    }
+    .markdown-body a {
+      color: var(--accent-secondary);
+    }
+    .markdown-body code {
+      font-family: var(--font-mono);
+      font-size: 0.85em;
+      padding: 0.1rem 0.3rem;
+      border-radius: var(--radius-sm);
+      background: var(--bg-tertiary);
+    }
+    .markdown-body pre {
+      padding: 0.75rem;
+      overflow-x: auto;
+      border-radius: var(--radius-md);
+      background: var(--bg-secondary);
+    }
+    .markdown-body pre code {
+      padding: 0;
+      background: none;
+    }
+    .markdown-body blockquote {
+      padding-left: 1rem;
+      border-left: 3px solid var(--border-color);
+      color: var(--text-secondary);
+    }
+    .markdown-body table {
+      border-collapse: collapse;
+    }
+    .markdown-body th,
+    .markdown-body td {
+      padding: 0.3rem 0.6rem;
+      border: 1px solid var(--border-color);
+    }
+    .markdown-body .math-block {
+      margin: 0 0 0.8rem;
+      overflow-x: auto;
+    }
+
+    #select-version,
+    #export-format {
+      flex-grow: 0;
+      width: 6.5rem;
+    }
+
+    /* Branch toolbar */
+    #branch-bar {
+      display: flex;
+      align-items: center;
+      gap: 0.5rem;
+      padding: 0.5rem 1rem;
+      border-bottom: 1px solid var(--border-color);
+      color: var(--text-muted);
+    }
+    #branch-bar select {
+      padding: 0.3rem 2rem 0.3rem 0.5rem;
+    }
+    #branch-bar .btn {
+      padding: 0.3rem 0.6rem;
+      font-size: 0.8rem;
+    }
+
+    /* Read-only checkout of an older version / merge in progress / restored draft /
+       commit from another window */
+    #merge-banner,
+    #draft-banner,
+    #version-banner,
+    #remote-banner {
+      display: flex;
+      align-items: center;
+      gap: 0.5rem;
+      padding: 0.5rem 1rem;
+      font-size: 0.85rem;
+      color: var(--accent-warning);
+      background: rgba(245, 158, 11, 0.1);
+      border-bottom: 1px solid var(--border-color);
+    }
+    #merge-banner {
+      color: var(--accent-danger);
+      background: rgba(239, 68, 68, 0.1);
+    }
+    #remote-banner {
+      color: var(--accent-primary);
+      background: rgba(59, 130, 246, 0.1);
+    }
+    #merge-banner.hidden,
+    #draft-banner.hidden,
+    #version-banner.hidden,
+    #remote-banner.hidden {
+      display: none;
+    }
+    #merge-banner span,
+    #draft-banner span,
+    #version-banner span,
+    #remote-banner span {
+      flex: 1;
+    }
+    #merge-banner .btn,
+    #draft-banner .btn,
+    #version-banner .btn,
+    #remote-banner .btn {
+      padding: 0.3rem 0.6rem;
+      font-size: 0.8rem;
+    }
+    #editor[readonly] {
+      color: var(--text-secondary);
+    }
+
+    /* Version history & diff panel */
+    #history-panel {
+      flex: 0 0 45%;
+      display: flex;
+      flex-direction: column;
+      border-top: 1px solid var(--border-color);
+      background: var(--bg-secondary);
+      overflow: hidden;
+    }
+    #history-panel.hidden {
+      display: none;
+    }
+
+    .history-toolbar {
+      display: flex;
+      align-items: center;
+      gap: 0.5rem;
+      padding: 0.5rem 1rem;
+      border-bottom: 1px solid var(--border-color);
+      font-size: 0.85rem;
+      color: var(--text-secondary);
+    }
+    .history-toolbar select {
+      flex-grow: 1;
+      min-width: 0;
+      padding: 0.3rem 2rem 0.3rem 0.5rem;
+    }
+    .history-toolbar .btn {
+      padding: 0.3rem 0.6rem;
+      font-size: 0.8rem;
+    }
+    .history-toolbar .btn.active {
+      background-color: var(--accent-primary);
+    }
+
+    #version-list {
+      max-height: 40%;
+      overflow-y: auto;
+      border-bottom: 1px solid var(--border-color);
+      font-size: 0.8rem;
+    }
+    .version-item {
+      display: flex;
+      flex-direction: column;
+      gap: 0.15rem;
+      padding: 0.4rem 1rem;
+      cursor: pointer;
+      color: var(--text-secondary);
+      border-bottom: 1px solid rgba(71, 85, 105, 0.4);
+    }
+    .version-item .version-line {
+      display: flex;
+      align-items: center;
+      gap: 0.5rem;
+    }
+    .version-item .version-message {
+      flex: 1;
+      color: var(--text-primary);
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+    .version-item .version-message.empty {
+      color: var(--text-muted);
+      font-style: italic;
+    }
+    .version-item .version-meta {
+      color: var(--text-muted);
+      font-size: 0.75rem;
+    }
+    .version-tag {
+      padding: 0 0.4rem;
+      border-radius: var(--radius-sm);
+      background: rgba(16, 185, 129, 0.2);
+      color: var(--accent-success);
+      font-size: 0.75rem;
+    }
+    .version-tag-btn {
+      background: none;
+      border: none;
+      color: var(--text-muted);
+      cursor: pointer;
+    }
+    .version-tag-btn:hover {
+      color: var(--accent-secondary);
+    }
+    .version-item:hover {
+      background: var(--bg-tertiary);
+    }
+    .version-item.selected {
+      color: var(--text-primary);
+      background: rgba(59, 130, 246, 0.15);
+    }
+    .version-item .version-index {
+      font-family: var(--font-mono);
+      color: var(--accent-secondary);
+    }
+    .version-item .version-branch {
+      font-family: var(--font-mono);
+      color: var(--accent-warning);
+    }
+
+    #diff-output {
+      flex: 1;
+      overflow: auto;
+      font-family: var(--font-mono);
+      font-size: 0.8rem;
+      line-height: 1.45;
+    }
+    .diff-summary {
+      padding: 0.4rem 1rem;
+      color: var(--text-muted);
+    }
+    .diff-table {
+      width: 100%;
+      border-collapse: collapse;
+      table-layout: fixed;
+    }
+    .diff-table td {
+      padding: 0 0.5rem;
+      vertical-align: top;
+      white-space: pre-wrap;
+      word-break: break-word;
+    }
+    .diff-table td.diff-no {
+      width: 3rem;
+      text-align: right;
+      color: var(--text-muted);
+      user-select: none;
+    }
+    .diff-add { background: rgba(16, 185, 129, 0.15); }
+    .diff-del { background: rgba(239, 68, 68, 0.15); }
+    .diff-word-add { background: rgba(16, 185, 129, 0.45); border-radius: 2px; }
+    .diff-word-del { background: rgba(239, 68, 68, 0.45); border-radius: 2px; text-decoration: line-through; }
+    
+    .kanban-column {
+      flex: 1;
+      min-width: 280px;
+      background: var(--bg-secondary);
+      border-radius: var(--radius-lg);
+      display: flex;
+      flex-direction: column;
+      overflow: hidden;
+      box-shadow: var(--shadow-md);
+      border: 1px solid var(--border-color);
+      transition: var(--transition-normal);
+    }
+    
+    .kanban-column.drag-over {
+      box-shadow: 0 0 0 2px var(--accent-primary), var(--shadow-lg);
+      transform: translateY(-2px);
+    }
+    
+    .kanban-header {
+      padding: 1rem;
+      font-weight: 600;
+      font-size: 1rem;
+      border-bottom: 1px solid var(--border-color);
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+    }
+    
+    .kanban-header i {
+      margin-right: 0.5rem;
+      opacity: 0.7;
+    }
+    
+    .kanban-list {
+      flex: 1;
+      padding: 1rem;
+      overflow-y: auto;
+      display: flex;
+      flex-direction: column;
+      gap: 0.75rem;
+    }
+    
+    .drop-indicator {
+      flex: none;
+      height: 3px;
+      margin: -0.2rem 0;
+      border-radius: 2px;
+      background: var(--accent-primary);
+    }
+    
+    .kanban-footer {
+      padding: 0.75rem;
+      border-top: 1px solid var(--border-color);
+    }
+    
+    /* Header colors come from the board configuration */
+    .kanban-header .counter.over-limit {
+      color: var(--accent-danger);
+      font-weight: 700;
+    }
+    
+    .kanban-column.over-limit {
+      border-color: var(--accent-danger);
+    }
+    
+    /* Cards whose status is not a column (any more) */
+    .kanban-column.hidden {
+      display: none;
+    }
+    
+    #unsorted-column .kanban-header {
+      color: var(--text-muted);
+      background-color: rgba(255, 255, 255, 0.05);
+    }
+    
+    .issue-card {
+      background: var(--bg-tertiary);
+      padding: 1rem;
+      border-radius: var(--radius-md);
+      position: relative;
+      box-shadow: var(--shadow-sm);
+      border: 1px solid var(--border-color);
+      cursor: move;
+      transition: var(--transition-normal);
+    }
+    
+    .issue-card:focus-visible {
+      outline: 2px solid var(--accent-primary);
+      outline-offset: 2px;
+    }
+    
+    .issue-card.dragging {
+      opacity: 0.5;
+    }
+    
+    .issue-card:hover {
+      box-shadow: var(--shadow-md);
+      transform: translateY(-2px);
+    }
+    
+    .issue-title {
+      font-weight: 600;
+      margin-bottom: 0.5rem;
+      padding-right: 1.5rem;
+    }
+    
+    .issue-desc {
+      font-size: 0.85rem;
+      color: var(--text-secondary);
+      white-space: pre-line;
+      line-height: 1.5;
+    }
+    
+    .delete-issue-btn {
+      position: absolute;
+      top: 0.5rem;
+      right: 0.5rem;
+      width: 24px;
+      height: 24px;
+      border-radius: 50%;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: var(--accent-danger);
+      color: white;
+      border: none;
+      font-size: 0.8rem;
+      cursor: pointer;
+      opacity: 0;
+      transition: var(--transition-normal);
+    }
+    
+    .issue-card:hover .delete-issue-btn {
+      opacity: 1;
+    }
+    
+    .issue-milestone-btn {
+      position: absolute;
+      top: 0.5rem;
+      right: 2.25rem;
+      width: 24px;
+      height: 24px;
+      border-radius: 50%;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: var(--bg-secondary);
+      color: var(--text-secondary);
+      border: 1px solid var(--border-color);
+      font-size: 0.7rem;
+      cursor: pointer;
+      opacity: 0;
+      transition: var(--transition-normal);
+    }
+    
+    .issue-card:hover .issue-milestone-btn {
+      opacity: 1;
+    }
+    
+    /* Cards linked to the milestone selected in the graph */
+    .issue-card.highlighted {
+      border-color: var(--accent-primary);
+      box-shadow: 0 0 0 2px var(--accent-primary);
+    }
+    
+    .issue-card.dimmed {
+      opacity: 0.4;
+    }
+    
+    .milestone-badge {
+      display: inline-flex;
+      align-items: center;
+      gap: 0.3rem;
+      margin-top: 0.5rem;
+      padding: 0.1rem 0.5rem;
+      border-radius: 999px;
+      border: 1px solid;
+      font-size: 0.75rem;
+      cursor: pointer;
+    }
+    
+    /* Issue details on cards */
+    .issue-meta {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 0.3rem;
+      margin-top: 0.5rem;
+      font-size: 0.75rem;
+    }
+    
+    .issue-meta:empty {
+      display: none;
+    }
+    
+    .issue-label {
+      padding: 0.05rem 0.45rem;
+      border-radius: 999px;
+      color: #fff;
+      font-weight: 600;
+    }
+    
+    .issue-priority {
+      padding: 0.05rem 0.45rem;
+      border-radius: var(--radius-md);
+      border: 1px solid;
+    }
+    
+    .issue-due,
+    .issue-comments {
+      color: var(--text-secondary);
+    }
+    
+    .issue-due.due-today {
+      color: var(--accent-warning);
+    }
+    
+    .issue-due.overdue {
+      color: var(--accent-danger);
+      font-weight: 600;
+    }
+    
+    .issue-card.overdue {
+      border-left: 3px solid var(--accent-danger);
+    }
+    
+    .issue-checklist {
+      margin-top: 0.5rem;
+      font-size: 0.75rem;
+      color: var(--text-secondary);
+    }
+    
+    /* Filter bar above the board */
+    #kanban-toolbar input,
+    #kanban-toolbar select {
+      background-color: var(--bg-secondary);
+      color: var(--text-primary);
+      border: 1px solid var(--border-color);
+      border-radius: var(--radius-md);
+      padding: 0.3rem 0.5rem;
+      font: inherit;
+      font-size: 0.8rem;
+    }
+    
+    #kanban-toolbar select {
+      padding-right: 2rem;
+    }
+    
+    #issue-filter-text {
+      flex: 1;
+      min-width: 8rem;
+    }
+    
+    #issue-filter-count {
+      color: var(--text-muted);
+      font-size: 0.8rem;
+    }
+    
+    /* Issue edit dialog */
+    #issue-dialog,
+    #import-dialog {
+      position: fixed;
+      inset: 0;
+      background: rgba(0, 0, 0, 0.5);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      z-index: 20;
+    }
+    
+    #issue-dialog.hidden,
+    #import-dialog.hidden {
+      display: none;
+    }
+    
+    #issue-form,
+    #import-box {
+      width: 440px;
+      max-width: calc(100% - 2rem);
+      max-height: calc(100% - 2rem);
+      overflow-y: auto;
+      background: var(--bg-tertiary);
+      border: 1px solid var(--border-color);
+      border-radius: var(--radius-lg);
+      box-shadow: var(--shadow-lg);
+      padding: 1rem;
+      font-size: 0.85rem;
+    }
+    
+    .import-choice {
+      display: flex;
+      align-items: flex-start;
+      gap: 0.75rem;
+      margin-top: 0.75rem;
+    }
+    
+    .import-choice .btn {
+      flex-shrink: 0;
+      width: 6.5rem;
+    }
+    
+    .import-choice p {
+      margin: 0;
+      color: var(--text-secondary);
+    }
+    
+    #import-file-name {
+      color: var(--text-muted);
+      word-break: break-all;
+    }
+    
+    .issue-add-row,
+    .issue-check-item {
+      display: flex;
+      align-items: center;
+      gap: 0.4rem;
+    }
+    
+    .issue-add-row input:not([type="color"]),
+    .issue-check-item span {
+      flex: 1;
+      min-width: 0;
+    }
+    
+    .issue-add-row input[type="color"] {
+      width: 1.8rem;
+      height: 1.8rem;
+      padding: 0;
+      border: none;
+      background: none;
+    }
+    
+    .issue-add-row .btn,
+    .issue-check-item .btn {
+      padding: 0.25rem 0.5rem;
+      font-size: 0.75rem;
+    }
+    
+    .issue-check-item.done span {
+      text-decoration: line-through;
+      color: var(--text-muted);
+    }
+    
+    #issue-labels {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 0.3rem;
+    }
+    
+    #issue-labels .issue-label {
+      cursor: pointer;
+    }
+    
+    /* Activity timeline and comments in the issue dialog */
+    #issue-activity-section.hidden {
+      display: none;
+    }
+    
+    .activity-entry {
+      display: flex;
+      align-items: baseline;
+      gap: 0.5rem;
+      padding: 0.3rem 0;
+      font-size: 0.8rem;
+      color: var(--text-secondary);
+    }
+    
+    .activity-entry time {
+      margin-left: auto;
+      color: var(--text-muted);
+      font-size: 0.7rem;
+      white-space: nowrap;
+    }
+    
+    .activity-comment {
+      margin: 0.3rem 0;
+      padding: 0.5rem;
+      background: var(--bg-secondary);
+      border: 1px solid var(--border-color);
+      border-radius: var(--radius-md);
+    }
+    
+    .activity-comment .activity-entry {
+      padding: 0;
+    }
+    
+    .activity-comment p {
+      margin: 0.3rem 0 0;
+      white-space: pre-wrap;
+      color: var(--text-primary);
+      font-size: 0.85rem;
+    }
+    
+    .activity-comment .btn {
+      padding: 0.1rem 0.4rem;
+      font-size: 0.7rem;
+    }
+    
+    #issue-add-comment-btn {
+      margin-top: 0.4rem;
+    }
+    
+    /* Search palette */
+    #search-palette {
+      position: fixed;
+      inset: 0;
+      background: rgba(0, 0, 0, 0.5);
+      display: flex;
+      justify-content: center;
+      align-items: flex-start;
+      padding-top: 12vh;
+      z-index: 30;
+    }
+    
+    #search-palette.hidden {
+      display: none;
+    }
+    
+    #search-box {
+      width: 600px;
+      max-width: calc(100% - 2rem);
+      background: var(--bg-tertiary);
+      border: 1px solid var(--border-color);
+      border-radius: var(--radius-lg);
+      box-shadow: var(--shadow-lg);
+      overflow: hidden;
+    }
+    
+    #search-field {
+      display: flex;
+      align-items: center;
+      gap: 0.6rem;
+      padding: 0.75rem 1rem;
+      border-bottom: 1px solid var(--border-color);
+      color: var(--text-muted);
+    }
+    
+    #search-input {
+      flex: 1;
+      background: none;
+      border: none;
+      outline: none;
+      color: var(--text-primary);
+      font: inherit;
+      font-size: 1rem;
+    }
+    
+    #search-results {
+      max-height: 55vh;
+      overflow-y: auto;
+    }
+    
+    .search-result {
+      display: flex;
+      gap: 0.75rem;
+      padding: 0.6rem 1rem;
+      cursor: pointer;
+      border-bottom: 1px solid var(--border-color);
+    }
+    
+    .search-result.selected {
+      background: rgba(59, 130, 246, 0.15);
+    }
+    
+    .search-result > i {
+      width: 1rem;
+      margin-top: 0.2rem;
+      color: var(--text-muted);
+    }
+    
+    .search-result-title {
+      font-weight: 600;
+      font-size: 0.9rem;
+    }
+    
+    .search-result-context {
+      color: var(--text-muted);
+      font-size: 0.75rem;
+    }
+    
+    .search-result-snippet {
+      color: var(--text-secondary);
+      font-size: 0.8rem;
+      margin-top: 0.2rem;
+    }
+    
+    .search-result mark {
+      background: rgba(245, 158, 11, 0.35);
+      color: inherit;
+      border-radius: 2px;
+    }
+    
+    .search-note,
+    #search-hint {
+      padding: 0.6rem 1rem;
+      color: var(--text-muted);
+      font-size: 0.8rem;
+    }
+    
+    /* Graph styles */
+    .node {
+      stroke: #333;
+      stroke-width: 1.5px;
+      transition: fill 0.3s ease, r 0.3s ease;
+      cursor: pointer;
+    }
+    
+    .node:hover {
+      stroke: var(--accent-primary);
+      stroke-width: 2.5px;
+    }
+    
+    .link {
+      stroke-opacity: 0.6;
+      transition: stroke 0.3s ease, stroke-width 0.3s ease, stroke-opacity 0.3s ease;
+    }
+    
+    .link.selected {
+      stroke-opacity: 1;
+      stroke-width: 3px;
+    }
+    
+    /* Wide invisible stroke so thin links are easy to click */
+    .link-hit {
+      stroke: transparent;
+      stroke-width: 12px;
+      cursor: pointer;
+    }
+    
+    .link-label {
+      fill: var(--text-muted);
+      font-size: 10px;
+      pointer-events: none;
+      user-select: none;
+    }
+    
+    #link-legend {
+      position: absolute;
+      left: 1rem;
+      bottom: 1rem;
+      background: rgba(15, 23, 42, 0.8);
+      border: 1px solid var(--border-color);
+      border-radius: var(--radius-md);
+      padding: 0.5rem 0.75rem;
+      font-size: 0.75rem;
+      color: var(--text-secondary);
+      z-index: 5;
+      display: flex;
+      flex-direction: column;
+      gap: 0.2rem;
+    }
+    
+    #link-legend svg {
+      vertical-align: middle;
+      margin-right: 0.4rem;
+    }
+    
+    .label {
+      pointer-events: none;
+      user-select: none;
+      font-size: 12px;
+      font-weight: 500;
+    }
+    
+    .node.selected {
+      stroke: #fff;
+      stroke-width: 3px;
+    }
+    
+    /* Milestone status */
+    .node.status-planned,
+    .timeline-bar.status-planned {
+      fill-opacity: 0.45;
+      stroke-dasharray: 4 3;
+    }
+    
+    .node.status-achieved,
+    .timeline-bar.status-achieved {
+      stroke: #facc15;
+      stroke-width: 3px;
+    }
+    
+    /* Timeline view */
+    .timeline-bar {
+      stroke: #333;
+      stroke-width: 1.5px;
+      cursor: pointer;
+    }
+    
+    .timeline-bar.selected {
+      stroke: #fff;
+      stroke-width: 3px;
+    }
+    
+    .timeline-link {
+      fill: none;
+      stroke-opacity: 0.6;
+      stroke-width: 1.5px;
+      cursor: pointer;
+    }
+    
+    .timeline-link.selected {
+      stroke-opacity: 1;
+      stroke-width: 3px;
+    }
+    
+    .timeline-axis text {
+      fill: var(--text-muted);
+    }
+    
+    .timeline-axis path,
+    .timeline-axis line {
+      stroke: var(--border-color);
+    }
+    
+    .timeline-today {
+      stroke: var(--accent-danger);
+      stroke-dasharray: 4 4;
+    }
+    
+    .timeline-note {
+      fill: var(--text-muted);
+      font-size: 12px;
+    }
+    
+    /* Path / prerequisite highlight: everything else is dimmed */
+    .node.dimmed,
+    .label.dimmed,
+    .link.dimmed,
+    .link-label.dimmed,
+    .pin-marker.dimmed,
+    .progress-track.dimmed,
+    .progress-ring.dimmed,
+    .timeline-row.dimmed,
+    .timeline-link.dimmed {
+      opacity: 0.15;
+    }
+    
+    .link.on-path,
+    .timeline-link.on-path {
+      stroke-opacity: 1;
+      stroke-width: 3px;
+    }
+    
+    #node-panel-plan ol {
+      margin: 0.25rem 0 0 1.25rem;
+      padding: 0;
+    }
+    
+    .plan-next {
+      color: var(--accent-success);
+      font-size: 0.7rem;
+      margin-left: 0.3rem;
+    }
+    
+    .plan-warning {
+      color: var(--accent-warning);
+    }
+    
+    .pin-marker {
+      fill: #fff;
+      stroke: #333;
+      stroke-width: 1px;
+      pointer-events: none;
+    }
+    
+    .progress-track {
+      fill: none;
+      stroke: rgba(255, 255, 255, 0.15);
+      stroke-width: 3px;
+      pointer-events: none;
+    }
+    
+    .progress-ring {
+      fill: var(--accent-success);
+      pointer-events: none;
+    }
+    
+    /* Milestone / relationship / board panels (opened by clicking a node or link) */
+    #node-panel,
+    #link-panel,
+    #board-panel {
+      position: absolute;
+      top: 1rem;
+      right: 1rem;
+      width: 280px;
+      max-height: calc(100% - 2rem);
+      overflow-y: auto;
+      background: var(--bg-tertiary);
+      border: 1px solid var(--border-color);
+      border-radius: var(--radius-lg);
+      box-shadow: var(--shadow-lg);
+      padding: 0.75rem;
+      z-index: 6;
+      display: flex;
+      flex-direction: column;
+      gap: 0.5rem;
+      font-size: 0.85rem;
+    }
+    
+    #node-panel.hidden,
+    #link-panel.hidden,
+    #board-panel.hidden {
+      display: none;
+    }
+    
+    .node-panel-header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      font-weight: 600;
+      font-size: 1rem;
+    }
+    
+    #node-form,
+    #link-form,
+    #issue-form {
+      display: flex;
+      flex-direction: column;
+      gap: 0.4rem;
+    }
+    
+    #node-form label,
+    #link-form label,
+    #issue-form label {
+      display: flex;
+      flex-direction: column;
+      gap: 0.2rem;
+      color: var(--text-secondary);
+      font-size: 0.75rem;
+    }
+    
+    #node-form input,
+    #node-form textarea,
+    #link-form input,
+    #issue-form input,
+    #issue-form textarea {
+      background-color: var(--bg-secondary);
+      color: var(--text-primary);
+      border: 1px solid var(--border-color);
+      border-radius: var(--radius-md);
+      padding: 0.35rem 0.5rem;
+      font: inherit;
+      font-size: 0.85rem;
+    }
+    
+    #node-form textarea,
+    #issue-form textarea {
+      resize: vertical;
+    }
+    
+    #node-form select,
+    #link-form select,
+    #issue-form select,
+    .node-panel-picker select {
+      padding: 0.35rem 2rem 0.35rem 0.5rem;
+      font-size: 0.85rem;
+    }
+    
+    /* Milestone / document choice next to its action button in the node panel */
+    .node-panel-picker select {
+      flex: 1;
+      min-width: 0;
+    }
+    
+    #node-form input:focus,
+    #node-form textarea:focus,
+    #link-form input:focus,
+    #issue-form input:focus,
+    #issue-form textarea:focus {
+      outline: none;
+      border-color: var(--accent-primary);
+    }
+    
+    .node-form-row {
+      display: flex;
+      gap: 0.5rem;
+    }
+    
+    #node-form label.node-pin-toggle {
+      flex-direction: row;
+      align-items: center;
+      gap: 0.4rem;
+    }
+    
+    .node-form-row label {
+      flex: 1;
+      min-width: 0;
+    }
+    
+    #node-url-list a {
+      display: block;
+      color: var(--accent-secondary);
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+    
+    .node-panel-section {
+      color: var(--text-muted);
+      text-transform: uppercase;
+      font-size: 0.7rem;
+      letter-spacing: 0.05em;
+    }
+    
+    .progress-bar {
+      height: 6px;
+      border-radius: 3px;
+      background: rgba(255, 255, 255, 0.15);
+      overflow: hidden;
+      margin-bottom: 0.25rem;
+    }
+    
+    .progress-bar > div {
+      height: 100%;
+      background: var(--accent-success);
+    }
+    
+    #board-panel {
+      width: 360px;
+    }
+    
+    .board-column-row {
+      display: flex;
+      align-items: center;
+      gap: 0.3rem;
+      margin-bottom: 0.3rem;
+    }
+    
+    .board-remap-row {
+      display: flex;
+      align-items: center;
+      gap: 0.4rem;
+      margin-bottom: 0.3rem;
+      font-size: 0.8rem;
+      color: var(--text-secondary);
+    }
+    
+    .board-remap-row span {
+      flex: 1;
+    }
+    
+    .board-column-row input[type="text"],
+    .board-column-row input[type="number"],
+    .board-remap-row select {
+      min-width: 0;
+      background-color: var(--bg-secondary);
+      color: var(--text-primary);
+      border: 1px solid var(--border-color);
+      border-radius: var(--radius-md);
+      padding: 0.3rem 0.4rem;
+      font: inherit;
+      font-size: 0.8rem;
+    }
+    
+    .board-column-row input[type="text"] {
+      flex: 1;
+    }
+    
+    .board-column-row input[type="number"] {
+      width: 3.5rem;
+    }
+    
+    .board-column-row input[type="color"] {
+      width: 1.8rem;
+      height: 1.8rem;
+      padding: 0;
+      border: none;
+      background: none;
+    }
+    
+    .board-column-row .btn {
+      padding: 0.25rem 0.4rem;
+      font-size: 0.7rem;
+    }
+    
+    .node-doc {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 0.5rem;
+    }
+    
+    .node-doc a {
+      color: var(--accent-secondary);
+      cursor: pointer;
+      text-decoration: none;
+    }
+    
+    .node-doc a:hover {
+      text-decoration: underline;
+    }
+    
+    .node-doc button {
+      background: none;
+      border: none;
+      color: var(--text-muted);
+      cursor: pointer;
+    }
+    
+    /* Toast notification */
+    .toast {
+      position: fixed;
+      bottom: 20px;
+      right: 20px;
+      background: var(--bg-tertiary);
+      color: var(--text-primary);
+      padding: 1rem;
+      border-radius: var(--radius-md);
+      box-shadow: var(--shadow-lg);
+      z-index: 1000;
+      display: flex;
+      align-items: center;
+      gap: 0.5rem;
+      transform: translateY(100px);
+      opacity: 0;
+      transition: var(--transition-smooth);
+      border-left: 4px solid var(--accent-primary);
+    }
+    
+    .toast.show {
+      transform: translateY(0);
+      opacity: 1;
+    }
+    
+    .toast.success {
+      border-left-color: var(--accent-success);
+    }
+    
+    .toast.error {
+      border-left-color: var(--accent-danger);
+    }
+    
+    /* Scrollbar styling */
+    ::-webkit-scrollbar {
+      width: 8px;
+      height: 8px;
+    }
+    
+    ::-webkit-scrollbar-track {
+      background: var(--bg-primary);
+    }
+    
+    ::-webkit-scrollbar-thumb {
+      background: var(--bg-tertiary);
+      border-radius: 4px;
+    }
+    
+    ::-webkit-scrollbar-thumb:hover {
+      background: var(--accent-primary);
+    }
+    
+    /* Responsive adjustments */
+    @media (max-width: 768px) {
+      #main-container {
+        flex-direction: column;
+      }
+      
+      #graph-container, #editor-container {
+        width: 100%;
+        height: 33vh;
+        border-right: none;
+        border-bottom: 1px solid var(--border-color);
+      }
+      
+      .resizer {
+        width: 100%;
+        height: 6px;
+        cursor: row-resize;
+      }
+    }
+  </style>
+</head>
+<body>
+  <header>
+    <div class="logo"><i class="fas fa-code-branch"></i> AndreOS</div>
+    <div id="header-controls" style="display: flex; align-items: center; gap: 0.5rem;">
+      <button id="search-btn" class="btn" style="padding: 0.4rem 0.7rem;" title="Search everything (Ctrl+K)">
+        <i class="fas fa-search"></i>
+        Search
+      </button>
+      <!-- Undo / redo of graph and kanban edits -->
+      <button id="undo-btn" class="btn" style="padding: 0.4rem 0.7rem;" disabled>
+        <i class="fas fa-undo"></i>
+        Undo
+      </button>
+      <button id="redo-btn" class="btn" style="padding: 0.4rem 0.7rem;" disabled>
+        <i class="fas fa-redo"></i>
+        Redo
+      </button>
+      <!-- Editor toggle button -->
+      <button id="toggle-editor-btn" class="btn" style="padding: 0.4rem 0.7rem;">
+        <i class="fas fa-window-minimize"></i>
+        Toggle Editor
+      </button>
+      <!-- Workspace bundles -->
+      <button id="workspace-export-btn" class="btn" style="padding: 0.4rem 0.7rem;" title="Download everything in this workspace as a bundle">
+        <i class="fas fa-download"></i>
+        Export
+      </button>
+      <button id="workspace-import-btn" class="btn" style="padding: 0.4rem 0.7rem;" title="Load a workspace bundle">
+        <i class="fas fa-upload"></i>
+        Import
+      </button>
+      <input type="file" id="workspace-import-file" accept=".json,application/json" style="display: none;">
+      <span id="save-status" style="color: var(--text-muted); font-size: 0.9rem;"></span>
+      <!-- Live sync with other windows -->
+      <span id="live-status" style="color: var(--text-muted); font-size: 0.6rem;" title="Connecting to live updates...">
+        <i class="fas fa-circle"></i>
+      </span>
+      <!-- Signed-in user -->
+      <span id="user-name" style="color: var(--text-secondary); font-size: 0.9rem; margin-left: 0.5rem;">
+        <i class="fas fa-user"></i> <span></span>
+      </span>
+      <button id="logout-btn" class="btn" style="padding: 0.4rem 0.7rem;" title="Sign out">
+        <i class="fas fa-sign-out-alt"></i>
+      </button>
+    </div>
+  </header>
+  
+  <div id="main-container">
+    <!-- Graph Container -->
+    <div id="graph-container">
+      <svg id="graph"></svg>
+      <div id="cluster-button-container">
+        <button id="add-node-btn" class="btn">
+          <i class="fas fa-plus-circle"></i> Add Node
+        </button>
+        <button id="add-colored-node-btn" class="btn">
+          <i class="fas fa-palette"></i> Add Colored Node
+        </button>
+        <button id="save-graph-btn" class="btn btn-primary">
+          <i class="fas fa-save"></i> Save Graph
+        </button>
+        <button id="freeze-layout-btn" class="btn" title="Stop the automatic layout; dragged nodes stay where they are dropped">
+          <i class="fas fa-snowflake"></i> <span>Freeze Layout</span>
+        </button>
+        <button id="toggle-view-btn" class="btn" title="Switch between the relationship graph and a timeline">
+          <i class="fas fa-stream"></i> <span>Timeline</span>
+        </button>
+      </div>
+      <div id="link-legend"></div>
+      <div id="link-panel" class="hidden">
+        <div class="node-panel-header">
+          <span><i class="fas fa-long-arrow-alt-right"></i> Relationship</span>
+          <button id="link-panel-close" class="btn" style="padding: 0.2rem 0.5rem;" title="Close">
+            <i class="fas fa-times"></i>
+          </button>
+        </div>
+        <div id="link-panel-ends"></div>
+        <form id="link-form">
+          <label>Type <select id="link-type"></select></label>
+          <label>Label <input id="link-label" type="text" maxlength="100" placeholder="optional"></label>
+          <button type="submit" class="btn btn-primary">
+            <i class="fas fa-save"></i> Save Relationship
+          </button>
+        </form>
+        <button id="link-reverse-btn" class="btn">
+          <i class="fas fa-exchange-alt"></i> Reverse Direction
+        </button>
+        <button id="link-delete-btn" class="btn">
+          <i class="fas fa-trash"></i> Delete Relationship
+        </button>
+      </div>
+      <div id="node-panel" class="hidden">
+        <div class="node-panel-header">
+          <span><i id="node-panel-icon" class="fas fa-circle"></i> <span id="node-panel-title"></span></span>
+          <button id="node-panel-close" class="btn" style="padding: 0.2rem 0.5rem;" title="Close">
+            <i class="fas fa-times"></i>
+          </button>
+        </div>
+        <form id="node-form">
+          <label>Name <input id="node-name" type="text" maxlength="200" required></label>
+          <div class="node-form-row">
+            <label>Type
+              <select id="node-type">
+                <option value="">(none)</option>
+                <option value="job">Job</option>
+                <option value="education">Education</option>
+                <option value="certification">Certification</option>
+                <option value="skill">Skill</option>
+                <option value="goal">Goal</option>
+              </select>
+            </label>
+            <label>Status
+              <select id="node-status">
+                <option value="">(none)</option>
+                <option value="planned">Planned</option>
+                <option value="active">Active</option>
+                <option value="achieved">Achieved</option>
+              </select>
+            </label>
+          </div>
+          <div class="node-form-row">
+            <label>Start <input id="node-start" type="date"></label>
+            <label>End <input id="node-end" type="date"></label>
+          </div>
+          <label>Color <input id="node-color" type="text" placeholder="#2ecc71"></label>
+          <label class="node-pin-toggle" title="Pinned nodes keep their position; dragging a node pins it">
+            <input id="node-pinned" type="checkbox"> Pinned in place
+          </label>
+          <label>Notes <textarea id="node-notes" rows="4"></textarea></label>
+          <label>Links (one URL per line) <textarea id="node-urls" rows="2"></textarea></label>
+          <div id="node-url-list"></div>
+          <button type="submit" class="btn btn-primary">
+            <i class="fas fa-save"></i> Save Details
+          </button>
+        </form>
+        <div class="node-panel-section">Plan</div>
+        <div class="node-form-row">
+          <button id="node-prereq-btn" class="btn" title="Highlight everything this milestone depends on">
+            <i class="fas fa-sitemap"></i> Prerequisites
+          </button>
+        </div>
+        <div class="node-form-row node-panel-picker">
+          <select id="node-path-target" title="Milestone to find a path to"></select>
+          <button id="node-path-btn" class="btn" title="Highlight the shortest path to the chosen milestone">
+            <i class="fas fa-route"></i> Path To
+          </button>
+        </div>
+        <div id="node-panel-plan"></div>
+        <div class="node-panel-section">Progress</div>
+        <div id="node-panel-progress"></div>
+        <div class="node-panel-section">Documents</div>
+        <div id="node-panel-docs"></div>
+        <div class="node-form-row node-panel-picker">
+          <select id="node-link-doc" title="Document to link"></select>
+          <button id="node-link-doc-btn" class="btn">
+            <i class="fas fa-link"></i> Link
+          </button>
+        </div>
+        <button id="node-add-issue-btn" class="btn">
+          <i class="fas fa-plus"></i> Add Linked Issue
+        </button>
+      </div>
+    </div>
+    
+    <div class="resizer" id="resizer1"></div>
+    
+    <!-- Editor Container -->
+    <div id="editor-container">
+      <div id="doc-list">
+        <select id="select-doc">
+          <option value="">-- Select Document --</option>
+        </select>
+        <select id="select-version" title="Version" disabled></select>
+        <button id="new-doc-btn" class="btn">
+          <i class="fas fa-file"></i> New
+        </button>
+        <button id="commit-doc-btn" class="btn btn-primary">
+          <i class="fas fa-save"></i> Commit
+        </button>
+        <button id="history-btn" class="btn" title="Version history">
+          <i class="fas fa-history"></i>
+        </button>
+        <button id="preview-btn" class="btn" title="Preview: off">
+          <i class="fas fa-eye"></i>
+        </button>
+        <select id="export-format" title="Export the version shown as PDF, DOCX or HTML">
+          <option value="">Export…</option>
+          <option value="pdf">PDF</option>
+          <option value="docx">DOCX</option>
+          <option value="html">HTML</option>
+        </select>
+      </div>
+      <div id="branch-bar">
+        <i class="fas fa-code-branch"></i>
+        <select id="select-branch" title="Branch" disabled></select>
+        <button id="new-branch-btn" class="btn" title="New branch from the version shown">
+          <i class="fas fa-plus"></i> Branch
+        </button>
+        <select id="select-other-branch" title="Branch to merge or delete" disabled></select>
+        <button id="merge-branch-btn" class="btn" title="Merge the chosen branch into this one">
+          <i class="fas fa-code-merge"></i> Merge
+        </button>
+        <button id="delete-branch-btn" class="btn" title="Delete the chosen branch">
+          <i class="fas fa-trash"></i>
+        </button>
+      </div>
+      <div id="merge-banner" class="hidden">
+        <span id="merge-banner-text"></span>
+        <button id="next-conflict-btn" class="btn">
+          <i class="fas fa-arrow-down"></i> Next conflict
+        </button>
+        <button id="abort-merge-btn" class="btn btn-danger">
+          <i class="fas fa-times"></i> Abort
+        </button>
+      </div>
+      <div id="draft-banner" class="hidden">
+        <span id="draft-banner-text"></span>
+        <button id="discard-draft-btn" class="btn">
+          <i class="fas fa-eraser"></i> Discard draft
+        </button>
+      </div>
+      <div id="remote-banner" class="hidden">
+        <span id="remote-banner-text"></span>
+        <button id="load-remote-btn" class="btn">
+          <i class="fas fa-sync-alt"></i> Load latest
+        </button>
+        <button id="dismiss-remote-btn" class="btn">
+          <i class="fas fa-times"></i>
+        </button>
+      </div>
+      <div id="version-banner" class="hidden">
+        <span id="version-banner-text"></span>
+        <button id="revert-version-btn" class="btn btn-danger">
+          <i class="fas fa-undo"></i> Revert
+        </button>
+        <button id="back-to-latest-btn" class="btn">
+          <i class="fas fa-arrow-right"></i> Latest
+        </button>
+      </div>
+      <div id="editor-body" class="mode-edit">
+        <textarea id="editor" placeholder="Write your LaTeX/Markdown-style content here..."></textarea>
+        <div id="preview" class="markdown-body"></div>
+      </div>
+      <div id="history-panel" class="hidden">
+        <div class="history-toolbar">
+          <span>From</span>
+          <select id="diff-from"></select>
+          <span>To</span>
+          <select id="diff-to"></select>
+          <button id="diff-mode-split" class="btn active" title="Side-by-side">
+            <i class="fas fa-columns"></i>
+          </button>
+          <button id="diff-mode-inline" class="btn" title="Inline">
+            <i class="fas fa-align-left"></i>
+          </button>
+        </div>
+        <div id="version-list"></div>
+        <div id="diff-output"></div>
+      </div>
+    </div>
+    
+    <div class="resizer" id="resizer2"></div>
+    
+    <!-- Kanban Container: columns are generated from the board configuration -->
+    <div id="kanban-container">
+      <div id="kanban-toolbar">
+        <button id="board-settings-btn" class="btn" title="Columns, colors and WIP limits">
+          <i class="fas fa-columns"></i> Columns
+        </button>
+        <input type="search" id="issue-filter-text" placeholder="Filter cards...">
+        <select id="issue-filter-priority" title="Priority">
+          <option value="">Any priority</option>
+        </select>
+        <select id="issue-filter-label" title="Label">
+          <option value="">Any label</option>
+        </select>
+        <span id="issue-filter-count"></span>
+      </div>
+      <div id="kanban-columns"></div>
+
+      <!-- Board columns editor -->
+      <div id="board-panel" class="hidden">
+        <div class="node-panel-header">
+          <span><i class="fas fa-columns"></i> Board columns</span>
+          <button id="board-panel-close" class="btn" style="padding: 0.2rem 0.5rem;" title="Close">
+            <i class="fas fa-times"></i>
+          </button>
+        </div>
+        <div class="node-panel-section">Name, color, WIP limit, done</div>
+        <div id="board-column-list"></div>
+        <div id="board-remap" class="hidden">
+          <div class="node-panel-section">Cards of removed columns go to</div>
+          <div id="board-remap-list"></div>
+        </div>
+        <button id="add-column-btn" class="btn">
+          <i class="fas fa-plus"></i> Add column
+        </button>
+        <button id="save-board-btn" class="btn btn-primary">
+          <i class="fas fa-save"></i> Save board
+        </button>
+      </div>
+    </div>
+  </div>
+  
+  <!-- Issue edit dialog (also used to create issues) -->
+  <div id="issue-dialog" class="hidden">
+    <form id="issue-form">
+      <div class="node-panel-header">
+        <span id="issue-dialog-title">Edit issue</span>
+        <button type="button" id="issue-dialog-close" class="btn" style="padding: 0.2rem 0.5rem;" title="Close">
+          <i class="fas fa-times"></i>
+        </button>
+      </div>
+      <label>Title <input type="text" id="issue-title" maxlength="200" required></label>
+      <label>Description <textarea id="issue-description" rows="4"></textarea></label>
+      <div class="node-form-row">
+        <label>Status <select id="issue-status"></select></label>
+        <label>Priority
+          <select id="issue-priority">
+            <option value="">None</option>
+          </select>
+        </label>
+      </div>
+      <div class="node-form-row">
+        <label>Due date <input type="date" id="issue-due"></label>
+        <label>Milestone <select id="issue-milestone"></select></label>
+      </div>
+      <div class="node-panel-section">Labels</div>
+      <div id="issue-labels"></div>
+      <div class="issue-add-row">
+        <input type="text" id="issue-label-name" list="issue-label-options" placeholder="Add a label" maxlength="30">
+        <input type="color" id="issue-label-color" value="#8b5cf6" title="Label color">
+        <button type="button" id="issue-add-label-btn" class="btn" title="Add label"><i class="fas fa-plus"></i></button>
+      </div>
+      <datalist id="issue-label-options"></datalist>
+      <div class="node-panel-section">Checklist</div>
+      <div id="issue-checklist-progress"></div>
+      <div id="issue-checklist"></div>
+      <div class="issue-add-row">
+        <input type="text" id="issue-checklist-text" placeholder="Add an item" maxlength="200">
+        <button type="button" id="issue-add-item-btn" class="btn" title="Add item"><i class="fas fa-plus"></i></button>
+      </div>
+      <button type="submit" class="btn btn-primary">
+        <i class="fas fa-save"></i> Save issue
+      </button>
+      <div id="issue-activity-section">
+        <div class="node-panel-section">Activity</div>
+        <div id="issue-activity"></div>
+        <textarea id="issue-comment-text" rows="2" placeholder="Write a comment (Ctrl+Enter to post)"></textarea>
+        <button type="button" id="issue-add-comment-btn" class="btn">
+          <i class="far fa-comment"></i> Comment
+        </button>
+      </div>
+    </form>
+  </div>
+
+  <!-- Import mode dialog -->
+  <div id="import-dialog" class="hidden">
+    <div id="import-box">
+      <div class="node-panel-header">
+        <span>Import workspace bundle</span>
+        <button type="button" id="import-dialog-close" class="btn" style="padding: 0.2rem 0.5rem;" title="Close">
+          <i class="fas fa-times"></i>
+        </button>
+      </div>
+      <div id="import-file-name"></div>
+      <div class="import-choice">
+        <button type="button" id="import-merge-btn" class="btn btn-primary">
+          <i class="fas fa-code-merge"></i> Merge
+        </button>
+        <p>Adds the bundle to this workspace. Milestones, documents and issues whose ids clash are renamed.</p>
+      </div>
+      <div class="import-choice">
+        <button type="button" id="import-replace-btn" class="btn btn-danger">
+          <i class="fas fa-exclamation-triangle"></i> Replace
+        </button>
+        <p><strong>Deletes this workspace's current graph, documents, issues and board</strong> and loads the bundle in their place. Export first to keep a copy.</p>
+      </div>
+    </div>
+  </div>
+
+  <!-- Search palette (Ctrl+K) -->
+  <div id="search-palette" class="hidden">
+    <div id="search-box">
+      <div id="search-field">
+        <i class="fas fa-search"></i>
+        <input type="search" id="search-input" placeholder="Search milestones, documents, versions and issues..." autocomplete="off" maxlength="200">
+      </div>
+      <div id="search-results"></div>
+      <div id="search-hint">Up/Down to choose, Enter to open, Esc to close</div>
+    </div>
+  </div>
+
+  <!-- Toast notification -->
+  <div id="toast" class="toast">
+    <i id="toast-icon" class="fas fa-info-circle"></i>
+    <span id="toast-message"></span>
+  </div>
+
+  <!-- D3, Marked, DOMPurify & KaTeX from CDN -->
+  <script src="https://cdn.jsdelivr.net/npm/d3@7.8.5/dist/d3.min.js"></script>
+  <script src="https://cdn.jsdelivr.net/npm/marked@12.0.2/marked.min.js"></script>
+  <script src="https://cdn.jsdelivr.net/npm/dompurify@3.0.8/dist/purify.min.js"></script>
+  <script src="https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.min.js"></script>
+
+  <script>
+    /************************************************************
+     * API requests
+     ************************************************************/
+    // Every call to the server goes through api(). It names this window, so
+    // live updates can skip its own changes (see Live sync), and goes back to
+    // the sign-in page once the session is gone (expired, or signed out elsewhere).
+    const CLIENT_ID = Math.random().toString(36).slice(2);
+
+    function api(url, options = {}) {
+      return fetch(url, {
+        ...options,
+        headers: { ...options.headers, 'X-Client-Id': CLIENT_ID }
+      }).then(res => {
+        if (res.status === 401) window.location.href = '/login';
+        return res;
+      });
+    }
+
+    /************************************************************
+     * Toast notifications
+     ************************************************************/
+    function showToast(message, type = 'info') {
+      const toast = document.getElementById('toast');
+      const icon = document.getElementById('toast-icon');
+      const msg = document.getElementById('toast-message');
+      
+      toast.className = 'toast';
+      if (type === 'success') {
+        toast.classList.add('success');
+        icon.className = 'fas fa-check-circle';
+      } else if (type === 'error') {
+        toast.classList.add('error');
+        icon.className = 'fas fa-exclamation-circle';
+      } else {
+        icon.className = 'fas fa-info-circle';
+      }
+      
+      msg.textContent = message;
+      toast.classList.add('show');
+      
+      setTimeout(() => {
+        toast.classList.remove('show');
+      }, 3000);
+    }
+
+    // Escape user content before inserting it with innerHTML
+    function escapeHtml(text) {
+      return String(text).replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+      })[ch]);
+    }
+
+    /************************************************************
+     * Resizers for columns
+     ************************************************************/
+    const graphContainer = document.getElementById('graph-container');
+    const editorContainer = document.getElementById('editor-container');
+    const kanbanContainer = document.getElementById('kanban-container');
+    const resizer1 = document.getElementById('resizer1');
+    const resizer2 = document.getElementById('resizer2');
+
+    let graphWidth = graphContainer.getBoundingClientRect().width;
+    let editorWidth = editorContainer.getBoundingClientRect().width;
+    let isResizing = false;
+
+    // First resizer (between graph and editor)
+    resizer1.addEventListener('mousedown', e => {
+      e.preventDefault();
+      isResizing = true;
+      document.addEventListener('mousemove', resizeGraphEditor);
+      document.addEventListener('mouseup', stopResize1);
+    });
+
+    function resizeGraphEditor(e) {
+      if (!isResizing) return;
+      const dx = e.movementX;
+      graphWidth += dx;
+      if (graphWidth < 100) graphWidth = 100;
+      graphContainer.style.width = graphWidth + 'px';
+    }
+    function stopResize1() {
+      isResizing = false;
+      document.removeEventListener('mousemove', resizeGraphEditor);
+      document.removeEventListener('mouseup', stopResize1);
+    }
+
+    // Second resizer (between editor and kanban)
+    resizer2.addEventListener('mousedown', e => {
+      e.preventDefault();
+      isResizing = true;
+      document.addEventListener('mousemove', resizeEditorKanban);
+      document.addEventListener('mouseup', stopResize2);
+    });
+
+    function resizeEditorKanban(e) {
+      if (!isResizing) return;
+      const dx = e.movementX;
+      editorWidth += dx;
+      if (editorWidth < 100) editorWidth = 100;
+      editorContainer.style.width = editorWidth + 'px';
+    }
+    function stopResize2() {
+      isResizing = false;
+      document.removeEventListener('mousemove', resizeEditorKanban);
+      document.removeEventListener('mouseup', stopResize2);
+    }
+
+    // Editor toggle
+    const toggleEditorBtn = document.getElementById('toggle-editor-btn');
+    toggleEditorBtn.addEventListener('click', () => {
+      editorContainer.classList.toggle('collapsed');
+
+      // Hide or show resizer2 accordingly
+      if (editorContainer.classList.contains('collapsed')) {
+        resizer2.classList.add('hidden');
+      } else {
+        resizer2.classList.remove('hidden');
+      }
+    });
+
+    /************************************************************
+     * Graph & D3
+     ************************************************************/
+    const svg = d3.select('#graph');
+    let simulation = d3.forceSimulation()
+      .force('link', d3.forceLink().id(d => d.id).distance(120))
+      .force('charge', d3.forceManyBody().strength(-80))
+      .force('center', d3.forceCenter())
+      .force('collision', d3.forceCollide().radius(30));
+
+    let graph = { nodes: [], links: [] };
+    let selectedNode = null;   // first node of a SHIFT-click link gesture
+    let activeNodeId = null;   // milestone opened in the node panel
+
+    // Node shape and panel icon per milestone type (untyped nodes are circles)
+    const NODE_SHAPES = {
+      job: d3.symbolSquare,
+      education: d3.symbolTriangle,
+      certification: d3.symbolDiamond,
+      skill: d3.symbolCircle,
+      goal: d3.symbolStar
+    };
+    const NODE_ICONS = {
+      job: 'fa-briefcase',
+      education: 'fa-graduation-cap',
+      certification: 'fa-certificate',
+      skill: 'fa-tools',
+      goal: 'fa-bullseye'
+    };
+    // Stroke style per relationship type; untyped links keep the plain grey arrow
+    const LINK_STYLES = {
+      '': { name: 'related', color: '#999', dash: null },
+      prerequisite: { name: 'prerequisite for', color: '#f59e0b', dash: null },
+      'led-to': { name: 'led to', color: '#3b82f6', dash: null },
+      alternative: { name: 'alternative to', color: '#a855f7', dash: '6 4' },
+      supports: { name: 'supports', color: '#10b981', dash: '2 3' }
+    };
+    const linkStyle = l => LINK_STYLES[l.type || ''];
+    let activeLinkId = null;   // relationship opened in the link panel
+    let highlight = null;      // { nodes: Set, links: Set } of a computed path or chain
+
+    // Same area as the original r=18 circles
+    const nodeShape = d3.symbol().size(Math.PI * 18 * 18).type(d => NODE_SHAPES[d.type] || d3.symbolCircle);
+    let transformScale = 1;
+    let layoutFrozen = false;  // simulation stopped; nodes only move when dragged
+    let saveTransformTimer = null;
+
+    // Zoom behavior
+    const zoom = d3.zoom()
+      .scaleExtent([0.1, 4])
+      .on('zoom', (event) => {
+        transformScale = event.transform.k;
+        d3.select('#graph g').attr('transform', event.transform);
+      })
+      .on('end', (event) => {
+        // Remember pan/zoom done by the user (not programmatic restores)
+        if (!event.sourceEvent) return;
+        clearTimeout(saveTransformTimer);
+        saveTransformTimer = setTimeout(() => {
+          const { x, y, k } = event.transform;
+          graphRequest('PUT', '/api/graph/layout', { transform: { x, y, k } }).catch(graphError);
+        }, 1000);
+      });
+    svg.call(zoom);
+
+    function updateSvgSize() {
+      const width = graphContainer.clientWidth;
+      const height = graphContainer.clientHeight;
+      
+      svg.attr('width', width).attr('height', height);
+      
+      // Update simulation center force
+      simulation.force('center', d3.forceCenter(width / 2, height / 2));
+      
+      if (graphView === 'timeline') {
+        renderTimeline();
+      } else if (graph.nodes.length > 0 && !layoutFrozen) {
+        simulation.alpha(0.3).restart();
+      }
+    }
+    window.addEventListener('resize', updateSvgSize);
+
+    // Make a graph from the API the one on screen (before updateGraph)
+    function setGraph(data) {
+      const nodeMap = {};
+      data.nodes.forEach(n => {
+        nodeMap[n.id] = n;
+        // Pinned nodes stay at their saved position
+        if (n.pinned) { n.fx = n.x; n.fy = n.y; }
+      });
+      data.links.forEach(l => {
+        // link source/target strings => object references
+        if (typeof l.source === 'string') l.source = nodeMap[l.source];
+        if (typeof l.target === 'string') l.target = nodeMap[l.target];
+      });
+      graph = data;
+    }
+
+    function loadGraph() {
+      Promise.all([
+        api('/api/graph').then(res => res.json()),
+        api('/api/graph/layout').then(res => res.json())
+      ])
+        .then(([data, layout]) => {
+          setGraph(data);
+          markPositionsSaved();
+          setLayoutFrozen(layout.frozen);
+          updateGraph();
+          updateSvgSize();
+          const { x, y, k } = layout.transform;
+          svg.call(zoom.transform, d3.zoomIdentity.translate(x, y).scale(k));
+          renderIssues(issues); // milestone badges need the node names
+        })
+        .catch(err => {
+          console.error('Error loading graph:', err);
+          showToast('Failed to load graph data', 'error');
+        });
+    }
+
+    // Send one graph or issue edit to the server; resolves with its JSON answer.
+    // Shown in the header's save status while it is on its way.
+    function graphRequest(method, url, body) {
+      return trackSave(api(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      })
+      .then(res => res.json())
+      .then(data => {
+        if (data.error) throw new Error(data.error);
+        return data;
+      }));
+    }
+
+    function graphError(err) {
+      console.error('Graph edit error:', err);
+      showToast(err.message || 'Graph edit failed.', 'error');
+    }
+
+    // Link endpoints are node objects once the simulation has resolved them
+    const linkEnd = end => (typeof end === 'object' ? end.id : end);
+
+    // Stored fields of a d3 node or link, without what the simulation adds
+    const nodeData = ({ vx, vy, fx, fy, index, ...fields }) => fields;
+    const linkData = ({ index, ...link }) => ({ ...link, source: linkEnd(link.source), target: linkEnd(link.target) });
+
+    // Undo entries refer to nodes and links by id, since a restored one is a new object
+    function findNode(id) {
+      const node = graph.nodes.find(n => n.id === id);
+      if (!node) throw new Error('That milestone no longer exists.');
+      return node;
+    }
+
+    function findLink(id) {
+      const link = graph.links.find(l => l.id === id);
+      if (!link) throw new Error('That relationship no longer exists.');
+      return link;
+    }
+
+    // Arrowheads "<prefix>-<type>" in each relationship color ("alternative to" has none)
+    function appendArrowMarkers(container, prefix, refX) {
+      const defs = container.append('defs');
+      Object.entries(LINK_STYLES).forEach(([type, style]) => {
+        defs.append('marker')
+          .attr('id', \`\${prefix}-\${type || 'none'}\`)
+          .attr('viewBox', '0 -5 10 10')
+          .attr('refX', refX)
+          .attr('refY', 0)
+          .attr('orient', 'auto')
+          .attr('markerWidth', 6)
+          .attr('markerHeight', 6)
+          .attr('xoverflow', 'visible')
+          .append('path')
+          .attr('d', 'M 0,-5 L 10,0 L 0,5')
+          .attr('fill', style.color);
+      });
+    }
+
+    // Apply a relationship's color, dash pattern and arrowhead to a line or path
+    function styleLinks(selection, markerPrefix) {
+      selection
+        .attr('stroke', l => linkStyle(l).color)
+        .attr('stroke-dasharray', l => linkStyle(l).dash)
+        .attr('marker-end', l => (l.type === 'alternative'
+          ? null
+          : \`url(#\${markerPrefix}-\${l.type || 'none'})\`));
+    }
+
+    function updateGraph() {
+      renderNodePanel(); // its milestone picker lists the nodes
+      if (graphView === 'timeline') {
+        simulation.stop();
+        renderTimeline();
+        return;
+      }
+      svg.selectAll('*').remove();
+      
+      // Create container group for zoom (keeping the current pan/zoom)
+      const container = svg.append('g')
+        .attr('transform', d3.zoomTransform(svg.node()));
+      
+      // Create arrow markers, one per relationship color
+      appendArrowMarkers(container, 'arrowhead', 23);
+
+      // Links
+      const link = container.selectAll('.link')
+        .data(graph.links)
+        .enter()
+        .append('line')
+        .attr('class', 'link')
+        .attr('stroke-width', 1.5);
+
+      const linkHit = container.selectAll('.link-hit')
+        .data(graph.links)
+        .enter()
+        .append('line')
+        .attr('class', 'link-hit')
+        .on('click', (event, l) => selectLink(l.id === activeLinkId ? null : l.id));
+
+      const linkLabel = container.selectAll('.link-label')
+        .data(graph.links)
+        .enter()
+        .append('text')
+        .attr('class', 'link-label')
+        .attr('text-anchor', 'middle');
+
+      // Milestone progress rings (done / total linked issues)
+      const track = container.selectAll('.progress-track')
+        .data(graph.nodes, d => d.id)
+        .enter()
+        .append('circle')
+        .attr('class', 'progress-track')
+        .attr('r', 22.5);
+
+      const ring = container.selectAll('.progress-ring')
+        .data(graph.nodes, d => d.id)
+        .enter()
+        .append('path')
+        .attr('class', 'progress-ring');
+
+      // Nodes
+      const node = container.selectAll('.node')
+        .data(graph.nodes, d => d.id)
+        .enter()
+        .append('path')
+        .attr('class', 'node')
+        .attr('d', nodeShape)
+        .attr('fill', d => d.color || '#2ecc71')  // Use node.color if set, else fallback
+        // SHIFT-click => attach/detach links
+        .on('click', (event, d) => {
+          // handle SHIFT+click for linking
+          if (event.shiftKey) {
+            if (!selectedNode) {
+              selectedNode = d;
+            } else {
+              if (selectedNode.id === d.id) {
+                selectedNode = null;
+                return;
+              }
+              // Existing relationship => open it for editing; otherwise create one
+              const existing = graph.links.find(l =>
+                (linkEnd(l.source) === selectedNode.id && linkEnd(l.target) === d.id) ||
+                (linkEnd(l.source) === d.id && linkEnd(l.target) === selectedNode.id)
+              );
+              const source = selectedNode.id;
+              selectedNode = null;
+              if (existing) {
+                selectLink(existing.id);
+                return;
+              }
+              createLink({ source, target: d.id })
+                .then(link => {
+                  selectLink(link.id);
+                  const saved = linkData(link);
+                  recordEdit({
+                    label: 'Add relationship',
+                    undo: () => removeLink(saved.id),
+                    redo: () => createLink(saved)
+                  });
+                })
+                .catch(graphError);
+            }
+          } else {
+            // Plain click => open/close the milestone panel
+            selectMilestone(d.id === activeNodeId ? null : d.id);
+          }
+        })
+        // Double-click => delete node
+        .on('dblclick', (event, d) => {
+          if (!confirm(\`Delete node "\${d.name}"?\`)) return;
+          removeNode(d.id)
+            .then(result => recordEdit({
+              label: \`Delete "\${d.name}"\`,
+              undo: () => restoreNode(result),
+              redo: () => removeNode(d.id)
+            }))
+            .catch(graphError);
+        })
+        // Right-click => edit color
+        .on('contextmenu', (event, d) => {
+          event.preventDefault(); // Don’t show the default browser context menu
+          const newColor = prompt(
+            'Enter new color for this node (e.g. "#ff0000", "blue"):',
+            d.color || '#2ecc71'
+          );
+          if (!newColor) return; // user canceled
+          const before = nodeEditBody(d);
+          editNode(d, { color: newColor })
+            .then(saved => recordNodeEdit(\`Recolor "\${d.name}"\`, d.id, before, nodeEditBody(saved)))
+            .catch(graphError);
+        })
+        // Dragging
+        .call(d3.drag()
+          .on('start', dragstarted)
+          .on('drag', dragged)
+          .on('end', dragended));
+
+      // Labels
+      const label = container.selectAll('.label')
+        .data(graph.nodes, d => d.id)
+        .enter()
+        .append('text')
+        .attr('class', 'label')
+        .attr('fill', '#ccc')
+        .attr('font-size', 12)
+        .text(nodeLabel);
+
+      // Pin heads on pinned nodes
+      const pin = container.selectAll('.pin-marker')
+        .data(graph.nodes, d => d.id)
+        .enter()
+        .append('circle')
+        .attr('class', 'pin-marker')
+        .attr('r', 4);
+
+      refreshMilestones();
+
+      // Setup simulation: a full re-layout only for a graph that was never placed
+      const placed = graph.nodes.every(d => Number.isFinite(d.x) && Number.isFinite(d.y));
+      simulation.nodes(graph.nodes).on('tick', ticked);
+      simulation.force('link').links(graph.links);
+      if (layoutFrozen) {
+        simulation.stop();
+        ticked();
+      } else {
+        simulation.alpha(placed ? 0.3 : 1).restart();
+      }
+
+      function ticked() {
+        [link, linkHit].forEach(line => line
+          .attr('x1', d => d.source.x)
+          .attr('y1', d => d.source.y)
+          .attr('x2', d => d.target.x)
+          .attr('y2', d => d.target.y));
+        linkLabel
+          .attr('x', d => (d.source.x + d.target.x) / 2)
+          .attr('y', d => (d.source.y + d.target.y) / 2 - 4);
+
+        track
+          .attr('cx', d => d.x)
+          .attr('cy', d => d.y);
+        ring.attr('transform', d => \`translate(\${d.x},\${d.y})\`);
+
+        node.attr('transform', d => \`translate(\${d.x},\${d.y})\`);
+
+        label
+          .attr('x', d => d.x + 20)
+          .attr('y', d => d.y + 5);
+
+        pin
+          .attr('cx', d => d.x + 13)
+          .attr('cy', d => d.y - 13);
+      }
+
+      let dragMoved = false;
+      function dragstarted(event, d) {
+        dragMoved = false;
+        if (!event.active && !layoutFrozen) simulation.alphaTarget(0.3).restart();
+        d.fx = d.x; d.fy = d.y;
+      }
+      function dragged(event, d) {
+        dragMoved = true;
+        d.fx = event.x; d.fy = event.y;
+        d.x = event.x; d.y = event.y;
+        if (layoutFrozen) ticked(); // nothing else redraws while frozen
+      }
+      // Dropping a node pins it there; in a frozen layout it just keeps the spot
+      function dragended(event, d) {
+        if (!event.active) simulation.alphaTarget(0);
+        if (!dragMoved) {
+          if (!d.pinned) { d.fx = null; d.fy = null; }
+          return;
+        }
+        const update = layoutFrozen ? { x: d.x, y: d.y } : { x: d.x, y: d.y, pinned: true };
+        if (!layoutFrozen) d.pinned = true;
+        else if (!d.pinned) { d.fx = null; d.fy = null; }
+        refreshMilestones();
+        if (d.id === activeNodeId) fillNodeForm();
+        graphRequest('PUT', \`/api/graph/nodes/\${encodeURIComponent(d.id)}\`, update).catch(graphError);
+      }
+    }
+
+    // Pin or release a node (released nodes follow the layout again)
+    function setNodePinned(d, pinned) {
+      return graphRequest('PUT', \`/api/graph/nodes/\${encodeURIComponent(d.id)}\`, { x: d.x, y: d.y, pinned })
+        .then(() => {
+          d.pinned = pinned || undefined;
+          d.fx = pinned ? d.x : null;
+          d.fy = pinned ? d.y : null;
+          refreshMilestones();
+          if (!pinned && !layoutFrozen) simulation.alpha(0.3).restart();
+        });
+    }
+
+    function setLayoutFrozen(frozen) {
+      layoutFrozen = frozen;
+      const button = document.getElementById('freeze-layout-btn');
+      button.querySelector('span').textContent = frozen ? 'Unfreeze Layout' : 'Freeze Layout';
+      button.classList.toggle('btn-primary', frozen);
+    }
+
+    // Freezing stores every node's current position, so a reload shows the same picture
+    document.getElementById('freeze-layout-btn').addEventListener('click', () => {
+      const frozen = !layoutFrozen;
+      const body = { frozen };
+      if (frozen) {
+        body.positions = {};
+        graph.nodes.forEach(d => { body.positions[d.id] = { x: d.x, y: d.y }; });
+      }
+      graphRequest('PUT', '/api/graph/layout', body)
+        .then(() => {
+          setLayoutFrozen(frozen);
+          if (frozen) {
+            simulation.stop();
+          } else if (graphView === 'force') {
+            simulation.alpha(0.3).restart();
+          }
+          showToast(frozen ? 'Layout frozen.' : 'Layout unfrozen.', 'success');
+        })
+        .catch(graphError);
+    });
+
+    // Save Graph: edits are stored as they happen and positions are autosaved,
+    // so this just writes everything (current node positions included) at once
+    function saveGraph() {
+      const dataToSave = {
+        nodes: graph.nodes.map(nodeData),
+        links: graph.links.map(linkData)
+      };
+      graphRequest('POST', '/api/graph', dataToSave)
+      .then(() => {
+        markPositionsSaved();
+        showToast('Graph saved successfully!', 'success');
+      })
+      .catch(err => {
+        console.error('Graph save error:', err);
+        showToast(err.message || 'Graph save failed.', 'error');
+      });
+    }
+
+    // Create a node; an id and position passed in are kept (as when undoing a delete)
+    function createNode(fields) {
+      return graphRequest('POST', '/api/graph/nodes', fields)
+        .then(node => {
+          if (node.pinned) { node.fx = node.x; node.fy = node.y; }
+          graph.nodes.push(node);
+          updateGraph();
+          return node;
+        });
+    }
+
+    // Delete a node; the server drops its links and unlinks its issues, and
+    // answers with all of them
+    function removeNode(id) {
+      return graphRequest('DELETE', \`/api/graph/nodes/\${encodeURIComponent(id)}\`)
+        .then(result => {
+          graph.nodes = graph.nodes.filter(n => n.id !== id);
+          graph.links = graph.links.filter(l => linkEnd(l.source) !== id && linkEnd(l.target) !== id);
+          if (activeNodeId === id) selectMilestone(null);
+          if (!graph.links.some(l => l.id === activeLinkId)) closeLinkPanel();
+          updateGraph();
+          if (result.unlinkedIssues.length > 0) loadIssues();
+          return result;
+        });
+    }
+
+    // Put back what removeNode() took away, under the same ids
+    function restoreNode({ removed, unlinkedIssues }) {
+      const [node] = removed.nodes;
+      return createNode(node)
+        .then(() => Promise.all(removed.links.map(link => graphRequest('POST', '/api/graph/links', link))))
+        .then(links => {
+          graph.links.push(...links);
+          updateGraph();
+          return Promise.all(unlinkedIssues.map(issueId =>
+            graphRequest('PUT', \`/api/issues/\${encodeURIComponent(issueId)}\`, { milestoneId: node.id })
+          ));
+        })
+        .then(() => unlinkedIssues.length > 0 && loadIssues());
+    }
+
+    function addNode(fields) {
+      createNode({
+        ...fields,
+        x: graphContainer.clientWidth / 2,
+        y: graphContainer.clientHeight / 2
+      })
+      .then(node => {
+        selectMilestone(node.id); // fill in the details in the panel
+        const saved = nodeData(node);
+        recordEdit({
+          label: \`Add "\${node.name}"\`,
+          undo: () => removeNode(saved.id),
+          redo: () => createNode(saved)
+        });
+      })
+      .catch(graphError);
+    }
+    document.getElementById('save-graph-btn').addEventListener('click', saveGraph);
+
+    // Add Node (no color => will default to #2ecc71 in updateGraph)
+    document.getElementById('add-node-btn').addEventListener('click', () => {
+      const nodeName = prompt('Enter milestone name:');
+      if (!nodeName) return;
+      addNode({ name: nodeName });
+    });
+
+    // Add Node with color
+    document.getElementById('add-colored-node-btn').addEventListener('click', () => {
+      const nodeName = prompt('Enter milestone name:');
+      if (!nodeName) return;
+      const color = prompt('Enter node color (e.g. "#ff0000" or "blue"):') || '#2ecc71';
+      addNode({ name: nodeName, color });
+    });
+
+    /************************************************************
+     * Timeline view (alternative to the force layout)
+     ************************************************************/
+    let graphView = 'force';                 // 'force' | 'timeline'
+    let forceTransform = d3.zoomIdentity;    // zoom of each view, kept across toggles
+    let timelineTransform = d3.zoomIdentity;
+    const TIMELINE_LEFT = 190;               // clear of the graph toolbar
+    const TIMELINE_TOP = 40;
+    const TIMELINE_ROW = 30;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const parseDay = d3.timeParse('%Y-%m-%d');
+
+    // Zooms the time axis only; vertical drag scrolls the rows
+    const timelineZoom = d3.zoom()
+      .on('zoom', event => {
+        timelineTransform = event.transform;
+        renderTimeline();
+      });
+
+    // Where a milestone sits on the time axis, null if it has no dates.
+    // Active milestones without an end date run up to today.
+    function timelineSpan(d) {
+      const start = d.startDate ? parseDay(d.startDate) : null;
+      let end = d.endDate ? parseDay(d.endDate) : null;
+      if (!start && !end) return null;
+      if (start && !end && d.status === 'active') end = new Date(Math.max(Date.now(), start));
+      return { start: start || end, end: end || start };
+    }
+
+    function renderTimeline() {
+      svg.selectAll('*').remove();
+      const width = graphContainer.clientWidth;
+      const height = graphContainer.clientHeight;
+      const rows = graph.nodes
+        .map(node => ({ node, span: timelineSpan(node) }))
+        .filter(row => row.span)
+        .sort((a, b) => a.span.start - b.span.start);
+      const rowIndex = new Map(rows.map((row, i) => [row.node.id, i]));
+
+      // Fit all milestones and today; zoom reaches from that span down to a week
+      const today = new Date();
+      const [min, max] = d3.extent(rows.flatMap(row => [row.span.start, row.span.end]).concat(today));
+      const pad = Math.max((max - min) * 0.05, 30 * DAY_MS);
+      const baseX = d3.scaleTime()
+        .domain([new Date(+min - pad), new Date(+max + pad)])
+        .range([TIMELINE_LEFT, Math.max(TIMELINE_LEFT + 100, width - 40)]);
+      timelineZoom.scaleExtent([0.5, Math.max(1, (max - min + 2 * pad) / (7 * DAY_MS))]);
+      const x = timelineTransform.rescaleX(baseX);
+      const rowY = i => TIMELINE_TOP + 20 + timelineTransform.y + i * TIMELINE_ROW;
+
+      const container = svg.append('g');
+      appendArrowMarkers(container, 'timeline-arrow', 10);
+
+      // Dependency arrows: from the end of one milestone to the start of the next
+      container.selectAll('.timeline-link')
+        .data(graph.links.filter(l => rowIndex.has(linkEnd(l.source)) && rowIndex.has(linkEnd(l.target))))
+        .enter()
+        .append('path')
+        .attr('class', l => \`timeline-link\${l.id === activeLinkId ? ' selected' : ''}\`)
+        .call(styleLinks, 'timeline-arrow')
+        .call(applyHighlight, l => l.id, 'links')
+        .on('click', (event, l) => selectLink(l.id === activeLinkId ? null : l.id))
+        .attr('d', l => {
+          const i = rowIndex.get(linkEnd(l.source));
+          const j = rowIndex.get(linkEnd(l.target));
+          const x1 = x(rows[i].span.end), y1 = rowY(i);
+          const x2 = x(rows[j].span.start), y2 = rowY(j);
+          const bend = Math.max(20, Math.abs(x2 - x1) / 2);
+          return \`M\${x1},\${y1} C\${x1 + bend},\${y1} \${x2 - bend},\${y2} \${x2},\${y2}\`;
+        });
+
+      const row = container.selectAll('.timeline-row')
+        .data(rows, row => row.node.id)
+        .enter()
+        .append('g')
+        .attr('class', 'timeline-row')
+        .attr('transform', (row, i) => \`translate(0,\${rowY(i)})\`)
+        .call(applyHighlight, row => row.node.id, 'nodes')
+        .on('click', (event, row) => {
+          selectMilestone(row.node.id === activeNodeId ? null : row.node.id);
+        });
+
+      const barClass = row =>
+        \`timeline-bar\${row.node.status ? \` status-\${row.node.status}\` : ''}\` +
+        (row.node.id === activeNodeId ? ' selected' : '');
+      row.each(function (row) {
+        const g = d3.select(this);
+        const fill = row.node.color || '#2ecc71';
+        if (+row.span.start === +row.span.end) {
+          // Single-day milestone => diamond
+          g.append('path')
+            .attr('class', barClass(row))
+            .attr('d', d3.symbol().type(d3.symbolDiamond).size(180))
+            .attr('transform', \`translate(\${x(row.span.start)},0)\`)
+            .attr('fill', fill);
+        } else {
+          g.append('rect')
+            .attr('class', barClass(row))
+            .attr('x', x(row.span.start))
+            .attr('y', -8)
+            .attr('width', Math.max(6, x(row.span.end) - x(row.span.start)))
+            .attr('height', 16)
+            .attr('rx', 3)
+            .attr('fill', fill);
+        }
+        g.append('text')
+          .attr('class', 'label')
+          .attr('x', Math.max(x(row.span.start) + 6, x(row.span.end)) + 8)
+          .attr('y', 4)
+          .attr('fill', '#ccc')
+          .text(nodeLabel(row.node));
+      });
+
+      // Today marker, then the axis on an opaque band so rows scroll under it
+      const todayX = x(today);
+      container.append('line')
+        .attr('class', 'timeline-today')
+        .attr('x1', todayX).attr('x2', todayX)
+        .attr('y1', TIMELINE_TOP).attr('y2', height);
+      container.append('rect')
+        .attr('width', width)
+        .attr('height', TIMELINE_TOP)
+        .attr('fill', 'var(--bg-secondary)');
+      container.append('g')
+        .attr('class', 'timeline-axis')
+        .attr('transform', \`translate(0,\${TIMELINE_TOP - 5})\`)
+        .call(d3.axisTop(x).ticks(Math.max(2, Math.floor(width / 100))));
+      container.append('text')
+        .attr('class', 'timeline-note')
+        .attr('x', todayX + 4)
+        .attr('y', TIMELINE_TOP + 12)
+        .attr('fill', 'var(--accent-danger)')
+        .text('Today');
+
+      const undated = graph.nodes.length - rows.length;
+      if (undated > 0 || rows.length === 0) {
+        container.append('text')
+          .attr('class', 'timeline-note')
+          .attr('x', TIMELINE_LEFT)
+          .attr('y', height - 12)
+          .text(rows.length === 0
+            ? "No dated milestones yet. Set start/end dates in a milestone's panel."
+            : \`\${undated} milestone(s) without dates are not shown.\`);
+      }
+    }
+
+    // Switch layouts; the selected milestone and each view's zoom are kept
+    function setGraphView(view) {
+      if (view === graphView) return;
+      if (view === 'timeline') forceTransform = d3.zoomTransform(svg.node());
+      graphView = view;
+      const viewZoom = view === 'timeline' ? timelineZoom : zoom;
+      svg.call(viewZoom);
+      updateGraph();
+      svg.call(viewZoom.transform, view === 'timeline' ? timelineTransform : forceTransform);
+      const button = document.getElementById('toggle-view-btn');
+      button.querySelector('span').textContent = view === 'timeline' ? 'Graph' : 'Timeline';
+      button.querySelector('i').className = view === 'timeline' ? 'fas fa-project-diagram' : 'fas fa-stream';
+    }
+    document.getElementById('toggle-view-btn').addEventListener('click', () => {
+      setGraphView(graphView === 'timeline' ? 'force' : 'timeline');
+    });
+
+    /************************************************************
+     * Path planner: shortest paths and prerequisite chains
+     ************************************************************/
+    const planEl = document.getElementById('node-panel-plan');
+
+    function nodeName(id) {
+      const node = graph.nodes.find(n => n.id === id);
+      return node ? node.name : id;
+    }
+
+    // Dim whatever is outside the highlight; kind is 'nodes' or 'links'
+    function applyHighlight(selection, idOf, kind) {
+      selection
+        .classed('dimmed', d => !!highlight && !highlight[kind].has(idOf(d)))
+        .classed('on-path', d => !!highlight && kind === 'links' && highlight.links.has(idOf(d)));
+    }
+
+    function setHighlight(nodeIds, linkIds) {
+      highlight = { nodes: new Set(nodeIds), links: new Set(linkIds) };
+      refreshMilestones();
+    }
+
+    function clearHighlight() {
+      planEl.innerHTML = '';
+      if (!highlight) return;
+      highlight = null;
+      refreshMilestones();
+    }
+
+    function planRequest(url) {
+      return api(url)
+        .then(res => res.json())
+        .then(result => {
+          if (result.error) throw new Error(result.error);
+          return result;
+        });
+    }
+
+    document.getElementById('node-prereq-btn').addEventListener('click', () => {
+      planRequest(\`/api/graph/prerequisites/\${encodeURIComponent(activeNodeId)}\`)
+        .then(result => {
+          setHighlight([...result.prerequisites, result.nodeId], result.links);
+          const next = new Set(result.nextSteps);
+          let html = result.prerequisites.length
+            ? \`\${result.prerequisites.length} prerequisite(s).\`
+            : 'No prerequisites.';
+          if (result.order.length) {
+            html += ' Remaining, in order:<ol>' + result.order.map(id =>
+              \`<li>\${escapeHtml(nodeName(id))}\${next.has(id) ? '<span class="plan-next">next</span>' : ''}</li>\`
+            ).join('') + '</ol>';
+          } else if (result.blocked.length === 0) {
+            html += ' Everything here is achieved.';
+          }
+          result.cycles.forEach(cycle => {
+            html += \`<div class="plan-warning"><i class="fas fa-exclamation-triangle"></i> Cycle: \${
+              cycle.map(id => escapeHtml(nodeName(id))).join(' → ')} → \${escapeHtml(nodeName(cycle[0]))}</div>\`;
+          });
+          if (result.blocked.length) {
+            html += \`<div class="plan-warning">Blocked by the cycle: \${
+              result.blocked.map(id => escapeHtml(nodeName(id))).join(', ')}</div>\`;
+          }
+          planEl.innerHTML = html + ' <a href="#" id="plan-clear">Clear</a>';
+        })
+        .catch(graphError);
+    });
+
+    document.getElementById('node-path-btn').addEventListener('click', () => {
+      const from = activeNodeId;
+      const to = document.getElementById('node-path-target').value;
+      if (!to) return;
+      planRequest(\`/api/graph/path?from=\${encodeURIComponent(from)}&to=\${encodeURIComponent(to)}\`)
+        .then(result => {
+          if (!result.found) {
+            clearHighlight();
+            showToast(\`No path from "\${nodeName(from)}" to "\${nodeName(to)}".\`, 'error');
+            return;
+          }
+          setHighlight(result.nodes, result.links);
+          planEl.innerHTML = \`Path (\${result.links.length} step(s)): \` +
+            result.nodes.map(id => escapeHtml(nodeName(id))).join(' → ') +
+            ' <a href="#" id="plan-clear">Clear</a>';
+        })
+        .catch(graphError);
+    });
+
+    planEl.addEventListener('click', event => {
+      if (event.target.id !== 'plan-clear') return;
+      event.preventDefault();
+      clearHighlight();
+    });
+
+    /************************************************************
+     * Relationships: typed links, legend and link panel
+     ************************************************************/
+    const linkPanel = document.getElementById('link-panel');
+    const linkTypeSelect = document.getElementById('link-type');
+
+    Object.entries(LINK_STYLES).forEach(([type, style]) => {
+      const opt = document.createElement('option');
+      opt.value = type;
+      opt.textContent = style.name;
+      linkTypeSelect.appendChild(opt);
+    });
+
+    document.getElementById('link-legend').innerHTML = Object.values(LINK_STYLES)
+      .map(style => \`<div><svg width="28" height="8"><line x1="0" y1="4" x2="28" y2="4"
+        stroke="\${style.color}" stroke-width="2" \${style.dash ? \`stroke-dasharray="\${style.dash}"\` : ''}/></svg>\${style.name}</div>\`)
+      .join('');
+
+    function closeLinkPanel() {
+      activeLinkId = null;
+      linkPanel.classList.add('hidden');
+    }
+
+    function selectLink(linkId) {
+      const link = graph.links.find(l => l.id === linkId);
+      if (link) selectMilestone(null);
+      activeLinkId = link ? link.id : null;
+      linkPanel.classList.toggle('hidden', !link);
+      refreshMilestones();
+      if (!link) return;
+      document.getElementById('link-panel-ends').innerHTML =
+        \`<strong>\${escapeHtml(nodeName(linkEnd(link.source)))}</strong> → \` +
+        \`<strong>\${escapeHtml(nodeName(linkEnd(link.target)))}</strong>\`;
+      linkTypeSelect.value = link.type || '';
+      document.getElementById('link-label').value = link.label || '';
+    }
+    document.getElementById('link-panel-close').addEventListener('click', () => selectLink(null));
+
+    function createLink(fields) {
+      return graphRequest('POST', '/api/graph/links', fields)
+        .then(link => {
+          graph.links.push(link);
+          updateGraph();
+          return link;
+        });
+    }
+
+    function removeLink(id) {
+      return graphRequest('DELETE', \`/api/graph/links/\${encodeURIComponent(id)}\`)
+        .then(() => {
+          graph.links = graph.links.filter(l => l.id !== id);
+          if (activeLinkId === id) closeLinkPanel();
+          updateGraph();
+        });
+    }
+
+    // Send a link update, copy the stored fields back onto the d3 link and redraw it
+    function updateLink(link, body) {
+      const source = linkEnd(link.source);
+      const target = linkEnd(link.target);
+      return graphRequest('PUT', \`/api/graph/links/\${encodeURIComponent(link.id)}\`, body)
+        .then(saved => {
+          delete link.type;
+          delete link.label;
+          const { source: newSource, target: newTarget, ...fields } = saved;
+          Object.assign(link, fields);
+          if (newSource !== source || newTarget !== target) {
+            link.source = newSource;
+            link.target = newTarget;
+            updateGraph();
+          }
+          if (link.id === activeLinkId) selectLink(link.id);
+          else refreshMilestones();
+          return saved;
+        });
+    }
+
+    // Everything updateLink() can change, as a PUT body ('' clears the type and label)
+    const linkEditBody = link => ({
+      source: linkEnd(link.source),
+      target: linkEnd(link.target),
+      type: link.type || '',
+      label: link.label || ''
+    });
+
+    function recordLinkEdit(label, id, before, after) {
+      recordEdit({
+        label,
+        undo: () => updateLink(findLink(id), before),
+        redo: () => updateLink(findLink(id), after)
+      });
+    }
+
+    document.getElementById('link-form').addEventListener('submit', event => {
+      event.preventDefault();
+      const link = graph.links.find(l => l.id === activeLinkId);
+      if (!link) return;
+      const before = linkEditBody(link);
+      updateLink(link, {
+        type: linkTypeSelect.value,
+        label: document.getElementById('link-label').value
+      })
+        .then(saved => {
+          recordLinkEdit('Edit relationship', link.id, before, linkEditBody(saved));
+          showToast('Relationship saved.', 'success');
+        })
+        .catch(graphError);
+    });
+
+    document.getElementById('link-reverse-btn').addEventListener('click', () => {
+      const link = graph.links.find(l => l.id === activeLinkId);
+      if (!link) return;
+      const before = linkEditBody(link);
+      updateLink(link, { source: before.target, target: before.source })
+        .then(saved => recordLinkEdit('Reverse relationship', link.id, before, linkEditBody(saved)))
+        .catch(graphError);
+    });
+
+    document.getElementById('link-delete-btn').addEventListener('click', () => {
+      const link = graph.links.find(l => l.id === activeLinkId);
+      if (!link || !confirm('Delete this relationship?')) return;
+      const saved = linkData(link);
+      removeLink(link.id)
+        .then(() => recordEdit({
+          label: 'Delete relationship',
+          undo: () => createLink(saved),
+          redo: () => removeLink(saved.id)
+        }))
+        .catch(graphError);
+    });
+
+    /************************************************************
+     * Milestones: linked documents, issues and progress
+     ************************************************************/
+    const nodePanel = document.getElementById('node-panel');
+    const progressArc = d3.arc().innerRadius(21).outerRadius(24).startAngle(0);
+
+    // Done/total of the issues that name this node as their milestone
+    function milestoneProgress(nodeId) {
+      const done = new Set(board.columns.filter(c => c.done).map(c => c.id));
+      const linked = issues.filter(i => i.milestoneId === nodeId);
+      return { done: linked.filter(i => done.has(i.status)).length, total: linked.length };
+    }
+
+    function nodeLabel(d) {
+      const { done, total } = milestoneProgress(d.id);
+      return (d.name || 'Node') + (total ? \` (\${done}/\${total})\` : '');
+    }
+
+    // Redraw shapes, progress, labels and selection without restarting the simulation
+    function refreshMilestones() {
+      if (graphView === 'timeline') {
+        renderTimeline();
+        return;
+      }
+      svg.selectAll('.node')
+        .attr('d', nodeShape)
+        .attr('fill', d => d.color || '#2ecc71')
+        .attr('class', d => \`node\${d.status ? \` status-\${d.status}\` : ''}\`);
+      svg.selectAll('.progress-track')
+        .attr('display', d => (milestoneProgress(d.id).total ? null : 'none'));
+      svg.selectAll('.progress-ring').attr('d', d => {
+        const { done, total } = milestoneProgress(d.id);
+        return total ? progressArc({ endAngle: 2 * Math.PI * done / total }) : null;
+      });
+      svg.selectAll('.label').text(nodeLabel);
+      svg.selectAll('.pin-marker').attr('display', d => (d.pinned ? null : 'none'));
+      styleLinks(svg.selectAll('.link'), 'arrowhead');
+      svg.selectAll('.link').classed('selected', l => l.id === activeLinkId);
+      svg.selectAll('.link-label').text(l => l.label || '');
+      applyHighlight(svg.selectAll('.node, .label, .pin-marker, .progress-track, .progress-ring'), d => d.id, 'nodes');
+      applyHighlight(svg.selectAll('.link, .link-label'), l => l.id, 'links');
+      svg.selectAll('.node').classed('selected', d => d.id === activeNodeId);
+    }
+
+    function selectMilestone(nodeId) {
+      if (nodeId !== activeNodeId) clearHighlight();
+      activeNodeId = nodeId;
+      if (nodeId) closeLinkPanel();
+      refreshMilestones();
+      renderNodePanel();
+      fillNodeForm();
+      renderIssues(issues);
+    }
+
+    /* Milestone details form */
+    const nodeForm = document.getElementById('node-form');
+    const NODE_FORM_FIELDS = {
+      name: 'node-name',
+      type: 'node-type',
+      status: 'node-status',
+      startDate: 'node-start',
+      endDate: 'node-end',
+      color: 'node-color',
+      notes: 'node-notes'
+    };
+
+    // Every field the form edits; an undo sends them all back
+    const NODE_EDIT_KEYS = [...Object.keys(NODE_FORM_FIELDS), 'urls'];
+
+    // A node's editable fields as a PUT body, clearing the ones it doesn't have
+    const nodeEditBody = node => Object.fromEntries(NODE_EDIT_KEYS.map(key => [
+      key,
+      node[key] !== undefined ? node[key] : (key === 'urls' ? [] : null)
+    ]));
+
+    // Send a node update and copy the stored fields back onto the d3 node
+    function editNode(node, body) {
+      return graphRequest('PUT', \`/api/graph/nodes/\${encodeURIComponent(node.id)}\`, body)
+        .then(({ x, y, ...saved }) => {
+          // Cleared fields are absent from the answer; x/y stay with the layout
+          NODE_EDIT_KEYS.forEach(key => delete node[key]);
+          Object.assign(node, saved);
+          refreshMilestones();
+          renderNodePanel();
+          if (node.id === activeNodeId) fillNodeForm();
+          renderIssues(issues);
+          return saved;
+        });
+    }
+
+    function recordNodeEdit(label, id, before, after) {
+      recordEdit({
+        label,
+        undo: () => editNode(findNode(id), before),
+        redo: () => editNode(findNode(id), after)
+      });
+    }
+
+    // Load the active node into the form (kept separate from renderNodePanel so
+    // progress updates do not wipe unsaved input)
+    function fillNodeForm() {
+      const node = graph.nodes.find(n => n.id === activeNodeId);
+      if (!node) return;
+      Object.entries(NODE_FORM_FIELDS).forEach(([key, id]) => {
+        document.getElementById(id).value = node[key] || '';
+      });
+      document.getElementById('node-pinned').checked = !!node.pinned;
+      document.getElementById('node-urls').value = (node.urls || []).join('\\n');
+      document.getElementById('node-url-list').innerHTML = (node.urls || [])
+        .map(url => \`<a href="\${escapeHtml(url)}" target="_blank" rel="noopener">\${escapeHtml(url)}</a>\`)
+        .join('');
+    }
+
+    document.getElementById('node-pinned').addEventListener('change', event => {
+      const node = graph.nodes.find(n => n.id === activeNodeId);
+      if (!node) return;
+      setNodePinned(node, event.target.checked).catch(err => {
+        event.target.checked = !!node.pinned;
+        graphError(err);
+      });
+    });
+
+    nodeForm.addEventListener('submit', event => {
+      event.preventDefault();
+      const node = graph.nodes.find(n => n.id === activeNodeId);
+      if (!node) return;
+      const body = {};
+      Object.entries(NODE_FORM_FIELDS).forEach(([key, id]) => {
+        body[key] = document.getElementById(id).value.trim();
+      });
+      body.urls = document.getElementById('node-urls').value
+        .split('\\n')
+        .map(url => url.trim())
+        .filter(Boolean);
+      const before = nodeEditBody(node);
+      editNode(node, body)
+        .then(saved => {
+          const label = saved.name !== before.name ? \`Rename "\${before.name}"\` : \`Edit "\${saved.name}"\`;
+          recordNodeEdit(label, node.id, before, nodeEditBody(saved));
+          showToast('Milestone saved.', 'success');
+        })
+        .catch(graphError);
+    });
+
+    // Clicking empty canvas closes the panel
+    svg.on('click.milestone', event => {
+      if (event.target === svg.node()) {
+        selectMilestone(null);
+        selectLink(null);
+      }
+    });
+    document.getElementById('node-panel-close').addEventListener('click', () => selectMilestone(null));
+
+    function renderNodePanel() {
+      const node = graph.nodes.find(n => n.id === activeNodeId);
+      nodePanel.classList.toggle('hidden', !node);
+      if (!node) return;
+      document.getElementById('node-panel-title').textContent = node.name;
+      document.getElementById('node-panel-icon').className = \`fas \${NODE_ICONS[node.type] || 'fa-circle'}\`;
+
+      const { done, total } = milestoneProgress(node.id);
+      document.getElementById('node-panel-progress').innerHTML = total
+        ? \`<div class="progress-bar"><div style="width: \${Math.round(100 * done / total)}%"></div></div>
+           \${done} of \${total} linked issues done\`
+        : 'No linked issues yet.';
+
+      const docsEl = document.getElementById('node-panel-docs');
+      const docIds = node.docIds || [];
+      docsEl.innerHTML = docIds.length ? '' : '<span style="color: var(--text-muted);">None linked.</span>';
+      docIds.forEach(docId => {
+        const doc = documentList.find(d => d.docId === docId);
+        const row = document.createElement('div');
+        row.className = 'node-doc';
+        row.innerHTML = \`<a title="Open in editor">\${escapeHtml(doc ? doc.title : docId)}</a>
+          <button title="Unlink"><i class="fas fa-unlink"></i></button>\`;
+        row.querySelector('a').addEventListener('click', () => openDocument(docId));
+        row.querySelector('button').addEventListener('click', () => {
+          updateNodeDocuments(node, docIds.filter(id => id !== docId));
+        });
+        docsEl.appendChild(row);
+      });
+
+      // Only documents not linked yet, and milestones other than this one
+      const candidates = documentList.filter(d => !docIds.includes(d.docId));
+      fillPicker('node-link-doc', candidates.map(d => [d.docId, d.title]), 'No more documents');
+      fillPicker('node-path-target', graph.nodes.filter(n => n.id !== node.id).map(n => [n.id, n.name]), 'No other milestones');
+    }
+
+    // Refill a node panel <select> with [value, label] pairs, keeping the choice
+    // if it is still there; with no options it is disabled with a placeholder
+    function fillPicker(id, options, emptyText) {
+      const select = document.getElementById(id);
+      const chosen = select.value;
+      select.innerHTML = '';
+      if (options.length === 0) select.add(new Option(emptyText, ''));
+      options.forEach(([value, label]) => select.add(new Option(label, value)));
+      select.disabled = options.length === 0;
+      select.nextElementSibling.disabled = options.length === 0;
+      if (options.some(([value]) => value === chosen)) select.value = chosen;
+    }
+
+    function updateNodeDocuments(node, docIds) {
+      graphRequest('PUT', \`/api/graph/nodes/\${encodeURIComponent(node.id)}\`, { docIds })
+        .then(saved => {
+          node.docIds = saved.docIds;
+          renderNodePanel();
+        })
+        .catch(graphError);
+    }
+
+    document.getElementById('node-link-doc-btn').addEventListener('click', () => {
+      const node = graph.nodes.find(n => n.id === activeNodeId);
+      const docId = document.getElementById('node-link-doc').value;
+      if (!node || !docId) return;
+      updateNodeDocuments(node, [...(node.docIds || []), docId]);
+    });
+
+    document.getElementById('node-add-issue-btn').addEventListener('click', () => {
+      openIssueDialog(null, { milestoneId: activeNodeId });
+    });
+
+    /************************************************************
+     * Documents & Editor
+     ************************************************************/
+    let currentDoc = null;
+    const docSelect = document.getElementById('select-doc');
+    const editor = document.getElementById('editor');
+    const newDocBtn = document.getElementById('new-doc-btn');
+    const commitDocBtn = document.getElementById('commit-doc-btn');
+    const versionSelect = document.getElementById('select-version');
+    const versionBanner = document.getElementById('version-banner');
+    const versionBannerText = document.getElementById('version-banner-text');
+    const remoteBanner = document.getElementById('remote-banner');
+    let viewedVersion = null;  // index of an older version checked out read-only
+    let workingContent = '';   // editor text stashed while browsing an older version
+    let documentList = [];     // document summaries, for linking them to milestones
+
+    function loadDocuments() {
+      api('/api/documents')
+        .then(res => res.json())
+        .then(docs => {
+          documentList = docs;
+          renderNodePanel();
+          docSelect.innerHTML = '<option value="">-- Select Document --</option>';
+          docs.forEach(doc => {
+            const opt = document.createElement('option');
+            opt.value = doc.docId;
+            opt.textContent = doc.title;
+            docSelect.appendChild(opt);
+          });
+        });
+    }
+
+    // Text of currentDoc as last committed; a merge with conflicts keeps its
+    // marked-up text until it is committed
+    function committedContent() {
+      if (!currentDoc) return '';
+      if (currentDoc.merge) return currentDoc.merge.content;
+      return currentDoc.versions[currentDoc.currentVersion].content || '';
+    }
+
+    // Show the current version of currentDoc in the editor (editable), or the
+    // draft left on the server if it was written on this same branch head
+    function openCurrentDoc() {
+      const draft = currentDoc && currentDoc.draft;
+      const restore = !!draft &&
+        draft.branch === currentDoc.currentBranch &&
+        draft.baseVersion === currentDoc.currentVersion &&
+        draft.merging === !!currentDoc.merge;
+      editor.value = restore ? draft.content : committedContent();
+      setViewedVersion(null);
+      resetDraftState(restore ? draft : null);
+      remoteBanner.classList.add('hidden');
+      renderBranchPicker();
+      renderHistory();
+      renderPreview();
+    }
+
+    function renderVersionPicker() {
+      versionSelect.innerHTML = '';
+      versionSelect.disabled = !currentDoc;
+      if (!currentDoc) return;
+      for (let i = currentDoc.versions.length - 1; i >= 0; i--) {
+        const opt = document.createElement('option');
+        opt.value = i;
+        opt.textContent = i === currentDoc.currentVersion ? \`v\${i} (head)\` : \`v\${i}\`;
+        versionSelect.appendChild(opt);
+      }
+      versionSelect.value = viewedVersion === null ? currentDoc.currentVersion : viewedVersion;
+    }
+
+    // null => editing the current version, otherwise read-only view of that index
+    function setViewedVersion(index) {
+      viewedVersion = index;
+      const readOnly = index !== null;
+      editor.readOnly = readOnly;
+      commitDocBtn.disabled = readOnly;
+      versionBanner.classList.toggle('hidden', !readOnly);
+      if (readOnly) {
+        const v = currentDoc.versions[index];
+        versionBannerText.textContent =
+          \`Viewing v\${index}\${v.message ? \` "\${v.message}"\` : ''} \` +
+          \`from \${new Date(v.timestamp).toLocaleString()} (read-only)\`;
+      }
+      renderVersionPicker();
+      renderSaveStatus();
+    }
+
+    function checkoutVersion(index) {
+      if (index === currentDoc.currentVersion) {
+        backToLatest();
+        return;
+      }
+      // Store a pending draft first: it is written from the editor, which the
+      // old version's text is about to replace
+      saveDraft()
+        .then(() => api(\`/api/documents/\${currentDoc.docId}/versions/\${index}\`))
+        .then(res => res.json())
+        .then(version => {
+          if (version.error) throw new Error(version.error);
+          if (viewedVersion === null) workingContent = editor.value;
+          editor.value = version.content || '';
+          setViewedVersion(index);
+          renderPreview();
+        })
+        .catch(err => {
+          console.error('Checkout error:', err);
+          showToast('Failed to load version.', 'error');
+          renderVersionPicker();
+        });
+    }
+
+    function backToLatest() {
+      if (viewedVersion === null) return;
+      editor.value = workingContent;
+      setViewedVersion(null);
+      renderPreview();
+    }
+
+    function revertToViewedVersion() {
+      const index = viewedVersion;
+      if (index === null) return;
+      if (!confirm(\`Revert to v\${index}? This creates a new commit; no history is lost.\`)) return;
+      api(\`/api/documents/\${currentDoc.docId}/revert\`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ version: index })
+      })
+      .then(res => res.json())
+      .then(updatedDoc => {
+        if (updatedDoc.error) throw new Error(updatedDoc.error);
+        currentDoc = updatedDoc;
+        openCurrentDoc();
+        showToast(\`Reverted to v\${index} as v\${updatedDoc.currentVersion}.\`, 'success');
+      })
+      .catch(err => {
+        console.error('Revert error:', err);
+        showToast('Failed to revert document.', 'error');
+      });
+    }
+
+    versionSelect.addEventListener('change', () => {
+      if (currentDoc) checkoutVersion(Number(versionSelect.value));
+    });
+    document.getElementById('revert-version-btn').addEventListener('click', revertToViewedVersion);
+    document.getElementById('back-to-latest-btn').addEventListener('click', backToLatest);
+
+    // Switch the editor to another document ('' for none); resolves to false
+    // if the user chose to stay on a document with uncommitted changes
+    function selectDocument(docId) {
+      if (currentDoc && editorDirty()) {
+        const keep = confirm(
+          \`"\${currentDoc.title}" has uncommitted changes. They are kept as a draft, \` +
+          'but only a commit adds them to its history. Switch documents anyway?'
+        );
+        if (!keep) {
+          docSelect.value = currentDoc.docId;
+          return Promise.resolve(false);
+        }
+      }
+      saveDraft();
+      docSelect.value = docId;
+      if (!docId) {
+        currentDoc = null;
+        openCurrentDoc();
+        return Promise.resolve(true);
+      }
+      return api(\`/api/documents/\${docId}\`)
+        .then(res => res.json())
+        .then(doc => {
+          currentDoc = doc;
+          openCurrentDoc();
+          return true;
+        });
+    }
+
+    docSelect.addEventListener('change', () => selectDocument(docSelect.value));
+
+    // Open a document from elsewhere in the app (a milestone's panel, search)
+    function openDocument(docId) {
+      if (editorContainer.classList.contains('collapsed')) toggleEditorBtn.click();
+      if (currentDoc && currentDoc.docId === docId) return Promise.resolve(true);
+      return selectDocument(docId);
+    }
+
+    newDocBtn.addEventListener('click', () => {
+      const title = prompt('New Document Title:');
+      if (!title) return;
+      const content = '';
+      api('/api/documents', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ title, content })
+      })
+      .then(res => res.json())
+      .then(doc => {
+        loadDocuments();
+        docSelect.value = doc.docId;
+        currentDoc = doc;
+        openCurrentDoc();
+      });
+    });
+
+    commitDocBtn.addEventListener('click', () => {
+      if (!currentDoc) {
+        showToast('No document selected.', 'error');
+        return;
+      }
+      if (viewedVersion !== null) {
+        showToast('Return to the latest version before committing.', 'error');
+        return;
+      }
+      const defaultMessage = currentDoc.merge ? currentDoc.merge.message : '';
+      const message = prompt('Commit message:', defaultMessage);
+      if (message === null) return; // user canceled
+      const content = editor.value;
+      api(\`/api/documents/\${currentDoc.docId}/commit\`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content, message })
+      })
+      .then(res => res.json())
+      .then(updatedDoc => {
+        if (updatedDoc.error) throw new Error(updatedDoc.error);
+        const wasMerging = !!currentDoc.merge;
+        currentDoc = updatedDoc;
+        resetDraftState(null);
+        showToast(\`Document committed. Version count: \${updatedDoc.versions.length}\`, 'success');
+        renderVersionPicker();
+        if (wasMerging) renderBranchPicker();
+        renderHistory();
+      })
+      .catch(err => {
+        console.error('Commit error:', err);
+        showToast(err.message || 'Failed to commit document.', 'error');
+      });
+    });
+
+    /************************************************************
+     * Save status, autosave & drafts
+     ************************************************************/
+    // Graph and issue edits are saved as they happen (see graphRequest); node
+    // positions picked by the layout are saved once it settles; editor text is
+    // kept on the server as a draft of the open document until it is committed.
+    const POSITION_SAVE_DELAY = 2000;
+    const DRAFT_SAVE_DELAY = 1000;
+    const saveStatus = document.getElementById('save-status');
+    const draftBanner = document.getElementById('draft-banner');
+    let pendingSaves = 0;         // graph/issue requests on their way
+    let saveError = null;         // message of the last failed one, until one succeeds
+    let savedPositions = {};      // nodeId => "x,y" as last stored
+    let positionsDirty = false;
+    let positionSaveTimer = null;
+    let draftState = 'clean';     // 'clean' | 'unsaved' | 'saving' | 'error'
+    let draftTimer = null;
+
+    function trackSave(request) {
+      pendingSaves++;
+      renderSaveStatus();
+      return request.then(
+        data => {
+          pendingSaves--;
+          saveError = null;
+          renderSaveStatus();
+          return data;
+        },
+        err => {
+          pendingSaves--;
+          saveError = err.message || 'Save failed';
+          renderSaveStatus();
+          throw err;
+        }
+      );
+    }
+
+    // The text being edited, also while an older version is shown instead
+    function workingText() {
+      return viewedVersion === null ? editor.value : workingContent;
+    }
+
+    // The text being edited differs from its last commit
+    function editorDirty() {
+      return !!currentDoc && workingText() !== committedContent();
+    }
+
+    function renderSaveStatus() {
+      let text = 'All changes saved';
+      let color = 'var(--text-muted)';
+      if (saveError || draftState === 'error') {
+        text = 'Not saved: ' + (saveError || 'the draft could not be stored');
+        color = 'var(--accent-danger)';
+      } else if (pendingSaves > 0 || draftState === 'saving') {
+        text = 'Saving...';
+      } else if (positionsDirty || draftState === 'unsaved') {
+        text = 'Unsaved changes';
+        color = 'var(--accent-warning)';
+      } else if (editorDirty()) {
+        const { draft } = currentDoc;
+        text = draft ? \`Draft saved \${new Date(draft.savedAt).toLocaleTimeString()} (uncommitted)\` : 'Uncommitted changes';
+        color = 'var(--accent-warning)';
+      }
+      saveStatus.textContent = text;
+      saveStatus.style.color = color;
+    }
+
+    // Node positions: remember the stored ones, save the layout's after it settles
+    const positionKey = d => \`\${Math.round(d.x)},\${Math.round(d.y)}\`;
+
+    function markPositionsSaved() {
+      savedPositions = {};
+      graph.nodes.forEach(d => { savedPositions[d.id] = positionKey(d); });
+      positionsDirty = false;
+      clearTimeout(positionSaveTimer);
+      renderSaveStatus();
+    }
+
+    function schedulePositionSave() {
+      if (!graph.nodes.some(d => savedPositions[d.id] !== positionKey(d))) return;
+      positionsDirty = true;
+      clearTimeout(positionSaveTimer);
+      positionSaveTimer = setTimeout(savePositions, POSITION_SAVE_DELAY);
+      renderSaveStatus();
+    }
+
+    function savePositions() {
+      const positions = {};
+      graph.nodes
+        .filter(d => savedPositions[d.id] !== positionKey(d))
+        .forEach(d => { positions[d.id] = { x: d.x, y: d.y }; });
+      if (Object.keys(positions).length === 0) return markPositionsSaved();
+      graphRequest('PUT', '/api/graph/layout', { positions })
+        .then(markPositionsSaved)
+        .catch(graphError);
+    }
+    simulation.on('end.autosave', schedulePositionSave);
+
+    // Drafts
+    function resetDraftState(restoredDraft) {
+      clearTimeout(draftTimer);
+      draftTimer = null;
+      draftState = 'clean';
+      draftBanner.classList.toggle('hidden', !restoredDraft);
+      if (restoredDraft) {
+        document.getElementById('draft-banner-text').textContent =
+          \`Restored an uncommitted draft from \${new Date(restoredDraft.savedAt).toLocaleString()}.\`;
+      }
+      renderSaveStatus();
+    }
+
+    function scheduleDraftSave() {
+      if (!currentDoc || viewedVersion !== null) return;
+      draftState = 'unsaved';
+      clearTimeout(draftTimer);
+      draftTimer = setTimeout(saveDraft, DRAFT_SAVE_DELAY);
+      renderSaveStatus();
+    }
+
+    // Store (or drop, once the text matches the commit again) the open document's
+    // draft right away if a save is pending. keepalive lets it outlive the page.
+    // Resolves once the server has answered.
+    function saveDraft(keepalive = false) {
+      if (draftState !== 'unsaved') return Promise.resolve();
+      clearTimeout(draftTimer);
+      draftTimer = null;
+      const doc = currentDoc;
+      const url = \`/api/documents/\${doc.docId}/draft\`;
+      const request = editorDirty()
+        ? api(url, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ content: workingText() }),
+            keepalive
+          })
+        : api(url, { method: 'DELETE', keepalive });
+      draftState = 'saving';
+      renderSaveStatus();
+      return request
+        .then(res => res.json())
+        .then(result => {
+          if (result.error) throw new Error(result.error);
+          doc.draft = result.draft;
+          if (doc === currentDoc && draftState === 'saving') draftState = 'clean';
+          renderSaveStatus();
+        })
+        .catch(err => {
+          console.error('Draft save error:', err);
+          if (doc === currentDoc) draftState = 'error';
+          renderSaveStatus();
+        });
+    }
+
+    editor.addEventListener('input', scheduleDraftSave);
+
+    document.getElementById('discard-draft-btn').addEventListener('click', () => {
+      if (!confirm('Discard the draft and go back to the last commit?')) return;
+      backToLatest();
+      editor.value = committedContent();
+      draftState = 'unsaved';
+      saveDraft();
+      draftBanner.classList.add('hidden');
+      renderPreview();
+    });
+
+    window.addEventListener('beforeunload', event => {
+      saveDraft(true);
+      if (editorDirty() || positionsDirty || pendingSaves > 0) {
+        event.preventDefault();
+        event.returnValue = ''; // browsers show their own wording
+      }
+    });
+    renderSaveStatus();
+
+    /************************************************************
+     * Document branches & merges
+     ************************************************************/
+    const branchSelect = document.getElementById('select-branch');
+    const otherBranchSelect = document.getElementById('select-other-branch');
+    const mergeBanner = document.getElementById('merge-banner');
+    const mergeBannerText = document.getElementById('merge-banner-text');
+
+    function renderBranchPicker() {
+      branchSelect.innerHTML = '';
+      const merging = !!(currentDoc && currentDoc.merge);
+      branchSelect.disabled = !currentDoc || merging;
+      mergeBanner.classList.toggle('hidden', !merging);
+      renderOtherBranches();
+      if (!currentDoc) return;
+      Object.keys(currentDoc.branches).forEach(name => {
+        const opt = document.createElement('option');
+        opt.value = name;
+        opt.textContent = name;
+        branchSelect.appendChild(opt);
+      });
+      branchSelect.value = currentDoc.currentBranch;
+      if (merging) {
+        const { branch, conflicts } = currentDoc.merge;
+        mergeBannerText.textContent =
+          \`Merging "\${branch}" into "\${currentDoc.currentBranch}": \` +
+          \`\${conflicts} conflict(s). Resolve the markers, then commit.\`;
+      }
+    }
+
+    // Branches other than the checked-out one, for merge and delete
+    function renderOtherBranches() {
+      const previous = otherBranchSelect.value;
+      const others = currentDoc
+        ? Object.keys(currentDoc.branches).filter(b => b !== currentDoc.currentBranch)
+        : [];
+      otherBranchSelect.innerHTML = '';
+      if (others.length === 0) {
+        const opt = document.createElement('option');
+        opt.value = '';
+        opt.textContent = '(no other branch)';
+        otherBranchSelect.appendChild(opt);
+      }
+      others.forEach(name => {
+        const opt = document.createElement('option');
+        opt.value = name;
+        opt.textContent = name;
+        otherBranchSelect.appendChild(opt);
+      });
+      if (others.includes(previous)) otherBranchSelect.value = previous;
+      otherBranchSelect.disabled = others.length === 0 || !!(currentDoc && currentDoc.merge);
+    }
+
+    function chosenOtherBranch() {
+      const name = otherBranchSelect.value;
+      if (!name) showToast('There is no other branch.', 'error');
+      return name || null;
+    }
+
+    // Shared handler for branch requests that answer with the updated document
+    function applyBranchResponse(request, successMessage) {
+      return request
+        .then(res => res.json())
+        .then(doc => {
+          if (doc.error) throw new Error(doc.error);
+          currentDoc = doc;
+          openCurrentDoc();
+          if (successMessage) showToast(successMessage, 'success');
+        })
+        .catch(err => {
+          console.error('Branch error:', err);
+          showToast(err.message, 'error');
+          renderBranchPicker();
+        });
+    }
+
+    branchSelect.addEventListener('change', () => {
+      const name = branchSelect.value;
+      saveDraft(); // a draft stays with the branch it was written on
+      applyBranchResponse(
+        api(\`/api/documents/\${currentDoc.docId}/branches/\${encodeURIComponent(name)}/checkout\`, {
+          method: 'POST'
+        }),
+        \`Switched to branch "\${name}".\`
+      );
+    });
+
+    // New branch starts at the version in the editor (an older checkout included)
+    document.getElementById('new-branch-btn').addEventListener('click', () => {
+      if (!currentDoc) {
+        showToast('No document selected.', 'error');
+        return;
+      }
+      const from = viewedVersion === null ? currentDoc.currentVersion : viewedVersion;
+      const name = prompt(\`New branch name (starting at v\${from}):\`);
+      if (!name) return;
+      applyBranchResponse(
+        api(\`/api/documents/\${currentDoc.docId}/branches\`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ name, from, checkout: true })
+        }),
+        \`Created branch "\${name}" from v\${from}.\`
+      );
+    });
+
+    document.getElementById('merge-branch-btn').addEventListener('click', () => {
+      if (!currentDoc) {
+        showToast('No document selected.', 'error');
+        return;
+      }
+      const name = chosenOtherBranch();
+      if (!name) return;
+      api(\`/api/documents/\${currentDoc.docId}/branches/\${encodeURIComponent(name)}/merge\`, {
+        method: 'POST'
+      })
+      .then(res => res.json())
+      .then(result => {
+        if (result.error) throw new Error(result.error);
+        currentDoc = result.doc;
+        openCurrentDoc();
+        if (result.upToDate) {
+          showToast('Already up to date.');
+        } else if (result.conflicts > 0) {
+          showToast(\`Merge has \${result.conflicts} conflict(s) to resolve.\`, 'error');
+          jumpToNextConflict();
+        } else {
+          showToast(\`Merged "\${name}" into "\${currentDoc.currentBranch}".\`, 'success');
+        }
+      })
+      .catch(err => {
+        console.error('Merge error:', err);
+        showToast(err.message, 'error');
+      });
+    });
+
+    document.getElementById('delete-branch-btn').addEventListener('click', () => {
+      if (!currentDoc) return;
+      const name = chosenOtherBranch();
+      if (!name) return;
+      if (!confirm(\`Delete branch "\${name}"? Its versions stay in history.\`)) return;
+      applyBranchResponse(
+        api(\`/api/documents/\${currentDoc.docId}/branches/\${encodeURIComponent(name)}\`, {
+          method: 'DELETE'
+        }),
+        \`Deleted branch "\${name}".\`
+      );
+    });
+
+    document.getElementById('abort-merge-btn').addEventListener('click', () => {
+      if (!confirm('Abort the merge and discard its changes?')) return;
+      applyBranchResponse(
+        api(\`/api/documents/\${currentDoc.docId}/merge/abort\`, { method: 'POST' }),
+        'Merge aborted.'
+      );
+    });
+
+    // Select the next conflict block in the editor, wrapping around at the end
+    function jumpToNextConflict() {
+      const text = editor.value;
+      let start = text.indexOf('<<<<<<<', editor.selectionEnd);
+      if (start === -1) start = text.indexOf('<<<<<<<');
+      if (start === -1) {
+        showToast('No conflict markers left.', 'success');
+        return;
+      }
+      const endMarker = text.indexOf('>>>>>>>', start);
+      const lineEnd = text.indexOf('\\n', endMarker === -1 ? start : endMarker);
+      editor.focus();
+      editor.setSelectionRange(start, lineEnd === -1 ? text.length : lineEnd);
+    }
+    document.getElementById('next-conflict-btn').addEventListener('click', jumpToNextConflict);
+
+    /************************************************************
+     * Version history & diff
+     ************************************************************/
+    const historyBtn = document.getElementById('history-btn');
+    const historyPanel = document.getElementById('history-panel');
+    const diffFromSelect = document.getElementById('diff-from');
+    const diffToSelect = document.getElementById('diff-to');
+    const versionList = document.getElementById('version-list');
+    const diffOutput = document.getElementById('diff-output');
+    const diffModeSplitBtn = document.getElementById('diff-mode-split');
+    const diffModeInlineBtn = document.getElementById('diff-mode-inline');
+    let diffMode = 'split';
+    let lastDiff = null;
+
+    function versionLabel(doc, index) {
+      const v = doc.versions[index];
+      return \`v\${index} · \${v.message || new Date(v.timestamp).toLocaleString()}\`;
+    }
+
+    // Rebuild the version pickers for currentDoc and show previous vs. current
+    function renderHistory() {
+      if (historyPanel.classList.contains('hidden')) return;
+      lastDiff = null;
+      if (!currentDoc) {
+        diffFromSelect.innerHTML = '';
+        diffToSelect.innerHTML = '';
+        versionList.innerHTML = '';
+        diffOutput.innerHTML = '<div class="diff-summary">No document selected.</div>';
+        return;
+      }
+      const options = currentDoc.versions
+        .map((v, i) => \`<option value="\${i}">\${escapeHtml(versionLabel(currentDoc, i))}</option>\`)
+        .join('');
+      diffFromSelect.innerHTML = '<option value="">(empty)</option>' + options;
+      diffToSelect.innerHTML = options;
+      showVersionChanges(currentDoc.currentVersion);
+    }
+
+    // Compare a version with its parent commit (on its own branch), or with an
+    // empty text for the first version
+    function showVersionChanges(index) {
+      const { parent } = currentDoc.versions[index];
+      diffToSelect.value = index;
+      diffFromSelect.value = parent === null || parent === undefined ? '' : parent;
+      loadDiff();
+    }
+
+    // git log-style list of commits, newest first
+    function renderVersionList() {
+      const from = diffFromSelect.value === '' ? null : Number(diffFromSelect.value);
+      const to = Number(diffToSelect.value);
+      versionList.innerHTML = '';
+      for (let i = currentDoc.versions.length - 1; i >= 0; i--) {
+        const v = currentDoc.versions[i];
+        const notes = [
+          new Date(v.timestamp).toLocaleString(),
+          \`\${v.wordCount || 0} words\`,
+          \`\${v.charCount || 0} chars\`
+        ];
+        if (v.mergeParent !== undefined) notes.push(\`merged v\${v.mergeParent}\`);
+        if (v.revertOf !== undefined) notes.push(\`reverts to v\${v.revertOf}\`);
+
+        const item = document.createElement('div');
+        item.className = 'version-item' + (i === from || i === to ? ' selected' : '');
+        item.innerHTML = \`
+          <div class="version-line">
+            <span class="version-index">v\${i}</span>
+            <span class="version-branch">\${escapeHtml(v.branch || '')}</span>
+            \${v.tag ? \`<span class="version-tag"><i class="fas fa-tag"></i> \${escapeHtml(v.tag)}</span>\` : ''}
+            <span class="version-message\${v.message ? '' : ' empty'}">\${escapeHtml(v.message || '(no message)')}</span>
+            <button class="version-tag-btn" title="Tag this version"><i class="fas fa-tag"></i></button>
+          </div>
+          <div class="version-meta">\${escapeHtml(notes.join(' · '))}</div>
+        \`;
+        // Clicking a version shows what its commit changed
+        item.addEventListener('click', () => showVersionChanges(i));
+        item.querySelector('.version-tag-btn').addEventListener('click', e => {
+          e.stopPropagation();
+          tagVersion(i);
+        });
+        versionList.appendChild(item);
+      }
+    }
+
+    function tagVersion(index) {
+      const tag = prompt('Tag for this version (e.g. "sent to Acme"), empty to clear:',
+        currentDoc.versions[index].tag || '');
+      if (tag === null) return;
+      api(\`/api/documents/\${currentDoc.docId}/versions/\${index}/tag\`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ tag })
+      })
+      .then(res => res.json())
+      .then(doc => {
+        if (doc.error) throw new Error(doc.error);
+        currentDoc = doc;
+        renderVersionList();
+      })
+      .catch(err => {
+        console.error('Tag error:', err);
+        showToast(err.message, 'error');
+      });
+    }
+
+    function loadDiff() {
+      renderVersionList();
+      const from = diffFromSelect.value;
+      const to = diffToSelect.value;
+      api(\`/api/documents/\${currentDoc.docId}/diff?from=\${from}&to=\${to}\`)
+        .then(res => res.json())
+        .then(result => {
+          if (result.error) throw new Error(result.error);
+          lastDiff = result;
+          renderDiff();
+        })
+        .catch(err => {
+          console.error('Diff error:', err);
+          showToast('Failed to load diff.', 'error');
+        });
+    }
+
+    // Render one side of a changed line, highlighting the words that differ
+    function wordsHtml(words, side) {
+      const changedType = side === 'old' ? 'del' : 'add';
+      return words
+        .filter(w => w.type === 'equal' || w.type === changedType)
+        .map(w => w.type === 'equal'
+          ? escapeHtml(w.text)
+          : \`<span class="diff-word-\${w.type}">\${escapeHtml(w.text)}</span>\`)
+        .join('');
+    }
+
+    function renderDiff() {
+      if (!lastDiff) return;
+      const { stats, rows } = lastDiff;
+      const base = lastDiff.from === null ? '(empty)' : \`v\${lastDiff.from}\`;
+      const summary = \`<div class="diff-summary">\${base} → v\${lastDiff.to}: \` +
+        \`+\${stats.added} added, -\${stats.removed} removed, ~\${stats.changed} changed\${
+          stats.added + stats.removed + stats.changed === 0 ? ' (no differences)' : ''
+        }</div>\`;
+      const cell = text => \`<td>\${escapeHtml(text)}</td>\`;
+      const no = n => \`<td class="diff-no">\${n || ''}</td>\`;
+
+      const html = rows.map(row => {
+        if (diffMode === 'split') {
+          if (row.type === 'equal') {
+            return \`<tr>\${no(row.oldNo)}\${cell(row.oldText)}\${no(row.newNo)}\${cell(row.newText)}</tr>\`;
+          }
+          if (row.type === 'del') {
+            return \`<tr>\${no(row.oldNo)}<td class="diff-del">\${escapeHtml(row.oldText)}</td>\${no()}<td></td></tr>\`;
+          }
+          if (row.type === 'add') {
+            return \`<tr>\${no()}<td></td>\${no(row.newNo)}<td class="diff-add">\${escapeHtml(row.newText)}</td></tr>\`;
+          }
+          return \`<tr>\${no(row.oldNo)}<td class="diff-del">\${wordsHtml(row.words, 'old')}</td>\` +
+            \`\${no(row.newNo)}<td class="diff-add">\${wordsHtml(row.words, 'new')}</td></tr>\`;
+        }
+        // Inline mode: removed line above added line
+        if (row.type === 'equal') {
+          return \`<tr>\${no(row.oldNo)}\${no(row.newNo)}\${cell('  ' + row.oldText)}</tr>\`;
+        }
+        if (row.type === 'del') {
+          return \`<tr class="diff-del">\${no(row.oldNo)}\${no()}\${cell('- ' + row.oldText)}</tr>\`;
+        }
+        if (row.type === 'add') {
+          return \`<tr class="diff-add">\${no()}\${no(row.newNo)}\${cell('+ ' + row.newText)}</tr>\`;
+        }
+        return \`<tr class="diff-del">\${no(row.oldNo)}\${no()}<td>- \${wordsHtml(row.words, 'old')}</td></tr>\` +
+          \`<tr class="diff-add">\${no()}\${no(row.newNo)}<td>+ \${wordsHtml(row.words, 'new')}</td></tr>\`;
+      }).join('');
+
+      diffOutput.innerHTML = summary + \`<table class="diff-table">\${html}</table>\`;
+    }
+
+    function setDiffMode(mode) {
+      diffMode = mode;
+      diffModeSplitBtn.classList.toggle('active', mode === 'split');
+      diffModeInlineBtn.classList.toggle('active', mode === 'inline');
+      renderDiff();
+    }
+
+    historyBtn.addEventListener('click', () => {
+      historyPanel.classList.toggle('hidden');
+      renderHistory();
+    });
+    diffFromSelect.addEventListener('change', loadDiff);
+    diffToSelect.addEventListener('change', loadDiff);
+    diffModeSplitBtn.addEventListener('click', () => setDiffMode('split'));
+    diffModeInlineBtn.addEventListener('click', () => setDiffMode('inline'));
+
+    /************************************************************
+     * Markdown preview (marked + KaTeX, sanitized with DOMPurify)
+     ************************************************************/
+    const editorBody = document.getElementById('editor-body');
+    const previewPane = document.getElementById('preview');
+    const previewBtn = document.getElementById('preview-btn');
+    const PREVIEW_MODES = ['edit', 'split', 'preview'];
+    let previewMode = 'edit';
+    let previewTimer = null;
+
+    function renderMath(tex, displayMode) {
+      if (!window.katex) {
+        return \`<code>\${escapeHtml(tex)}</code>\`;
+      }
+      const html = katex.renderToString(tex, { displayMode, throwOnError: false });
+      return displayMode ? \`<div class="math-block">\${html}</div>\` : html;
+    }
+
+    // $$...$$ (block) and $...$ (inline) math for marked
+    marked.use({
+      extensions: [
+        {
+          name: 'blockMath',
+          level: 'block',
+          start(src) {
+            const index = src.indexOf('$$');
+            return index === -1 ? undefined : index;
+          },
+          tokenizer(src) {
+            const match = /^\\$\\$([\\s\\S]+?)\\$\\$[ \\t]*(?:\\n+|$)/.exec(src);
+            if (match) {
+              return { type: 'blockMath', raw: match[0], text: match[1].trim() };
+            }
+          },
+          renderer(token) {
+            return renderMath(token.text, true);
+          }
+        },
+        {
+          name: 'inlineMath',
+          level: 'inline',
+          start(src) {
+            const index = src.indexOf('$');
+            return index === -1 ? undefined : index;
+          },
+          tokenizer(src) {
+            // No whitespace just inside the dollars, so "$5 and $10" stays text
+            const match = /^\\$(?!\\$)([^\\s$](?:[^$]*?[^\\s$])?)\\$(?!\\d)/.exec(src);
+            if (match) {
+              return { type: 'inlineMath', raw: match[0], text: match[1] };
+            }
+          },
+          renderer(token) {
+            return renderMath(token.text, false);
+          }
+        }
+      ]
+    });
+
+    function renderPreview() {
+      if (previewMode === 'edit') return;
+      const html = marked.parse(editor.value || '');
+      previewPane.innerHTML = DOMPurify.sanitize(html, {
+        USE_PROFILES: { html: true, svg: true, mathMl: true }
+      });
+    }
+
+    function setPreviewMode(mode) {
+      previewMode = mode;
+      editorBody.className = 'mode-' + mode;
+      previewBtn.title = 'Preview: ' + (mode === 'edit' ? 'off' : mode);
+      previewBtn.classList.toggle('btn-primary', mode !== 'edit');
+      renderPreview();
+    }
+
+    previewBtn.addEventListener('click', () => {
+      const next = PREVIEW_MODES[(PREVIEW_MODES.indexOf(previewMode) + 1) % PREVIEW_MODES.length];
+      setPreviewMode(next);
+    });
+    editor.addEventListener('input', () => {
+      clearTimeout(previewTimer);
+      previewTimer = setTimeout(renderPreview, 150);
+    });
+
+    /************************************************************
+     * Export (rendered server-side)
+     ************************************************************/
+    const exportFormat = document.getElementById('export-format');
+    exportFormat.addEventListener('change', () => {
+      const format = exportFormat.value;
+      exportFormat.value = ''; // back to "Export…", so the same format can be picked again
+      if (!format) return;
+      if (!currentDoc) {
+        showToast('No document selected.', 'error');
+        return;
+      }
+      // Exports the version shown in the editor, as committed
+      const version = viewedVersion === null ? currentDoc.currentVersion : viewedVersion;
+      if (viewedVersion === null && editor.value !== currentDoc.versions[version].content) {
+        showToast(\`Exporting v\${version}; uncommitted changes are not included.\`);
+      }
+      const link = document.createElement('a');
+      link.href = \`/api/documents/\${currentDoc.docId}/export?format=\${format}&version=\${version}\`;
+      link.download = '';
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+    });
+
+    /************************************************************
+     * Kanban / Issues - DRAG & DROP
+     ************************************************************/
+    let issues = [];
+    let board = { columns: [] };  // column configuration, see GET /api/board
+    const kanbanColumns = document.getElementById('kanban-columns');
+    const columnLists = new Map(); // status => .kanban-list element
+
+    function loadBoard() {
+      return api('/api/board')
+        .then(res => res.json())
+        .then(data => {
+          board = data;
+          renderBoard();
+        });
+    }
+
+    function columnElement(column) {
+      const div = document.createElement('div');
+      div.className = 'kanban-column';
+      div.setAttribute('data-status', column.id);
+      div.innerHTML = \`
+        <div class="kanban-header" style="color: \${column.color}; background-color: \${column.color}1a;">
+          <div><i class="fas \${column.icon || 'fa-columns'}"></i> \${escapeHtml(column.name)}</div>
+          <span class="counter">0</span>
+        </div>
+        <div class="kanban-list"></div>
+        <div class="kanban-footer">
+          <button class="btn btn-primary" style="width: 100%">
+            <i class="fas fa-plus"></i> Add Task
+          </button>
+        </div>
+      \`;
+      div.addEventListener('dragover', kanbanDragOver);
+      div.addEventListener('dragleave', kanbanDragLeave);
+      div.addEventListener('drop', kanbanDrop);
+      div.querySelector('.kanban-footer button').addEventListener('click', () => openIssueDialog(null, { status: column.id }));
+      return div;
+    }
+
+    // Build one column per configured status, plus a column (shown only when
+    // needed) for cards whose status is no column of the board
+    function renderBoard() {
+      kanbanColumns.innerHTML = '';
+      columnLists.clear();
+      board.columns.forEach(column => {
+        const div = columnElement(column);
+        kanbanColumns.appendChild(div);
+        columnLists.set(column.id, div.querySelector('.kanban-list'));
+      });
+      const unsorted = document.createElement('div');
+      unsorted.className = 'kanban-column hidden';
+      unsorted.id = 'unsorted-column';
+      unsorted.innerHTML = \`
+        <div class="kanban-header" title="Their status is not a column of this board; drag them into one">
+          <div><i class="fas fa-question-circle"></i> No column</div>
+          <span class="counter">0</span>
+        </div>
+        <div class="kanban-list" id="unsorted-list"></div>
+      \`;
+      kanbanColumns.appendChild(unsorted);
+      renderIssues(issues);
+      updateIssueCounters(issues);
+    }
+
+    function loadIssues() {
+      return api('/api/issues')
+        .then(res => res.json())
+        .then(data => {
+          issues = data;
+          renderIssues(data);
+          updateIssueCounters(data);
+          refreshMilestones();
+          renderNodePanel();
+        });
     }
-    
-    .issue-card:hover .delete-issue-btn {
-      opacity: 1;
+
+    // Update counters in column headers ("count / limit" where a WIP limit is set)
+    function updateIssueCounters(issueArray) {
+      board.columns.forEach(column => {
+        const count = issueArray.filter(i => i.status === column.id).length;
+        const columnEl = columnLists.get(column.id).parentElement;
+        const counter = columnEl.querySelector('.counter');
+        const over = column.wipLimit !== null && count > column.wipLimit;
+        counter.textContent = column.wipLimit === null ? count : \`\${count} / \${column.wipLimit}\`;
+        counter.title = column.wipLimit === null ? '' : \`WIP limit: \${column.wipLimit}\`;
+        counter.classList.toggle('over-limit', over);
+        columnEl.classList.toggle('over-limit', over);
+      });
+      const unsortedCount = issueArray.filter(i => !columnLists.has(i.status)).length;
+      const unsorted = document.getElementById('unsorted-column');
+      unsorted.querySelector('.counter').textContent = unsortedCount;
+      unsorted.classList.toggle('hidden', unsortedCount === 0);
     }
-    
-    /* Graph styles */
-    .node {
-      stroke: #333;
-      stroke-width: 1.5px;
-      transition: fill 0.3s ease, r 0.3s ease;
-      cursor: pointer;
+
+    function renderIssues(issueArray) {
+      columnLists.forEach(list => { list.innerHTML = ''; });
+      const unsortedList = document.getElementById('unsorted-list');
+      if (!unsortedList) return; // board not loaded yet
+      unsortedList.innerHTML = '';
+      refreshFilterOptions(issueArray);
+      const shown = issueArray.filter(issueMatches);
+      document.getElementById('issue-filter-count').textContent =
+        shown.length === issueArray.length ? '' : \`Showing \${shown.length} of \${issueArray.length}\`;
+
+      shown.forEach(issue => {
+        const div = document.createElement('div');
+        div.className = 'issue-card';
+        div.draggable = true;
+        div.tabIndex = 0;
+        div.title = 'Click or Enter to edit; Alt+arrow keys move the card';
+        div.setAttribute('data-issue-id', issue.issueId);
+        const milestone = graph.nodes.find(n => n.id === issue.milestoneId);
+        const due = dueState(issue);
+        div.innerHTML = \`
+          <button class="issue-milestone-btn" title="Set milestone" onclick="setIssueMilestone(event, '\${issue.issueId}')"><i class="fas fa-flag"></i></button>
+          <button class="delete-issue-btn" onclick="deleteIssue(event, '\${issue.issueId}')"><i class="fas fa-times"></i></button>
+          <div class="issue-title">\${escapeHtml(issue.title)}</div>
+          <div class="issue-desc">\${escapeHtml(issue.description)}</div>
+          <div class="issue-meta">\${issueMeta(issue, due)}</div>
+          \${checklistProgress(issue.checklist)}
+          \${milestone ? \`<span class="milestone-badge" style="border-color: \${escapeHtml(milestone.color || '#2ecc71')};"
+            onclick="event.stopPropagation(); selectMilestone('\${milestone.id}')"><i class="fas fa-flag"></i> \${escapeHtml(milestone.name)}</span>\` : ''}
+        \`;
+        if (due) div.classList.add(due);
+        if (activeNodeId) {
+          div.classList.add(issue.milestoneId === activeNodeId ? 'highlighted' : 'dimmed');
+        }
+
+        // Drag
+        div.addEventListener('dragstart', e => {
+          e.dataTransfer.setData('text/plain', issue.issueId);
+          draggedIssueId = issue.issueId;
+          div.classList.add('dragging');
+        });
+        div.addEventListener('dragend', () => {
+          draggedIssueId = null;
+          div.classList.remove('dragging');
+          dropIndicator.remove();
+        });
+        div.addEventListener('click', () => openIssueDialog(issue.issueId));
+        div.addEventListener('keydown', e => cardKeydown(e, issue));
+
+        (columnLists.get(issue.status) || unsortedList).appendChild(div);
+      });
     }
-    
-    .node:hover {
-      stroke: var(--accent-primary);
-      stroke-width: 2.5px;
+
+    // Priority chip, due date and labels shown under the description
+    function issueMeta(issue, due) {
+      const priority = ISSUE_PRIORITIES.find(p => p.id === issue.priority);
+      return [
+        priority ? \`<span class="issue-priority" style="color: \${priority.color}; border-color: \${priority.color};"
+          title="Priority">\${priority.name}</span>\` : '',
+        issue.dueDate ? \`<span class="issue-due \${due || ''}" title="Due date"><i class="far fa-calendar"></i>
+          \${issue.dueDate}</span>\` : '',
+        ...issue.labels.map(label => \`<span class="issue-label" style="background-color: \${label.color};">\${escapeHtml(label.name)}</span>\`),
+        commentCount(issue) ? \`<span class="issue-comments" title="Comments"><i class="far fa-comment"></i> \${commentCount(issue)}</span>\` : ''
+      ].join('');
     }
-    
-    .link {
-      stroke-opacity: 0.6;
-      transition: stroke 0.3s ease, stroke-width 0.3s ease, stroke-opacity 0.3s ease;
+
+    function checklistProgress(checklist) {
+      if (checklist.length === 0) return '';
+      const done = checklist.filter(item => item.done).length;
+      return \`<div class="issue-checklist">
+        <div class="progress-bar"><div style="width: \${Math.round(100 * done / checklist.length)}%"></div></div>
+        <i class="far fa-check-square"></i> \${done}/\${checklist.length}
+      </div>\`;
     }
-    
-    .label {
-      pointer-events: none;
-      user-select: none;
-      font-size: 12px;
-      font-weight: 500;
+
+    // 'overdue', 'due-today' or null; cards in done columns are never overdue
+    function dueState(issue) {
+      if (!issue.dueDate || doneStatuses().has(issue.status)) return null;
+      const today = localIsoDate(new Date());
+      if (issue.dueDate < today) return 'overdue';
+      return issue.dueDate === today ? 'due-today' : null;
     }
-    
-    /* Toast notification */
-    .toast {
-      position: fixed;
-      bottom: 20px;
-      right: 20px;
-      background: var(--bg-tertiary);
-      color: var(--text-primary);
-      padding: 1rem;
-      border-radius: var(--radius-md);
-      box-shadow: var(--shadow-lg);
-      z-index: 1000;
-      display: flex;
-      align-items: center;
-      gap: 0.5rem;
-      transform: translateY(100px);
-      opacity: 0;
-      transition: var(--transition-smooth);
-      border-left: 4px solid var(--accent-primary);
+
+    function doneStatuses() {
+      return new Set(board.columns.filter(c => c.done).map(c => c.id));
     }
-    
-    .toast.show {
-      transform: translateY(0);
-      opacity: 1;
+
+    // WIP limits are advisory: ask before adding a card to a full column
+    function confirmWipLimit(status) {
+      const column = board.columns.find(c => c.id === status);
+      if (!column || column.wipLimit === null) return true;
+      const count = issues.filter(i => i.status === status).length;
+      return count < column.wipLimit ||
+        confirm(\`"\${column.name}" is at its WIP limit of \${column.wipLimit}. Add the card anyway?\`);
     }
-    
-    .toast.success {
-      border-left-color: var(--accent-success);
+
+    window.selectMilestone = selectMilestone;
+
+    // The card's flag button: the issue dialog, at its milestone field
+    function setIssueMilestone(e, issueId) {
+      e.stopPropagation();
+      openIssueDialog(issueId);
+      document.getElementById('issue-milestone').focus();
     }
-    
-    .toast.error {
-      border-left-color: var(--accent-danger);
+    window.setIssueMilestone = setIssueMilestone;
+
+    function removeIssue(issueId) {
+      return graphRequest('DELETE', \`/api/issues/\${encodeURIComponent(issueId)}\`)
+        .then(result => {
+          loadIssues();
+          return result.removed[0];
+        });
     }
-    
-    /* Scrollbar styling */
-    ::-webkit-scrollbar {
-      width: 8px;
-      height: 8px;
+
+    // Re-create a deleted issue under its old id and at its old position
+    function restoreIssue(issue, index) {
+      return graphRequest('POST', '/api/issues', issue)
+        .then(() => moveIssue(issue.issueId, issue.status, index));
     }
-    
-    ::-webkit-scrollbar-track {
-      background: var(--bg-primary);
+
+    function deleteIssue(e, issueId) {
+      e.stopPropagation();
+      if (!confirm('Delete this issue?')) return;
+      const index = columnIndex(issues.find(i => i.issueId === issueId));
+      removeIssue(issueId)
+        .then(issue => recordEdit({
+          label: \`Delete "\${issue.title}"\`,
+          undo: () => restoreIssue(issue, index),
+          redo: () => removeIssue(issue.issueId)
+        }))
+        .catch(err => showToast(err.message, 'error'));
     }
-    
-    ::-webkit-scrollbar-thumb {
-      background: var(--bg-tertiary);
-      border-radius: 4px;
+    window.deleteIssue = deleteIssue;
+
+    // Move a card to position index (0 = top) of a column; resolves with the
+    // position the server put it at
+    function moveIssue(issueId, status, index) {
+      return graphRequest('POST', \`/api/issues/\${encodeURIComponent(issueId)}/move\`, { status, index })
+        .then(result => loadIssues().then(() => result.index));
     }
-    
-    ::-webkit-scrollbar-thumb:hover {
-      background: var(--accent-primary);
+
+    // Position of a card among all cards of its column (filtered out ones included)
+    function columnIndex(issue) {
+      return issues.filter(i => i.status === issue.status).indexOf(issue);
     }
-    
-    /* Responsive adjustments */
-    @media (max-width: 768px) {
-      #main-container {
-        flex-direction: column;
+
+    // Move a card and record it for undo; WIP limits are checked when it changes column
+    function relocateIssue(issue, status, index) {
+      const oldStatus = issue.status;
+      const oldIndex = columnIndex(issue);
+      if (status === oldStatus && index === oldIndex) return Promise.resolve();
+      if (status !== oldStatus && !confirmWipLimit(status)) return Promise.resolve();
+      return moveIssue(issue.issueId, status, index)
+        .then(newIndex => recordEdit({
+          label: \`Move "\${issue.title}"\`,
+          undo: () => moveIssue(issue.issueId, oldStatus, oldIndex),
+          redo: () => moveIssue(issue.issueId, status, newIndex)
+        }))
+        .catch(err => showToast(err.message, 'error'));
+    }
+
+    // Keyboard: Enter edits, Alt+Up/Down reorders within the column and
+    // Alt+Left/Right moves the card to the neighbouring column
+    function cardKeydown(event, issue) {
+      if (event.target !== event.currentTarget) return;
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        openIssueDialog(issue.issueId);
+        return;
       }
-      
-      #graph-container, #editor-container {
-        width: 100%;
-        height: 33vh;
-        border-right: none;
-        border-bottom: 1px solid var(--border-color);
+      if (!event.altKey) return;
+      const index = columnIndex(issue);
+      const columnAt = board.columns.findIndex(c => c.id === issue.status);
+      let target = null;
+      if (event.key === 'ArrowUp' && index > 0) target = [issue.status, index - 1];
+      if (event.key === 'ArrowDown' && index < issues.filter(i => i.status === issue.status).length - 1) {
+        target = [issue.status, index + 1];
       }
-      
-      .resizer {
-        width: 100%;
-        height: 6px;
-        cursor: row-resize;
+      if (event.key === 'ArrowLeft' && columnAt > 0) target = [board.columns[columnAt - 1].id, index];
+      if (event.key === 'ArrowRight' && columnAt !== -1 && columnAt < board.columns.length - 1) {
+        target = [board.columns[columnAt + 1].id, index];
       }
+      if (!target) return;
+      event.preventDefault();
+      relocateIssue(issue, ...target).then(() => {
+        const card = document.querySelector(\`.issue-card[data-issue-id="\${issue.issueId}"]\`);
+        if (card) card.focus();
+      });
+    }
+
+    // Kanban DnD
+    const dropIndicator = document.createElement('div');
+    dropIndicator.className = 'drop-indicator';
+    let draggedIssueId = null;
+
+    // The card a drop at height y would land in front of (null: at the end)
+    function cardBelow(list, y) {
+      return [...list.querySelectorAll('.issue-card')]
+        .filter(card => card.getAttribute('data-issue-id') !== draggedIssueId)
+        .find(card => {
+          const box = card.getBoundingClientRect();
+          return y < box.top + box.height / 2;
+        }) || null;
+    }
+
+    function kanbanDragOver(event) {
+      event.preventDefault();
+      const column = event.currentTarget;
+      column.classList.add('drag-over');
+      const list = column.querySelector('.kanban-list');
+      const before = cardBelow(list, event.clientY);
+      if (dropIndicator.parentNode !== list || dropIndicator.nextElementSibling !== before) {
+        list.insertBefore(dropIndicator, before);
+      }
+    }
+
+    function kanbanDragLeave(event) {
+      const column = event.currentTarget;
+      if (column.contains(event.relatedTarget)) return;
+      column.classList.remove('drag-over');
+      dropIndicator.remove();
     }
-  </style>
-</head>
-<body>
-  <header>
-    <div class="logo"><i class="fas fa-code-branch"></i> AndreOS</div>
-    <div id="header-controls" style="display: flex; align-items: center; gap: 0.5rem;">
-      <!-- Editor toggle button -->
-      <button id="toggle-editor-btn" class="btn" style="padding: 0.4rem 0.7rem;">
-        <i class="fas fa-window-minimize"></i>
-        Toggle Editor
-      </button>
-      <span id="save-status" style="color: var(--text-muted); font-size: 0.9rem;"></span>
-    </div>
-  </header>
-  
-  <div id="main-container">
-    <!-- Graph Container -->
-    <div id="graph-container">
-      <svg id="graph"></svg>
-      <div id="cluster-button-container">
-        <button id="add-node-btn" class="btn">
-          <i class="fas fa-plus-circle"></i> Add Node
-        </button>
-        <button id="add-colored-node-btn" class="btn">
-          <i class="fas fa-palette"></i> Add Colored Node
-        </button>
-        <button id="save-graph-btn" class="btn btn-primary">
-          <i class="fas fa-save"></i> Save Graph
-        </button>
-      </div>
-    </div>
-    
-    <div class="resizer" id="resizer1"></div>
-    
-    <!-- Editor Container -->
-    <div id="editor-container">
-      <div id="doc-list">
-        <select id="select-doc">
-          <option value="">-- Select Document --</option>
-        </select>
-        <button id="new-doc-btn" class="btn">
-          <i class="fas fa-file"></i> New
-        </button>
-        <button id="commit-doc-btn" class="btn btn-primary">
-          <i class="fas fa-save"></i> Commit
-        </button>
-      </div>
-      <textarea id="editor" placeholder="Write your LaTeX/Markdown-style content here..."></textarea>
-    </div>
-    
-    <div class="resizer" id="resizer2"></div>
-    
-    <!-- Kanban Container -->
-    <div id="kanban-container">
-      <!-- For each column, set up drag event handlers -->
-      <div class="kanban-column" id="todo-column"
-           data-status="todo"
-           ondragover="kanbanDragOver(event)"
-           ondragleave="kanbanDragLeave(event)"
-           ondrop="kanbanDrop(event)">
-        <div class="kanban-header">
-          <div><i class="fas fa-clipboard-list"></i> To Do</div>
-          <span class="counter" id="todo-counter">0</span>
-        </div>
-        <div class="kanban-list" id="todo-list"></div>
-        <div class="kanban-footer">
-          <button onclick="createIssuePrompt('todo')" class="btn btn-primary" style="width: 100%">
-            <i class="fas fa-plus"></i> Add Task
-          </button>
-        </div>
-      </div>
-      
-      <div class="kanban-column" id="inprogress-column"
-           data-status="in-progress"
-           ondragover="kanbanDragOver(event)"
-           ondragleave="kanbanDragLeave(event)"
-           ondrop="kanbanDrop(event)">
-        <div class="kanban-header">
-          <div><i class="fas fa-spinner"></i> In Progress</div>
-          <span class="counter" id="inprogress-counter">0</span>
-        </div>
-        <div class="kanban-list" id="inprogress-list"></div>
-        <div class="kanban-footer">
-          <button onclick="createIssuePrompt('in-progress')" class="btn btn-primary" style="width: 100%">
-            <i class="fas fa-plus"></i> Add Task
-          </button>
-        </div>
-      </div>
-      
-      <div class="kanban-column" id="done-column"
-           data-status="done"
-           ondragover="kanbanDragOver(event)"
-           ondragleave="kanbanDragLeave(event)"
-           ondrop="kanbanDrop(event)">
-        <div class="kanban-header">
-          <div><i class="fas fa-check-circle"></i> Done</div>
-          <span class="counter" id="done-counter">0</span>
-        </div>
-        <div class="kanban-list" id="done-list"></div>
-        <div class="kanban-footer">
-          <button onclick="createIssuePrompt('done')" class="btn btn-primary" style="width: 100%">
-            <i class="fas fa-plus"></i> Add Task
-          </button>
-        </div>
-      </div>
-    </div>
-  </div>
-  
-  <!-- Toast notification -->
-  <div id="toast" class="toast">
-    <i id="toast-icon" class="fas fa-info-circle"></i>
-    <span id="toast-message"></span>
-  </div>
 
-  <!-- D3 & Marked from CDN -->
-  <script src="https://cdn.jsdelivr.net/npm/d3@7.8.5/dist/d3.min.js"></script>
-  <script src="https://cdn.jsdelivr.net/npm/marked/marked.min.js"></script>
+    function kanbanDrop(event) {
+      event.preventDefault();
+      const column = event.currentTarget;
+      column.classList.remove('drag-over');
+      const newStatus = column.getAttribute('data-status');
+      const issueId = event.dataTransfer.getData('text/plain');
+      const issue = issues.find(i => i.issueId === issueId);
+      // The indicator marks the card to drop in front of; with a filter on,
+      // hidden cards keep their places around it
+      const before = dropIndicator.parentNode === column.querySelector('.kanban-list')
+        ? dropIndicator.nextElementSibling
+        : null;
+      dropIndicator.remove();
+      if (!issue) return;
+      const others = issues.filter(i => i.status === newStatus && i.issueId !== issueId);
+      const beforeIndex = before ? others.findIndex(i => i.issueId === before.getAttribute('data-issue-id')) : -1;
+      relocateIssue(issue, newStatus, beforeIndex === -1 ? others.length : beforeIndex);
+    }
 
-  <script>
     /************************************************************
-     * Toast notifications
+     * Issue dialog & filter bar
      ************************************************************/
-    function showToast(message, type = 'info') {
-      const toast = document.getElementById('toast');
-      const icon = document.getElementById('toast-icon');
-      const msg = document.getElementById('toast-message');
-      
-      toast.className = 'toast';
-      if (type === 'success') {
-        toast.classList.add('success');
-        icon.className = 'fas fa-check-circle';
-      } else if (type === 'error') {
-        toast.classList.add('error');
-        icon.className = 'fas fa-exclamation-circle';
-      } else {
-        icon.className = 'fas fa-info-circle';
-      }
-      
-      msg.textContent = message;
-      toast.classList.add('show');
-      
-      setTimeout(() => {
-        toast.classList.remove('show');
-      }, 3000);
+    const ISSUE_PRIORITIES = [
+      { id: 'low', name: 'Low', color: '#94a3b8' },
+      { id: 'medium', name: 'Medium', color: '#3b82f6' },
+      { id: 'high', name: 'High', color: '#f59e0b' },
+      { id: 'urgent', name: 'Urgent', color: '#ef4444' }
+    ];
+    const issueDialog = document.getElementById('issue-dialog');
+    const issueForm = document.getElementById('issue-form');
+    const issueFilter = { text: '', priority: '', label: '' };
+    let dialogIssueId = null; // null while creating
+    let dialogLabels = [];
+    let dialogChecklist = [];
+
+    ['issue-filter-priority', 'issue-priority'].forEach(id => {
+      const select = document.getElementById(id);
+      ISSUE_PRIORITIES.forEach(p => select.add(new Option(p.name, p.id)));
+    });
+
+    // YYYY-MM-DD in local time, comparable with due dates as strings
+    function localIsoDate(date) {
+      const pad = n => String(n).padStart(2, '0');
+      return \`\${date.getFullYear()}-\${pad(date.getMonth() + 1)}-\${pad(date.getDate())}\`;
     }
-  
-    /************************************************************
-     * Resizers for columns
-     ************************************************************/
-    const graphContainer = document.getElementById('graph-container');
-    const editorContainer = document.getElementById('editor-container');
-    const kanbanContainer = document.getElementById('kanban-container');
-    const resizer1 = document.getElementById('resizer1');
-    const resizer2 = document.getElementById('resizer2');
 
-    let graphWidth = graphContainer.getBoundingClientRect().width;
-    let editorWidth = editorContainer.getBoundingClientRect().width;
-    let isResizing = false;
+    function issueMatches(issue) {
+      if (issueFilter.priority && issue.priority !== issueFilter.priority) return false;
+      if (issueFilter.label && !issue.labels.some(l => l.name.toLowerCase() === issueFilter.label)) return false;
+      const text = issueFilter.text.trim().toLowerCase();
+      if (!text) return true;
+      return [issue.title, issue.description, ...issue.labels.map(l => l.name), ...issue.checklist.map(c => c.text)]
+        .some(value => value.toLowerCase().includes(text));
+    }
 
-    // First resizer (between graph and editor)
-    resizer1.addEventListener('mousedown', e => {
-      e.preventDefault();
-      isResizing = true;
-      document.addEventListener('mousemove', resizeGraphEditor);
-      document.addEventListener('mouseup', stopResize1);
-    });
+    // Every label used on the board, by lower-cased name
+    function boardLabels(issueArray) {
+      const labels = new Map();
+      issueArray.forEach(issue => issue.labels.forEach(label => {
+        if (!labels.has(label.name.toLowerCase())) labels.set(label.name.toLowerCase(), label);
+      }));
+      return labels;
+    }
 
-    function resizeGraphEditor(e) {
-      if (!isResizing) return;
-      const dx = e.movementX;
-      graphWidth += dx;
-      if (graphWidth < 100) graphWidth = 100;
-      graphContainer.style.width = graphWidth + 'px';
+    function refreshFilterOptions(issueArray) {
+      const labels = [...boardLabels(issueArray).values()].sort((a, b) => a.name.localeCompare(b.name));
+      if (issueFilter.label && !labels.some(l => l.name.toLowerCase() === issueFilter.label)) issueFilter.label = '';
+      const select = document.getElementById('issue-filter-label');
+      select.innerHTML = '<option value="">Any label</option>';
+      labels.forEach(label => select.add(new Option(label.name, label.name.toLowerCase())));
+      select.value = issueFilter.label;
+      document.getElementById('issue-label-options').innerHTML =
+        labels.map(label => \`<option value="\${escapeHtml(label.name)}"></option>\`).join('');
     }
-    function stopResize1() {
-      isResizing = false;
-      document.removeEventListener('mousemove', resizeGraphEditor);
-      document.removeEventListener('mouseup', stopResize1);
+
+    [['issue-filter-text', 'text', 'input'], ['issue-filter-priority', 'priority', 'change'], ['issue-filter-label', 'label', 'change']]
+      .forEach(([id, key, type]) => {
+        document.getElementById(id).addEventListener(type, e => {
+          issueFilter[key] = e.target.value;
+          renderIssues(issues);
+        });
+      });
+
+    // Open the dialog for an existing issue, or (issueId null) for a new one
+    // with the given defaults ({ status, milestoneId })
+    function openIssueDialog(issueId, defaults = {}) {
+      const issue = issueId ? issues.find(i => i.issueId === issueId) : null;
+      if (issueId && !issue) return;
+      const status = issue ? issue.status : defaults.status || board.columns[0].id;
+      if (!issue && !confirmWipLimit(status)) return;
+      dialogIssueId = issueId;
+      dialogLabels = issue ? issue.labels.map(l => ({ ...l })) : [];
+      dialogChecklist = issue ? issue.checklist.map(c => ({ ...c })) : [];
+
+      const statusSelect = document.getElementById('issue-status');
+      statusSelect.innerHTML = '';
+      board.columns.forEach(c => statusSelect.add(new Option(c.name, c.id)));
+      if (!columnLists.has(status)) statusSelect.add(new Option(\`\${status} (no column)\`, status));
+      const milestoneSelect = document.getElementById('issue-milestone');
+      milestoneSelect.innerHTML = '<option value="">None</option>';
+      graph.nodes.forEach(n => milestoneSelect.add(new Option(n.name, n.id)));
+
+      document.getElementById('issue-dialog-title').textContent = issue ? 'Edit issue' : 'New issue';
+      document.getElementById('issue-title').value = issue ? issue.title : '';
+      document.getElementById('issue-description').value = issue ? issue.description : '';
+      statusSelect.value = status;
+      document.getElementById('issue-priority').value = issue && issue.priority || '';
+      document.getElementById('issue-due').value = issue && issue.dueDate || '';
+      milestoneSelect.value = (issue ? issue.milestoneId : defaults.milestoneId) || '';
+      document.getElementById('issue-label-name').value = '';
+      document.getElementById('issue-checklist-text').value = '';
+      document.getElementById('issue-comment-text').value = '';
+      document.getElementById('issue-activity-section').classList.toggle('hidden', !issue);
+      renderDialogLabels();
+      renderDialogChecklist();
+      if (issue) renderActivity(issue);
+      issueDialog.classList.remove('hidden');
+      document.getElementById('issue-title').focus();
     }
 
-    // Second resizer (between editor and kanban)
-    resizer2.addEventListener('mousedown', e => {
-      e.preventDefault();
-      isResizing = true;
-      document.addEventListener('mousemove', resizeEditorKanban);
-      document.addEventListener('mouseup', stopResize2);
-    });
+    function closeIssueDialog() {
+      issueDialog.classList.add('hidden');
+      dialogIssueId = null;
+    }
 
-    function resizeEditorKanban(e) {
-      if (!isResizing) return;
-      const dx = e.movementX;
-      editorWidth += dx;
-      if (editorWidth < 100) editorWidth = 100;
-      editorContainer.style.width = editorWidth + 'px';
+    function renderDialogLabels() {
+      const list = document.getElementById('issue-labels');
+      list.innerHTML = '';
+      dialogLabels.forEach((label, index) => {
+        const chip = document.createElement('span');
+        chip.className = 'issue-label';
+        chip.style.backgroundColor = label.color;
+        chip.title = 'Remove label';
+        chip.innerHTML = \`\${escapeHtml(label.name)} <i class="fas fa-times"></i>\`;
+        chip.addEventListener('click', () => {
+          dialogLabels.splice(index, 1);
+          renderDialogLabels();
+        });
+        list.appendChild(chip);
+      });
     }
-    function stopResize2() {
-      isResizing = false;
-      document.removeEventListener('mousemove', resizeEditorKanban);
-      document.removeEventListener('mouseup', stopResize2);
+
+    function renderDialogChecklist() {
+      const list = document.getElementById('issue-checklist');
+      list.innerHTML = '';
+      dialogChecklist.forEach((item, index) => {
+        const row = document.createElement('label');
+        row.className = 'issue-check-item' + (item.done ? ' done' : '');
+        row.innerHTML = \`<input type="checkbox" \${item.done ? 'checked' : ''}> <span>\${escapeHtml(item.text)}</span>
+          <button type="button" class="btn" title="Remove item"><i class="fas fa-trash"></i></button>\`;
+        row.querySelector('input').addEventListener('change', e => {
+          item.done = e.target.checked;
+          renderDialogChecklist();
+        });
+        row.querySelector('button').addEventListener('click', e => {
+          e.preventDefault();
+          dialogChecklist.splice(index, 1);
+          renderDialogChecklist();
+        });
+        list.appendChild(row);
+      });
+      document.getElementById('issue-checklist-progress').innerHTML = checklistProgress(dialogChecklist);
     }
 
-    // Editor toggle
-    const toggleEditorBtn = document.getElementById('toggle-editor-btn');
-    toggleEditorBtn.addEventListener('click', () => {
-      editorContainer.classList.toggle('collapsed');
+    function addDialogLabel() {
+      const input = document.getElementById('issue-label-name');
+      const name = input.value.trim();
+      if (!name) return;
+      if (dialogLabels.some(l => l.name.toLowerCase() === name.toLowerCase())) {
+        showToast(\`The issue already has the label "\${name}".\`, 'error');
+        return;
+      }
+      // Reuse the color of a label with the same name elsewhere on the board
+      const existing = boardLabels(issues).get(name.toLowerCase());
+      dialogLabels.push(existing ? { ...existing } : { name, color: document.getElementById('issue-label-color').value });
+      input.value = '';
+      renderDialogLabels();
+    }
 
-      // Hide or show resizer2 accordingly
-      if (editorContainer.classList.contains('collapsed')) {
-        resizer2.classList.add('hidden');
-      } else {
-        resizer2.classList.remove('hidden');
+    function addDialogItem() {
+      const input = document.getElementById('issue-checklist-text');
+      const text = input.value.trim();
+      if (!text) return;
+      dialogChecklist.push({ text, done: false });
+      input.value = '';
+      renderDialogChecklist();
+    }
+
+    document.getElementById('issue-add-label-btn').addEventListener('click', addDialogLabel);
+    document.getElementById('issue-add-item-btn').addEventListener('click', addDialogItem);
+    document.getElementById('issue-label-name').addEventListener('keydown', e => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        addDialogLabel();
+      }
+    });
+    document.getElementById('issue-checklist-text').addEventListener('keydown', e => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        addDialogItem();
       }
     });
+    document.getElementById('issue-dialog-close').addEventListener('click', closeIssueDialog);
+    issueDialog.addEventListener('click', e => {
+      if (e.target === issueDialog) closeIssueDialog();
+    });
+    issueDialog.addEventListener('keydown', e => {
+      if (e.key === 'Escape') closeIssueDialog();
+    });
 
-    /************************************************************
-     * Graph & D3
-     ************************************************************/
-    const svg = d3.select('#graph');
-    let simulation = d3.forceSimulation()
-      .force('link', d3.forceLink().id(d => d.id).distance(120))
-      .force('charge', d3.forceManyBody().strength(-80))
-      .force('center', d3.forceCenter())
-      .force('collision', d3.forceCollide().radius(30));
+    // Activity timeline of the issue open in the dialog, oldest first
+    const ACTIVITY_FIELD_NAMES = {
+      title: 'title', description: 'description', priority: 'priority', dueDate: 'due date',
+      milestoneId: 'milestone', labels: 'labels', checklist: 'checklist'
+    };
 
-    let graph = { nodes: [], links: [] };
-    let selectedNode = null;
-    let transformScale = 1;
+    function commentCount(issue) {
+      return issue.activity.filter(a => a.type === 'comment').length;
+    }
 
-    // Zoom behavior
-    const zoom = d3.zoom()
-      .scaleExtent([0.1, 4])
-      .on('zoom', (event) => {
-        transformScale = event.transform.k;
-        d3.select('#graph g').attr('transform', event.transform);
-      });
-    svg.call(zoom);
+    function columnName(status) {
+      const column = board.columns.find(c => c.id === status);
+      return column ? column.name : status;
+    }
 
-    function updateSvgSize() {
-      const width = graphContainer.clientWidth;
-      const height = graphContainer.clientHeight;
-      
-      svg.attr('width', width).attr('height', height);
-      
-      // Update simulation center force
-      simulation.force('center', d3.forceCenter(width / 2, height / 2));
-      
-      if (graph.nodes.length > 0) {
-        simulation.alpha(0.3).restart();
+    function activityValue(field, value) {
+      if (value === null || value === '') return 'none';
+      if (field === 'milestoneId') {
+        const node = graph.nodes.find(n => n.id === value);
+        return node ? node.name : 'a deleted milestone';
       }
+      if (field === 'priority') {
+        const priority = ISSUE_PRIORITIES.find(p => p.id === value);
+        return priority ? priority.name : value;
+      }
+      return value;
     }
-    window.addEventListener('resize', updateSvgSize);
 
-    function loadGraph() {
-      fetch('/api/graph')
-        .then(res => res.json())
-        .then(data => {
-          const nodeMap = {};
-          data.nodes.forEach(n => { nodeMap[n.id] = n; });
-          data.links.forEach(l => {
-            // link source/target strings => object references
-            if (typeof l.source === 'string') l.source = nodeMap[l.source];
-            if (typeof l.target === 'string') l.target = nodeMap[l.target];
-          });
-          graph = data;
-          updateGraph();
-          updateSvgSize();
-        })
-        .catch(err => {
-          console.error('Error loading graph:', err);
-          showToast('Failed to load graph data', 'error');
-        });
+    function activityText(entry) {
+      const b = text => \`<b>\${escapeHtml(text)}</b>\`;
+      switch (entry.type) {
+        case 'created': return '<i class="fas fa-plus-circle"></i> Created';
+        case 'restored': return '<i class="fas fa-undo"></i> Restored after being deleted';
+        case 'status':
+          return \`<i class="fas fa-exchange-alt"></i> Moved from \${b(columnName(entry.from))} to \${b(columnName(entry.to))}\`;
+        case 'edit':
+          return '<i class="fas fa-pen"></i> ' + entry.changes.map(change => {
+            const name = ACTIVITY_FIELD_NAMES[change.field] || change.field;
+            if (change.field === 'description') return 'Edited the description';
+            return \`Changed the \${name} from \${b(activityValue(change.field, change.from))} to \${b(activityValue(change.field, change.to))}\`;
+          }).join('; ');
+        default: return escapeHtml(entry.type);
+      }
     }
 
-    function updateGraph() {
-      svg.selectAll('*').remove();
-      
-      // Create container group for zoom
-      const container = svg.append('g');
-      
-      // Create arrow marker
-      container.append('defs').append('marker')
-        .attr('id', 'arrowhead')
-        .attr('viewBox', '0 -5 10 10')
-        .attr('refX', 23)
-        .attr('refY', 0)
-        .attr('orient', 'auto')
-        .attr('markerWidth', 6)
-        .attr('markerHeight', 6)
-        .attr('xoverflow', 'visible')
-        .append('path')
-        .attr('d', 'M 0,-5 L 10,0 L 0,5')
-        .attr('fill', '#999');
+    function renderActivity(issue) {
+      const list = document.getElementById('issue-activity');
+      list.innerHTML = '';
+      issue.activity.forEach(entry => {
+        const time = \`<time datetime="\${entry.at}">\${new Date(entry.at).toLocaleString()}</time>\`;
+        const div = document.createElement('div');
+        if (entry.type === 'comment') {
+          div.className = 'activity-comment';
+          div.innerHTML = \`<div class="activity-entry"><i class="far fa-comment"></i> Comment \${time}
+            <button type="button" class="btn" title="Delete comment"><i class="fas fa-trash"></i></button></div>
+            <p>\${escapeHtml(entry.text)}</p>\`;
+          div.querySelector('button').addEventListener('click', () => deleteComment(issue.issueId, entry.id));
+        } else {
+          div.className = 'activity-entry';
+          div.innerHTML = \`<span>\${activityText(entry)}</span>\${time}\`;
+        }
+        list.appendChild(div);
+      });
+    }
 
-      // Links
-      const link = container.selectAll('.link')
-        .data(graph.links)
-        .enter()
-        .append('line')
-        .attr('class', 'link')
-        .attr('stroke', '#999')
-        .attr('stroke-width', 1.5)
-        .attr('marker-end', 'url(#arrowhead)');
+    // Comments are saved right away, not with the rest of the dialog
+    function refreshActivity(issueId) {
+      return loadIssues().then(() => {
+        const issue = issues.find(i => i.issueId === issueId);
+        if (issue && dialogIssueId === issueId) renderActivity(issue);
+      });
+    }
 
-      // Nodes
-      const node = container.selectAll('.node')
-        .data(graph.nodes, d => d.id)
-        .enter()
-        .append('circle')
-        .attr('class', 'node')
-        .attr('r', 18)
-        .attr('fill', d => d.color || '#2ecc71')  // Use node.color if set, else fallback
-        // SHIFT-click => attach/detach links
-        .on('click', (event, d) => {
-          // handle SHIFT+click for linking
-          if (event.shiftKey) {
-            if (!selectedNode) {
-              selectedNode = d;
-            } else {
-              if (selectedNode.id === d.id) {
-                selectedNode = null;
-                return;
-              }
-              const existing = graph.links.find(l =>
-                (l.source.id === selectedNode.id && l.target.id === d.id) ||
-                (l.source.id === d.id && l.target.id === selectedNode.id)
-              );
-              if (existing) {
-                graph.links = graph.links.filter(l => l !== existing);
-              } else {
-                graph.links.push({ source: selectedNode.id, target: d.id });
-              }
-              selectedNode = null;
-              updateGraph();
-            }
-          }
-        })
-        // Double-click => delete node
-        .on('dblclick', (event, d) => {
-          if (!confirm(\`Delete node "\${d.name}"?\`)) return;
-          graph.nodes = graph.nodes.filter(n => n.id !== d.id);
-          graph.links = graph.links.filter(l => l.source.id !== d.id && l.target.id !== d.id);
-          updateGraph();
-        })
-        // Right-click => edit color
-        .on('contextmenu', (event, d) => {
-          event.preventDefault(); // Don’t show the default browser context menu
-          const newColor = prompt(
-            'Enter new color for this node (e.g. "#ff0000", "blue"):',
-            d.color || '#2ecc71'
-          );
-          if (!newColor) return; // user canceled
-          d.color = newColor;
-          updateGraph();
+    function addComment() {
+      const input = document.getElementById('issue-comment-text');
+      const issueId = dialogIssueId;
+      if (!issueId || !input.value.trim()) return;
+      graphRequest('POST', \`/api/issues/\${encodeURIComponent(issueId)}/comments\`, { text: input.value })
+        .then(() => {
+          input.value = '';
+          return refreshActivity(issueId);
         })
-        // Dragging
-        .call(d3.drag()
-          .on('start', dragstarted)
-          .on('drag', dragged)
-          .on('end', dragended));
+        .catch(err => showToast(err.message, 'error'));
+    }
 
-      // Labels
-      const label = container.selectAll('.label')
-        .data(graph.nodes, d => d.id)
-        .enter()
-        .append('text')
-        .attr('class', 'label')
-        .attr('fill', '#ccc')
-        .attr('font-size', 12)
-        .text(d => d.name || 'Node');
+    function deleteComment(issueId, commentId) {
+      if (!confirm('Delete this comment?')) return;
+      graphRequest('DELETE', \`/api/issues/\${encodeURIComponent(issueId)}/comments/\${encodeURIComponent(commentId)}\`)
+        .then(() => refreshActivity(issueId))
+        .catch(err => showToast(err.message, 'error'));
+    }
 
-      // Setup simulation
-      simulation.nodes(graph.nodes).on('tick', ticked);
-      simulation.force('link').links(graph.links);
-      simulation.alpha(1).restart();
+    document.getElementById('issue-add-comment-btn').addEventListener('click', addComment);
+    document.getElementById('issue-comment-text').addEventListener('keydown', e => {
+      if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        addComment();
+      }
+    });
 
-      function ticked() {
-        const containerWidth = graphContainer.clientWidth;
-        const containerHeight = graphContainer.clientHeight;
-        const r = 18;
+    // The editable fields of an issue, as sent to PUT /api/issues/:issueId
+    function issueEditBody(issue) {
+      return {
+        title: issue.title,
+        description: issue.description,
+        status: issue.status,
+        priority: issue.priority,
+        dueDate: issue.dueDate,
+        milestoneId: issue.milestoneId,
+        labels: issue.labels,
+        checklist: issue.checklist
+      };
+    }
+
+    function updateIssue(issueId, body) {
+      return graphRequest('PUT', \`/api/issues/\${encodeURIComponent(issueId)}\`, body)
+        .then(() => loadIssues());
+    }
+
+    issueForm.addEventListener('submit', e => {
+      e.preventDefault();
+      const body = {
+        title: document.getElementById('issue-title').value,
+        description: document.getElementById('issue-description').value,
+        status: document.getElementById('issue-status').value,
+        priority: document.getElementById('issue-priority').value || null,
+        dueDate: document.getElementById('issue-due').value || null,
+        milestoneId: document.getElementById('issue-milestone').value || null,
+        labels: dialogLabels,
+        checklist: dialogChecklist
+      };
+      const issue = issues.find(i => i.issueId === dialogIssueId);
+      if (!issue) {
+        graphRequest('POST', '/api/issues', body)
+          .then(() => {
+            closeIssueDialog();
+            loadIssues();
+          })
+          .catch(err => showToast(err.message, 'error'));
+        return;
+      }
+      if (body.status !== issue.status && !confirmWipLimit(body.status)) return;
+      const before = issueEditBody(issue);
+      updateIssue(issue.issueId, body)
+        .then(() => {
+          closeIssueDialog();
+          const after = issueEditBody(issues.find(i => i.issueId === issue.issueId));
+          recordEdit({
+            label: \`Edit "\${after.title}"\`,
+            undo: () => updateIssue(issue.issueId, before),
+            redo: () => updateIssue(issue.issueId, after)
+          });
+        })
+        .catch(err => showToast(err.message, 'error'));
+    });
+
+    /************************************************************
+     * Board columns editor
+     ************************************************************/
+    const boardPanel = document.getElementById('board-panel');
+    const boardColumnList = document.getElementById('board-column-list');
+    let boardDraft = [];  // columns being edited; new ones have no id yet
+    let boardRemap = new Map(); // status without a column => boardDraft column its cards go to
+
+    function openBoardPanel() {
+      boardDraft = board.columns.map(column => ({ ...column }));
+      boardRemap = new Map();
+      renderBoardEditor();
+      boardPanel.classList.remove('hidden');
+    }
 
-        link
-          .attr('x1', d => d.source.x)
-          .attr('y1', d => d.source.y)
-          .attr('x2', d => d.target.x)
-          .attr('y2', d => d.target.y);
+    // Card counts of the statuses that no column of the draft keeps
+    function orphanedStatuses() {
+      const kept = new Set(boardDraft.map(c => c.id).filter(Boolean));
+      const counts = new Map();
+      issues
+        .filter(issue => !kept.has(issue.status))
+        .forEach(issue => counts.set(issue.status, (counts.get(issue.status) || 0) + 1));
+      return counts;
+    }
 
-        node
-          .attr('cx', d => {
-            d.x = Math.max(r, Math.min(containerWidth - r, d.x));
-            return d.x;
-          })
-          .attr('cy', d => {
-            d.y = Math.max(r, Math.min(containerHeight - r, d.y));
-            return d.y;
-          });
+    // One column choice per orphaned status; a removed column's cards go to the
+    // first column unless another one is picked
+    function renderRemapList() {
+      const orphaned = orphanedStatuses();
+      const list = document.getElementById('board-remap-list');
+      list.innerHTML = '';
+      document.getElementById('board-remap').classList.toggle('hidden', orphaned.size === 0);
+      orphaned.forEach((count, status) => {
+        if (!boardDraft.includes(boardRemap.get(status))) boardRemap.set(status, boardDraft[0]);
+        const old = board.columns.find(c => c.id === status);
+        const row = document.createElement('div');
+        row.className = 'board-remap-row';
+        row.innerHTML = \`<span>\${count} card(s) in "\${escapeHtml(old ? old.name : status)}"</span><select></select>\`;
+        const select = row.querySelector('select');
+        boardDraft.forEach((column, index) => select.add(new Option(column.name.trim() || 'New column', index)));
+        select.value = boardDraft.indexOf(boardRemap.get(status));
+        select.addEventListener('change', () => boardRemap.set(status, boardDraft[Number(select.value)]));
+        list.appendChild(row);
+      });
+      [...boardRemap.keys()].forEach(status => {
+        if (!orphaned.has(status)) boardRemap.delete(status);
+      });
+    }
 
-        label
-          .attr('x', d => d.x + 20)
-          .attr('y', d => d.y + 5);
-      }
+    function renderBoardEditor() {
+      boardColumnList.innerHTML = '';
+      boardDraft.forEach((column, index) => {
+        const row = document.createElement('div');
+        row.className = 'board-column-row';
+        row.innerHTML = \`
+          <input type="color" value="\${column.color}" title="Color">
+          <input type="text" value="\${escapeHtml(column.name)}" placeholder="Column name" maxlength="40">
+          <input type="number" min="1" max="999" value="\${column.wipLimit || ''}" placeholder="WIP" title="WIP limit (empty for none)">
+          <input type="checkbox" \${column.done ? 'checked' : ''} title="Cards here count as done">
+          <button class="btn" title="Move left"><i class="fas fa-arrow-up"></i></button>
+          <button class="btn" title="Move right"><i class="fas fa-arrow-down"></i></button>
+          <button class="btn btn-danger" title="Remove column"><i class="fas fa-trash"></i></button>
+        \`;
+        const [colorInput, nameInput, wipInput, doneInput] = row.querySelectorAll('input');
+        const [upBtn, downBtn, removeBtn] = row.querySelectorAll('button');
+        colorInput.addEventListener('input', () => { column.color = colorInput.value; });
+        nameInput.addEventListener('input', () => {
+          column.name = nameInput.value;
+          renderRemapList();
+        });
+        wipInput.addEventListener('input', () => {
+          column.wipLimit = wipInput.value === '' ? null : Number(wipInput.value);
+        });
+        doneInput.addEventListener('change', () => { column.done = doneInput.checked; });
+        const move = offset => {
+          boardDraft.splice(index, 1);
+          boardDraft.splice(index + offset, 0, column);
+          renderBoardEditor();
+        };
+        upBtn.disabled = index === 0;
+        downBtn.disabled = index === boardDraft.length - 1;
+        removeBtn.disabled = boardDraft.length === 1;
+        upBtn.addEventListener('click', () => move(-1));
+        downBtn.addEventListener('click', () => move(1));
+        removeBtn.addEventListener('click', () => {
+          boardDraft.splice(index, 1);
+          renderBoardEditor();
+        });
+        boardColumnList.appendChild(row);
+      });
+      renderRemapList();
+    }
 
-      function dragstarted(event, d) {
-        if (!event.active) simulation.alphaTarget(0.3).restart();
-        d.fx = d.x; d.fy = d.y;
-      }
-      function dragged(event, d) {
-        const containerWidth = graphContainer.clientWidth;
-        const containerHeight = graphContainer.clientHeight;
-        const r = 18;
-        let newX = event.x;
-        let newY = event.y;
-        newX = Math.max(r, Math.min(containerWidth - r, newX));
-        newY = Math.max(r, Math.min(containerHeight - r, newY));
-        d.fx = newX; d.fy = newY;
-        d.x = newX; d.y = newY;
-      }
-      function dragended(event, d) {
-        if (!event.active) simulation.alphaTarget(0);
-        d.fx = null; d.fy = null;
-      }
+    // A new column's id (its status value) is made from its name once, when saved
+    function columnId(name, taken) {
+      const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 28) || 'column';
+      let id = base;
+      for (let n = 2; taken.has(id); n++) id = \`\${base}-\${n}\`;
+      taken.add(id);
+      return id;
     }
 
-    // Save Graph
-    function saveGraph() {
-      const dataToSave = {
-        nodes: graph.nodes.map(n => ({ ...n })),
-        links: graph.links.map(l => ({
-          source: typeof l.source === 'object' ? l.source.id : l.source,
-          target: typeof l.target === 'object' ? l.target.id : l.target
-        }))
-      };
-      fetch('/api/graph', {
-        method: 'POST',
+    function saveBoard() {
+      const taken = new Set(boardDraft.filter(c => c.id).map(c => c.id));
+      const columns = boardDraft.map(column => ({
+        ...column,
+        name: column.name.trim(),
+        id: column.id || columnId(column.name, taken)
+      }));
+      const remap = {};
+      boardRemap.forEach((column, status) => {
+        remap[status] = columns[boardDraft.indexOf(column)].id;
+      });
+      api('/api/board', {
+        method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(dataToSave)
+        body: JSON.stringify({ columns, remap })
       })
-      .then(() => {
-        showToast('Graph saved successfully!', 'success');
+      .then(res => res.json())
+      .then(result => {
+        if (result.orphaned) {
+          // Cards were added to a removed column meanwhile: let the user place them too
+          return loadIssues().then(() => {
+            renderRemapList();
+            showToast('Some cards have no column yet; pick one for them and save again.', 'error');
+          });
+        }
+        if (result.error) throw new Error(result.error);
+        board = result.board;
+        boardPanel.classList.add('hidden');
+        renderBoard();
+        refreshMilestones();
+        if (result.moved.length > 0) loadIssues();
+        showToast(\`Board saved\${result.moved.length ? \`; \${result.moved.length} card(s) moved\` : ''}.\`, 'success');
       })
-      .catch(err => {
-        console.error('Graph save error:', err);
-        showToast('Graph save failed.', 'error');
-      });
+      .catch(err => showToast(err.message, 'error'));
     }
-    document.getElementById('save-graph-btn').addEventListener('click', saveGraph);
 
-    // Add Node (no color => will default to #2ecc71 in updateGraph)
-    document.getElementById('add-node-btn').addEventListener('click', () => {
-      const nodeName = prompt('Enter milestone name:');
-      if (!nodeName) return;
-      const cWidth = graphContainer.clientWidth;
-      const cHeight = graphContainer.clientHeight;
-      const newNode = {
-        id: 'n' + Date.now(),
-        name: nodeName,
-        x: cWidth / 2,
-        y: cHeight / 2
-      };
-      graph.nodes.push(newNode);
-      updateGraph();
+    document.getElementById('board-settings-btn').addEventListener('click', () => {
+      if (boardPanel.classList.contains('hidden')) openBoardPanel();
+      else boardPanel.classList.add('hidden');
     });
-
-    // Add Node with color
-    document.getElementById('add-colored-node-btn').addEventListener('click', () => {
-      const nodeName = prompt('Enter milestone name:');
-      if (!nodeName) return;
-      const color = prompt('Enter node color (e.g. "#ff0000" or "blue"):') || '#2ecc71';
-      const cWidth = graphContainer.clientWidth;
-      const cHeight = graphContainer.clientHeight;
-      const newNode = {
-        id: 'n' + Date.now(),
-        name: nodeName,
-        color: color,
-        x: cWidth / 2,
-        y: cHeight / 2
-      };
-      graph.nodes.push(newNode);
-      updateGraph();
+    document.getElementById('board-panel-close').addEventListener('click', () => boardPanel.classList.add('hidden'));
+    document.getElementById('add-column-btn').addEventListener('click', () => {
+      boardDraft.push({ name: 'New column', color: '#8b5cf6', wipLimit: null, done: false });
+      renderBoardEditor();
     });
+    document.getElementById('save-board-btn').addEventListener('click', () => saveBoard());
 
     /************************************************************
-     * Documents & Editor
+     * Search palette (Ctrl+K)
      ************************************************************/
-    let currentDoc = null;
-    const docSelect = document.getElementById('select-doc');
-    const editor = document.getElementById('editor');
-    const newDocBtn = document.getElementById('new-doc-btn');
-    const commitDocBtn = document.getElementById('commit-doc-btn');
+    const SEARCH_DELAY = 150;
+    const SEARCH_ICONS = { node: 'fa-flag', document: 'fa-file-alt', version: 'fa-history', issue: 'fa-tasks' };
+    const searchPalette = document.getElementById('search-palette');
+    const searchInput = document.getElementById('search-input');
+    const searchResultsEl = document.getElementById('search-results');
+    let searchResults = [];
+    let searchSelected = 0;
+    let searchTimer = null;
+    let searchSeq = 0; // answers to older queries are dropped
 
-    function loadDocuments() {
-      fetch('/api/documents')
+    function openSearch() {
+      searchPalette.classList.remove('hidden');
+      searchInput.select();
+      searchInput.focus();
+      if (searchInput.value.trim()) runSearch();
+    }
+
+    function closeSearch() {
+      searchPalette.classList.add('hidden');
+      clearTimeout(searchTimer);
+    }
+
+    function runSearch() {
+      const seq = ++searchSeq;
+      const query = searchInput.value.trim();
+      if (!query) {
+        searchResults = [];
+        renderSearchResults([]);
+        return;
+      }
+      api(\`/api/search?q=\${encodeURIComponent(query)}\`)
         .then(res => res.json())
-        .then(docs => {
-          docSelect.innerHTML = '<option value="">-- Select Document --</option>';
-          docs.forEach(doc => {
-            const opt = document.createElement('option');
-            opt.value = doc.docId;
-            opt.textContent = doc.title;
-            docSelect.appendChild(opt);
-          });
+        .then(data => {
+          if (seq !== searchSeq) return;
+          if (data.error) throw new Error(data.error);
+          searchResults = data.results;
+          searchSelected = 0;
+          renderSearchResults(data.words, data.total);
+        })
+        .catch(err => {
+          if (seq !== searchSeq) return;
+          searchResults = [];
+          searchResultsEl.innerHTML = \`<div class="search-note">\${escapeHtml(err.message)}</div>\`;
+          showToast(\`Search failed: \${err.message}\`, 'error');
         });
     }
 
-    docSelect.addEventListener('change', () => {
-      const docId = docSelect.value;
-      if (!docId) {
-        currentDoc = null;
-        editor.value = '';
+    // Escaped text with <mark> around the start of words that a query word begins
+    function highlightWords(text, words) {
+      return text.split(/([\\p{L}\\p{N}]+)/u).map(piece => {
+        const word = words.find(w => piece.toLowerCase().startsWith(w));
+        if (!word) return escapeHtml(piece);
+        return \`<mark>\${escapeHtml(piece.slice(0, word.length))}</mark>\${escapeHtml(piece.slice(word.length))}\`;
+      }).join('');
+    }
+
+    function searchResultText(result) {
+      switch (result.kind) {
+        case 'node': return { title: result.title, context: 'Milestone' };
+        case 'document': return { title: result.title, context: 'Document' };
+        case 'version': return {
+          title: \`\${result.docTitle} · v\${result.version}\`,
+          context: [result.branch, result.title, new Date(result.timestamp).toLocaleString()].filter(Boolean).join(' · ')
+        };
+        case 'issue': return { title: result.title, context: \`Issue in \${columnName(result.status)}\` };
+        default: return { title: result.title, context: result.kind };
+      }
+    }
+
+    function renderSearchResults(words, total) {
+      searchResultsEl.innerHTML = '';
+      if (searchResults.length === 0) {
+        if (searchInput.value.trim()) searchResultsEl.innerHTML = '<div class="search-note">No matches</div>';
         return;
       }
-      fetch(\`/api/documents/\${docId}\`)
-        .then(res => res.json())
-        .then(doc => {
-          currentDoc = doc;
-          const v = doc.versions[doc.currentVersion];
-          editor.value = v ? v.content : '';
+      searchResults.forEach((result, index) => {
+        const { title, context } = searchResultText(result);
+        const div = document.createElement('div');
+        div.className = 'search-result' + (index === searchSelected ? ' selected' : '');
+        div.innerHTML = \`<i class="fas \${SEARCH_ICONS[result.kind] || 'fa-search'}"></i>
+          <div>
+            <div class="search-result-title">\${highlightWords(title, words)}</div>
+            <div class="search-result-context">\${escapeHtml(context)}</div>
+            \${result.snippet && result.snippet !== result.title
+              ? \`<div class="search-result-snippet">\${highlightWords(result.snippet, words)}</div>\`
+              : ''}
+          </div>\`;
+        div.addEventListener('click', () => openSearchResult(result));
+        div.addEventListener('mousemove', () => selectSearchResult(index));
+        searchResultsEl.appendChild(div);
+      });
+      if (total > searchResults.length) {
+        const more = document.createElement('div');
+        more.className = 'search-note';
+        more.textContent = \`Showing the best \${searchResults.length} of \${total} matches\`;
+        searchResultsEl.appendChild(more);
+      }
+    }
+
+    function selectSearchResult(index) {
+      if (index === searchSelected) return;
+      const items = searchResultsEl.querySelectorAll('.search-result');
+      items[searchSelected].classList.remove('selected');
+      searchSelected = index;
+      items[index].classList.add('selected');
+    }
+
+    // Jump to a result: select the milestone, open the document (at the matched
+    // version, read-only unless it is the head) or open the issue
+    function openSearchResult(result) {
+      closeSearch();
+      if (result.kind === 'node') {
+        if (!graph.nodes.some(n => n.id === result.nodeId)) return;
+        selectMilestone(result.nodeId);
+      } else if (result.kind === 'document') {
+        openDocument(result.docId).then(opened => {
+          if (opened) backToLatest();
         });
+      } else if (result.kind === 'version') {
+        openDocument(result.docId).then(opened => {
+          if (opened && currentDoc && currentDoc.docId === result.docId) checkoutVersion(result.version);
+        });
+      } else if (result.kind === 'issue') {
+        openIssueDialog(result.issueId);
+      }
+    }
+
+    searchInput.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(runSearch, SEARCH_DELAY);
     });
+    searchInput.addEventListener('keydown', e => {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (searchResults.length === 0) return;
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        selectSearchResult((searchSelected + step + searchResults.length) % searchResults.length);
+        const item = searchResultsEl.querySelectorAll('.search-result')[searchSelected];
+        if (item.scrollIntoView) item.scrollIntoView({ block: 'nearest' });
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        if (searchResults[searchSelected]) openSearchResult(searchResults[searchSelected]);
+      }
+    });
+    searchPalette.addEventListener('keydown', e => {
+      if (e.key === 'Escape') closeSearch();
+    });
+    searchPalette.addEventListener('click', e => {
+      if (e.target === searchPalette) closeSearch();
+    });
+    document.getElementById('search-btn').addEventListener('click', openSearch);
 
-    newDocBtn.addEventListener('click', () => {
-      const title = prompt('New Document Title:');
-      if (!title) return;
-      const content = '';
-      fetch('/api/documents', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ title, content })
-      })
-      .then(res => res.json())
-      .then(doc => {
-        loadDocuments();
-        docSelect.value = doc.docId;
-        currentDoc = doc;
-        editor.value = '';
-      });
+    // Ctrl+K (Cmd+K on a Mac) works from anywhere, text fields included
+    document.addEventListener('keydown', event => {
+      if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'k') return;
+      event.preventDefault();
+      if (searchPalette.classList.contains('hidden')) openSearch();
+      else closeSearch();
     });
 
-    commitDocBtn.addEventListener('click', () => {
-      if (!currentDoc) {
-        showToast('No document selected.', 'error');
-        return;
-      }
-      const content = editor.value;
-      fetch(\`/api/documents/\${currentDoc.docId}/commit\`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ content })
-      })
+    /************************************************************
+     * Undo / redo (graph and kanban edits)
+     ************************************************************/
+    // Each entry is { label, undo, redo }; undo/redo replay the edit through the
+    // API and return a promise
+    const MAX_HISTORY = 100;
+    const undoStack = [];
+    const redoStack = [];
+    let historyBusy = false;
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+
+    // Remember an edit that has just been saved; a new edit clears the redo list
+    function recordEdit(edit) {
+      undoStack.push(edit);
+      if (undoStack.length > MAX_HISTORY) undoStack.shift();
+      redoStack.length = 0;
+      updateHistoryButtons();
+    }
+
+    function updateHistoryButtons() {
+      const undoEdit = undoStack[undoStack.length - 1];
+      const redoEdit = redoStack[redoStack.length - 1];
+      undoBtn.disabled = historyBusy || !undoEdit;
+      redoBtn.disabled = historyBusy || !redoEdit;
+      undoBtn.title = undoEdit ? \`Undo \${undoEdit.label} (Ctrl+Z)\` : 'Nothing to undo';
+      redoBtn.title = redoEdit ? \`Redo \${redoEdit.label} (Ctrl+Shift+Z)\` : 'Nothing to redo';
+    }
+
+    // Replay the newest entry of one stack and move it onto the other. If the
+    // server refuses (the data changed since), the entry is dropped and the
+    // graph and board are reloaded so they show what is really stored.
+    function stepHistory(from, to, action) {
+      if (historyBusy || from.length === 0) return;
+      const edit = from.pop();
+      historyBusy = true;
+      updateHistoryButtons();
+      Promise.resolve()
+        .then(() => edit[action]())
+        .then(() => {
+          to.push(edit);
+          showToast(\`\${action === 'undo' ? 'Undid' : 'Redid'}: \${edit.label}\`, 'success');
+        })
+        .catch(err => {
+          console.error(\`Could not \${action}:\`, err);
+          showToast(\`\${action === 'undo' ? 'Undo' : 'Redo'} failed: \${err.message}\`, 'error');
+          loadGraph();
+          loadIssues();
+        })
+        .finally(() => {
+          historyBusy = false;
+          updateHistoryButtons();
+        });
+    }
+
+    const undo = () => stepHistory(undoStack, redoStack, 'undo');
+    const redo = () => stepHistory(redoStack, undoStack, 'redo');
+    undoBtn.addEventListener('click', undo);
+    redoBtn.addEventListener('click', redo);
+
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on a Mac); text fields keep their own undo
+    document.addEventListener('keydown', event => {
+      if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') return;
+      if (event.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+      event.preventDefault();
+      if (event.shiftKey) redo();
+      else undo();
+    });
+    updateHistoryButtons();
+
+    /************************************************************
+     * Account
+     ************************************************************/
+    api('/api/auth/me')
       .then(res => res.json())
-      .then(updatedDoc => {
-        currentDoc = updatedDoc;
-        showToast(\`Document committed. Version count: \${updatedDoc.versions.length}\`, 'success');
-      })
-      .catch(err => {
-        console.error('Commit error:', err);
-        showToast('Failed to commit document.', 'error');
+      .then(result => {
+        if (result.user) document.querySelector('#user-name span').textContent = result.user.username;
       });
+
+    // Store a pending draft first; if that fails, the user decides whether to leave
+    document.getElementById('logout-btn').addEventListener('click', () => {
+      saveDraft()
+        .then(() => draftState !== 'error')
+        .catch(err => {
+          console.error('Draft save error:', err);
+          return false;
+        })
+        .then(saved => {
+          if (saved) return true;
+          showToast('Your draft could not be saved.', 'error');
+          return confirm('Your uncommitted changes could not be saved. Log out anyway and lose them?');
+        })
+        .then(leave => {
+          if (!leave) return;
+          return api('/api/auth/logout', { method: 'POST' }).then(() => {
+            window.location.href = '/login';
+          });
+        })
+        .catch(err => {
+          console.error('Logout error:', err);
+          showToast('Failed to log out.', 'error');
+        });
     });
 
     /************************************************************
-     * Kanban / Issues - DRAG & DROP
+     * Live sync
      ************************************************************/
-    let issues = [];
+    // The server announces every change to the workspace (GET /api/events);
+    // other windows' changes are fetched and shown in place
+    const liveStatus = document.getElementById('live-status');
 
-    function loadIssues() {
-      fetch('/api/issues')
+    // Stored fields with a stable key order; unpinned positions belong to
+    // each window's own layout
+    function graphKey(data) {
+      const stable = value => JSON.stringify(value, Object.keys(value).sort());
+      return JSON.stringify({
+        nodes: data.nodes.map(n => {
+          const { x, y, ...fields } = nodeData(n);
+          return stable(n.pinned ? { ...fields, x, y } : fields);
+        }),
+        links: data.links.map(l => stable(linkData(l)))
+      });
+    }
+
+    function syncGraph() {
+      return api('/api/graph')
         .then(res => res.json())
         .then(data => {
-          issues = data;
-          renderIssues(data);
-          updateIssueCounters(data);
+          // Position autosaves from other windows change nothing here
+          if (graphKey(data) === graphKey(graph)) return;
+          const previous = new Map(graph.nodes.map(n => [n.id, n]));
+          data.nodes.forEach(n => {
+            const old = previous.get(n.id);
+            if (old && !n.pinned) { n.x = old.x; n.y = old.y; }
+            if (!old) savedPositions[n.id] = positionKey(n);
+          });
+          selectedNode = null;
+          setGraph(data);
+          if (activeNodeId && !graph.nodes.some(n => n.id === activeNodeId)) selectMilestone(null);
+          if (activeLinkId && !graph.links.some(l => l.id === activeLinkId)) closeLinkPanel();
+          updateGraph();
+          renderNodePanel();
+          renderIssues(issues);
         });
     }
 
-    // Update counters in column headers
-    function updateIssueCounters(issueArray) {
-      const todoCount = issueArray.filter(i => i.status === 'todo').length;
-      const inprogressCount = issueArray.filter(i => i.status === 'in-progress').length;
-      const doneCount = issueArray.filter(i => i.status === 'done').length;
-      document.getElementById('todo-counter').textContent = todoCount;
-      document.getElementById('inprogress-counter').textContent = inprogressCount;
-      document.getElementById('done-counter').textContent = doneCount;
+    function syncIssues() {
+      // The issue dialog keeps the user's input, only its activity is refreshed
+      return dialogIssueId ? refreshActivity(dialogIssueId) : loadIssues();
     }
 
-    function renderIssues(issueArray) {
-      document.getElementById('todo-list').innerHTML = '';
-      document.getElementById('inprogress-list').innerHTML = '';
-      document.getElementById('done-list').innerHTML = '';
-
-      issueArray.forEach(issue => {
-        const div = document.createElement('div');
-        div.className = 'issue-card';
-        div.draggable = true;
-        div.setAttribute('data-issue-id', issue.issueId);
-        div.innerHTML = \`
-          <button class="delete-issue-btn" onclick="deleteIssue(event, '\${issue.issueId}')"><i class="fas fa-times"></i></button>
-          <div class="issue-title">\${issue.title}</div>
-          <div class="issue-desc">\${issue.description}</div>
-        \`;
+    // A new commit, branch or merge on the open document: take it over when
+    // nothing here would be lost, otherwise offer it in a banner
+    let remoteDoc = null;
 
-        // Drag
-        div.addEventListener('dragstart', e => {
-          e.dataTransfer.setData('text/plain', issue.issueId);
+    function syncDocument(docId) {
+      loadDocuments();
+      if (!currentDoc || currentDoc.docId !== docId) return Promise.resolve();
+      return api(\`/api/documents/\${docId}\`)
+        .then(res => res.json())
+        .then(doc => {
+          if (!currentDoc || currentDoc.docId !== docId) return;
+          if (doc.error) {
+            // Gone, e.g. replaced by an import
+            showToast(\`"\${currentDoc.title}" no longer exists.\`, 'info');
+            currentDoc = null;
+            docSelect.value = '';
+            openCurrentDoc();
+            return;
+          }
+          const historyKey = d => JSON.stringify([d.versions.length, d.currentBranch, d.branches, !!d.merge]);
+          if (historyKey(doc) === historyKey(currentDoc)) {
+            // Drafts and tags: only the history list can show something new
+            currentDoc.versions = doc.versions;
+            renderHistory();
+            return;
+          }
+          const head = doc.versions[doc.currentVersion];
+          const what = \`"\${doc.title}" was committed in another window\` +
+            \` (v\${doc.currentVersion}\${head.message ? \` "\${head.message}"\` : ''})\`;
+          if (viewedVersion === null && !editorDirty() && draftState === 'clean') {
+            currentDoc = doc;
+            openCurrentDoc();
+            showToast(what + '.', 'info');
+            return;
+          }
+          remoteDoc = doc;
+          document.getElementById('remote-banner-text').textContent = what + '.';
+          remoteBanner.classList.remove('hidden');
         });
-
-        // Drop into correct column
-        if (issue.status === 'todo') {
-          document.getElementById('todo-list').appendChild(div);
-        } else if (issue.status === 'in-progress') {
-          document.getElementById('inprogress-list').appendChild(div);
-        } else {
-          document.getElementById('done-list').appendChild(div);
-        }
-      });
     }
 
-    function createIssuePrompt(defaultStatus) {
-      const title = prompt('Issue title:');
-      if (!title) return;
-      const description = prompt('Issue description:');
-      fetch('/api/issues', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ title, description, status: defaultStatus })
-      })
-      .then(() => loadIssues());
+    document.getElementById('load-remote-btn').addEventListener('click', () => {
+      if (!remoteDoc || !currentDoc || remoteDoc.docId !== currentDoc.docId) return;
+      if (editorDirty() && !confirm('Load the latest commit? Your uncommitted changes in this window are discarded.')) return;
+      currentDoc = remoteDoc;
+      remoteDoc = null;
+      openCurrentDoc();
+    });
+    document.getElementById('dismiss-remote-btn').addEventListener('click', () => {
+      remoteBanner.classList.add('hidden');
+    });
+
+    function syncAll() {
+      loadGraph();
+      loadDocuments();
+      if (currentDoc) syncDocument(currentDoc.docId);
+      return loadBoard().then(syncIssues);
     }
-    window.createIssuePrompt = createIssuePrompt;
 
-    function deleteIssue(e, issueId) {
-      e.stopPropagation();
-      if (!confirm('Delete this issue?')) return;
-      fetch(\`/api/issues/\${issueId}\`, { method: 'DELETE' })
-      .then(res => res.json())
-      .then(result => {
-        if (result.success) loadIssues();
-      });
+    function applyChanges(changes) {
+      const kinds = new Set(changes.map(change => change.kind));
+      if (kinds.has('all')) return syncAll();
+      if (kinds.has('graph')) syncGraph().catch(err => console.error('Live sync error:', err));
+      // The board's columns decide where issues go; the graph layout is per window
+      const boardChanged = changes.some(change => change.kind === 'setting' && change.key === 'board');
+      if (boardChanged) loadBoard().then(syncIssues);
+      else if (kinds.has('issues')) syncIssues();
+      changes
+        .filter(change => change.kind === 'document')
+        .forEach(change => syncDocument(change.docId));
     }
-    window.deleteIssue = deleteIssue;
 
-    // Kanban DnD
-    function kanbanDragOver(event) {
-      event.preventDefault();
-      const column = event.currentTarget;
-      column.classList.add('drag-over');
+    function setLiveStatus(connected) {
+      liveStatus.style.color = connected ? 'var(--accent-success)' : 'var(--text-muted)';
+      liveStatus.title = connected
+        ? 'Live: changes from other windows show up here'
+        : 'Offline: reconnecting to live updates...';
     }
-    window.kanbanDragOver = kanbanDragOver;
 
-    function kanbanDragLeave(event) {
-      const column = event.currentTarget;
-      column.classList.remove('drag-over');
+    const events = new EventSource('/api/events');
+    let eventsLost = false;
+    events.addEventListener('open', () => {
+      setLiveStatus(true);
+      // Whatever changed while disconnected was never announced
+      if (eventsLost) syncAll();
+      eventsLost = false;
+    });
+    events.addEventListener('error', () => {
+      setLiveStatus(false);
+      eventsLost = true;
+    });
+    events.addEventListener('message', event => {
+      const { origin, changes } = JSON.parse(event.data);
+      if (origin !== CLIENT_ID) applyChanges(changes);
+    });
+
+    /************************************************************
+     * Import / export
+     ************************************************************/
+    const importFile = document.getElementById('workspace-import-file');
+
+    document.getElementById('workspace-export-btn').addEventListener('click', () => {
+      const link = document.createElement('a');
+      link.href = '/api/export';
+      link.download = '';
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+    });
+
+    document.getElementById('workspace-import-btn').addEventListener('click', () => {
+      importFile.value = '';
+      importFile.click();
+    });
+
+    // Bundle text waiting for the user to pick merge or replace
+    const importDialog = document.getElementById('import-dialog');
+    let pendingImport = null;
+
+    function closeImportDialog() {
+      importDialog.classList.add('hidden');
+      pendingImport = null;
     }
-    window.kanbanDragLeave = kanbanDragLeave;
 
-    function kanbanDrop(event) {
-      event.preventDefault();
-      const column = event.currentTarget;
-      column.classList.remove('drag-over');
-      const newStatus = column.getAttribute('data-status');
-      const issueId = event.dataTransfer.getData('text/plain');
+    importFile.addEventListener('change', () => {
+      const file = importFile.files[0];
+      if (!file) return;
+      file.text()
+        .then(text => {
+          try {
+            JSON.parse(text);
+          } catch (err) {
+            throw new Error('that file is not a workspace bundle');
+          }
+          pendingImport = text;
+          document.getElementById('import-file-name').textContent = file.name || '';
+          importDialog.classList.remove('hidden');
+          document.getElementById('import-merge-btn').focus();
+        })
+        .catch(err => {
+          console.error('Import error:', err);
+          showToast(\`Import failed: \${err.message}\`, 'error');
+        });
+    });
 
-      fetch(\`/api/issues/\${issueId}\`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ status: newStatus })
-      })
-      .then(() => loadIssues());
+    function runImport(mode) {
+      const text = pendingImport;
+      closeImportDialog();
+      if (!text) return;
+      saveDraft()
+        .then(() => api(\`/api/import?mode=\${mode}\`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: text
+        }))
+        .then(res => res.json())
+        .then(result => {
+          if (result.error) throw new Error(result.error);
+          // Undo entries refer to what was there before
+          undoStack.length = 0;
+          redoStack.length = 0;
+          updateHistoryButtons();
+          const { nodes, documents, issues: issueCount } = result.imported;
+          showToast(
+            \`Imported \${nodes} milestones, \${documents} documents and \${issueCount} issues\` +
+            (result.remapped ? \` (\${result.remapped} renamed to avoid clashes).\` : '.'),
+            'success'
+          );
+          return syncAll();
+        })
+        .catch(err => {
+          console.error('Import error:', err);
+          showToast(\`Import failed: \${err.message}\`, 'error');
+        });
     }
-    window.kanbanDrop = kanbanDrop;
+
+    document.getElementById('import-merge-btn').addEventListener('click', () => runImport('merge'));
+    document.getElementById('import-replace-btn').addEventListener('click', () => runImport('replace'));
+    document.getElementById('import-dialog-close').addEventListener('click', closeImportDialog);
+    importDialog.addEventListener('click', e => {
+      if (e.target === importDialog) closeImportDialog();
+    });
+    importDialog.addEventListener('keydown', e => {
+      if (e.key === 'Escape') closeImportDialog();
+    });
 
     // Initialize
     loadGraph();
     loadDocuments();
-    loadIssues();
+    loadBoard().then(loadIssues); // columns first, so cards have somewhere to go
   </script>
 </body>
 </html>